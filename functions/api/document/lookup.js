@@ -0,0 +1,46 @@
+/**
+ * Cloudflare Pages Function: Document Lookup
+ * GET /api/document/lookup - Resolve an instrument number (?ref=CFN 2019123456
+ * or ?instrument=) or OR book/page (?book=&page=) to its recorded document
+ */
+
+import { lookupDocument, readInstrumentReference, getPdfUrl } from '../../../src/api/hillsborough.js';
+
+export async function onRequestGet(context) {
+  try {
+    const params = new URL(context.request.url).searchParams;
+    const ref = params.get('ref');
+    const instrument = params.get('instrument');
+    const reference = readInstrumentReference(ref ||
+      (instrument ? { instrumentNumber: instrument } : { book: params.get('book'), page: params.get('page') }));
+    
+    if (!reference) {
+      return new Response(JSON.stringify({
+        error: 'ref (instrument number or book/page), instrument, or numeric book and page is required'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const lookup = await lookupDocument(reference);
+    
+    if (!lookup.document) {
+      return new Response(JSON.stringify({ ...lookup, error: 'No recorded document found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    return new Response(JSON.stringify({ ...lookup, pdfUrl: getPdfUrl(lookup.document.documentId) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  
+  } catch (error) {
+    console.error('Lookup error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
@@ -3,23 +3,20 @@
  * POST /api/search - Search Clerk records by owner name
  */
 
-const BASE_URL = 'https://publicaccess.hillsclerk.com';
-const SEARCH_API = '/Public/ORIUtilities/DocumentSearch/api/Search';
+import { searchByName, parseRecord, TITLE_DOC_TYPES } from '../../src/api/hillsborough.js';
+import { buildRuleSet, evaluateRules, scoreFlags } from '../../src/rules/engine.js';
+import { analyzeEasements } from '../../src/analysis/easements.js';
+import { analyzeProbate } from '../../src/analysis/probate.js';
+import { checkSpousalJoinder } from '../../src/analysis/homestead.js';
+import { analyzeTaxStatus } from '../../src/analysis/taxStatus.js';
+import { analyzeConstructionLiens } from '../../src/analysis/constructionLiens.js';
+import { analyzeMortgages, identifyOpenLiens } from '../../src/analysis/encumbrances.js';
+import { analyzeTransfers } from '../../src/analysis/transfers.js';
+import { buildSearchCertification } from '../../src/search/certification.js';
+import { generateNameVariants, findMatchedVariant } from '../../src/search/nameVariants.js';
 
-// Title search document types
-const TITLE_DOC_TYPES = [
-  '(D) DEED',
-  '(MTG) MORTGAGE',
-  '(SAT) SATISFACTION',
-  '(LN) LIEN',
-  '(LP) LIS PENDENS',
-  '(EAS) EASEMENT',
-  '(RES) RESTRICTIONS',
-  '(JUD) JUDGMENT',
-  '(REL) RELEASE',
-  '(ASG) ASSIGNMENT',
-  '(TAXDEED) TAX DEED'
-];
+// Built-in risk rules (no config file on Pages)
+const RULES = buildRuleSet();
 
 export async function onRequestPost(context) {
   try {
@@ -42,53 +39,93 @@ export async function onRequestPost(context) {
       endDate: formatDateForApi(endDate)
     };
     
-    // Search for all title-related documents
-    const query = {
-      PartyName: [ownerName.toUpperCase()],
-      DocType: TITLE_DOC_TYPES,
-      RecordDateBegin: dateRange.startDate,
-      RecordDateEnd: dateRange.endDate
-    };
-    
-    const response = await fetch(`${BASE_URL}${SEARCH_API}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(query)
+    // Search for all title-related documents under every name variant an
+    // examiner would try, splitting truncated windows
+    const nameVariants = generateNameVariants(ownerName);
+    const names = nameVariants.map(v => v.name);
+    const search = await searchByName({
+      name: names,
+      docTypes: TITLE_DOC_TYPES,
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate
     });
     
-    if (!response.ok) {
-      throw new Error(`Search failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const results = data.ResultList || data || [];
-    
     // Parse and categorize results
-    const documents = results.map(parseRecord);
+    const documents = search.records.map(record => {
+      const doc = parseRecord(record);
+      return { ...doc, matchedVariant: findMatchedVariant(doc, nameVariants) };
+    });
+    
+    // What was searched and through when
+    const certification = buildSearchCertification({
+      searches: [{
+        label: 'owner',
+        names,
+        docTypes: TITLE_DOC_TYPES,
+        startDate: dateRange.startDate,
+        endDate: dateRange.endDate,
+        windows: search.windows,
+        complete: search.complete
+      }],
+      documents
+    });
     const grouped = groupByDocType(documents);
-    const chainOfTitle = buildChainOfTitle(grouped.deeds || []);
+    const chainOfTitle = buildChainOfTitle([...grouped.deeds, ...grouped.taxDeeds]);
     const mortgageAnalysis = analyzeMortgages(grouped.mortgages || [], grouped.satisfactions || []);
     const openLiens = identifyOpenLiens(grouped.liens || [], grouped.releases || []);
-    const flags = identifyFlags(documents);
+    const transferAnalysis = analyzeTransfers([...grouped.deeds, ...grouped.taxDeeds]);
+    const vestingLink = chainOfTitle[chainOfTitle.length - 1];
+    const easementAnalysis = analyzeEasements({
+      easements: grouped.easements,
+      restrictions: grouped.restrictions,
+      subjectLegalDescription: vestingLink ? vestingLink.legalDescription : null
+    });
+    const probateAnalysis = analyzeProbate({ chainOfTitle, documents });
+    const joinderAnalysis = checkSpousalJoinder({ chainOfTitle, documents, mortgages: grouped.mortgages || [] });
+    const taxAnalysis = analyzeTaxStatus({ chainOfTitle, documents });
+    const constructionLienAnalysis = analyzeConstructionLiens({
+      documents,
+      openLiens,
+      owners: vestingLink ? vestingLink.granteeList : [ownerName]
+    });
     
-    return new Response(JSON.stringify({
+    const result = {
       searchParams: {
         ownerName,
         yearsBack,
         searchDate: new Date().toISOString(),
-        recordCount: documents.length
+        effectiveDate: certification.effectiveDate,
+        effectiveDateSource: certification.effectiveDateSource,
+        startDate: dateRange.startDate,
+        endDate: dateRange.endDate,
+        nameVariants,
+        docTypes: TITLE_DOC_TYPES,
+        recordCount: documents.length,
+        complete: search.complete,
+        completeness: certification.status,
+        searchWindows: search.windows,
+        certification
       },
       documents,
       grouped,
       chainOfTitle,
+      transferAnalysis,
       mortgageAnalysis,
       openLiens,
-      flags,
-      summary: generateSummary(documents, chainOfTitle, mortgageAnalysis, openLiens, flags)
-    }), {
+      easementAnalysis,
+      probateAnalysis,
+      joinderAnalysis,
+      taxAnalysis,
+      constructionLienAnalysis
+    };
+    
+    result.flags = evaluateRules(RULES, result);
+    result.summary = generateSummary(result, scoreFlags(result.flags));
+    
+    return new Response(JSON.stringify(result), {
       headers: { 'Content-Type': 'application/json' }
     });
-    
+  
   } catch (error) {
     console.error('Search error:', error);
     return new Response(JSON.stringify({ error: error.message }), {
@@ -105,43 +142,19 @@ function formatDateForApi(date) {
   return `${month}/${day}/${year}`;
 }
 
-function formatDate(timestamp) {
-  const date = new Date(timestamp * 1000);
-  return date.toLocaleDateString('en-US', {
-    year: 'numeric', month: '2-digit', day: '2-digit'
-  });
-}
-
-function parseRecord(record) {
-  return {
-    instrumentNumber: record.Instrument,
-    grantors: record.PartiesOne || [],
-    grantees: record.PartiesTwo || [],
-    recordDate: formatDate(record.RecordDate),
-    recordTimestamp: record.RecordDate,
-    docType: record.DocType,
-    docTypeShort: record.DocType?.match(/\(([^)]+)\)/)?.[1] || record.DocType,
-    legalDescription: record.Legal,
-    salesPrice: record.SalesPrice,
-    pageCount: record.PageCount,
-    documentId: record.ID,
-    uuid: record.UUID,
-    bookNum: record.BookNum,
-    pageNum: record.PageNum
-  };
-}
-
 function groupByDocType(documents) {
   const groups = {
-    deeds: [], mortgages: [], satisfactions: [], liens: [],
+    deeds: [], taxDeeds: [], mortgages: [], satisfactions: [], liens: [],
     lisPendens: [], easements: [], restrictions: [], judgments: [],
-    releases: [], assignments: [], other: []
+    releases: [], assignments: [], affidavits: [], courtPapers: [],
+    noticesOfCommencement: [], other: []
   };
   
   for (const doc of documents) {
     const type = doc.docTypeShort;
     switch (type) {
       case 'D': groups.deeds.push(doc); break;
+      case 'TAXDEED': groups.taxDeeds.push(doc); break;
       case 'MTG': case 'MTGREV': case 'MTGNDOC': case 'MTGNT': case 'MTGNIT':
         groups.mortgages.push(doc); break;
       case 'SAT': case 'SATCORPTX': groups.satisfactions.push(doc); break;
@@ -152,6 +165,9 @@ function groupByDocType(documents) {
       case 'JUD': groups.judgments.push(doc); break;
       case 'REL': case 'RELLP': groups.releases.push(doc); break;
       case 'ASG': case 'ASGT': case 'ASINT': groups.assignments.push(doc); break;
+      case 'AFF': groups.affidavits.push(doc); break;
+      case 'CP': groups.courtPapers.push(doc); break;
+      case 'NOC': groups.noticesOfCommencement.push(doc); break;
       default: groups.other.push(doc);
     }
   }
@@ -169,90 +185,30 @@ function buildChainOfTitle(deeds) {
     sequence: index + 1,
     date: deed.recordDate,
     instrumentNumber: deed.instrumentNumber,
+    docType: deed.docTypeShort,
     grantors: deed.grantors.join(', '),
     grantees: deed.grantees.join(', '),
+    grantorList: deed.grantors,
+    granteeList: deed.grantees,
     salesPrice: deed.salesPrice,
     legalDescription: deed.legalDescription,
     documentId: deed.documentId
   }));
 }
 
-function analyzeMortgages(mortgages, satisfactions) {
-  const analysis = { total: mortgages.length, satisfied: 0, open: [], satisfiedList: [] };
-  for (const mtg of mortgages) {
-    const grantors = mtg.grantors.join(' ').toLowerCase();
-    const matchingSat = satisfactions.find(sat => {
-      const satGrantors = sat.grantors.join(' ').toLowerCase();
-      return satGrantors.includes(grantors.split(' ')[0]) || grantors.includes(satGrantors.split(' ')[0]);
-    });
-    if (matchingSat) {
-      analysis.satisfied++;
-      analysis.satisfiedList.push({ mortgage: mtg, satisfaction: matchingSat });
-    } else {
-      analysis.open.push(mtg);
-    }
-  }
-  return analysis;
-}
-
-function identifyOpenLiens(liens, releases) {
-  const openLiens = [];
-  for (const lien of liens) {
-    const grantors = lien.grantors.join(' ').toLowerCase();
-    const hasRelease = releases.some(rel => {
-      const relGrantors = rel.grantors.join(' ').toLowerCase();
-      return relGrantors.includes(grantors.split(' ')[0]) || grantors.includes(relGrantors.split(' ')[0]);
-    });
-    if (!hasRelease) openLiens.push(lien);
-  }
-  return openLiens;
-}
-
-function identifyFlags(documents) {
-  const flags = [];
+function generateSummary(result, scoring) {
+  const { documents, chainOfTitle, mortgageAnalysis, openLiens, flags } = result;
   
-  const lisPendens = documents.filter(d => d.docTypeShort === 'LP');
-  if (lisPendens.length > 0) {
-    flags.push({ severity: 'high', type: 'lis_pendens', 
-      message: `Found ${lisPendens.length} lis pendens (pending litigation)`, documents: lisPendens });
-  }
-  
-  const judgments = documents.filter(d => d.docTypeShort === 'JUD');
-  if (judgments.length > 0) {
-    flags.push({ severity: 'high', type: 'judgment', 
-      message: `Found ${judgments.length} judgment(s)`, documents: judgments });
-  }
-  
-  const taxLiens = documents.filter(d => d.docTypeShort === 'LNCORPTX' || d.docType.includes('TAX'));
-  if (taxLiens.length > 0) {
-    flags.push({ severity: 'high', type: 'tax_lien', 
-      message: `Found ${taxLiens.length} tax-related lien(s)`, documents: taxLiens });
-  }
-  
-  const deeds = documents.filter(d => d.docTypeShort === 'D');
-  if (deeds.length >= 2) {
-    const sorted = [...deeds].sort((a, b) => b.recordTimestamp - a.recordTimestamp);
-    const daysBetween = (sorted[0].recordTimestamp - sorted[1].recordTimestamp) / 86400;
-    if (daysBetween < 90) {
-      flags.push({ severity: 'medium', type: 'quick_flip', 
-        message: `Property sold twice within ${Math.round(daysBetween)} days`, documents: [sorted[0], sorted[1]] });
-    }
-  }
-  
-  return flags;
-}
-
-function generateSummary(documents, chainOfTitle, mortgageAnalysis, openLiens, flags) {
-  const highFlags = flags.filter(f => f.severity === 'high');
-  const mediumFlags = flags.filter(f => f.severity === 'medium');
   return {
     totalDocuments: documents.length,
     chainOfTitleLength: chainOfTitle.length,
     totalMortgages: mortgageAnalysis.total,
     openMortgages: mortgageAnalysis.open.length,
     openLiens: openLiens.length,
-    highSeverityFlags: highFlags.length,
-    mediumSeverityFlags: mediumFlags.length,
-    riskLevel: highFlags.length > 0 ? 'HIGH' : (mediumFlags.length > 0 || openLiens.length > 0) ? 'MEDIUM' : 'LOW'
+    highSeverityFlags: flags.filter(f => f.severity === 'high').length,
+    mediumSeverityFlags: flags.filter(f => f.severity === 'medium').length,
+    riskScore: scoring.riskScore,
+    riskLevel: scoring.riskLevel,
+    rulesFired: scoring.rulesFired
   };
 }
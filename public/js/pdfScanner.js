@@ -2,8 +2,11 @@
  * PDF Text Scanner (Client-side)
  * Uses PDF.js to extract text from PDFs for mortgage/satisfaction matching
  * Falls back to Tesseract.js OCR for scanned documents
+ * Loaded as a module so it can share the server's party matcher
  */
 
+import { compareNames, compareParties, MATCH_THRESHOLDS } from './shared/partyMatcher.js';
+
 // Load PDF.js library
 const pdfjsLib = window['pdfjs-dist/build/pdf'] || window.pdfjsLib;
 
@@ -182,7 +185,7 @@ export async function extractTextFromDocument(documentId, options = {}) {
       usedOCR,
       needsManualReview: !finalHasText
     };
-    
+  
   } catch (error) {
     console.error('PDF extraction error:', error);
     return {
@@ -208,6 +211,11 @@ export function parseMortgageText(text) {
     maturityDate: null,
     interestRate: null,
     propertyAddress: null,
+    docStamps: null,
+    intangibleTax: null,
+    maritalStatus: null,
+    spouseJoinder: false,
+    homesteadRecital: null,
     confidence: 'low'
   };
   
@@ -217,6 +225,12 @@ export function parseMortgageText(text) {
   
   const normalizedText = text.toUpperCase();
   
+  // ===== RECORDING TAXES =====
+  Object.assign(info, matchRecordingTaxes(text));
+  
+  // ===== BORROWER MARITAL STATUS AND HOMESTEAD =====
+  Object.assign(info, matchMaritalRecitals(normalizedText, /\bLENDER\b|\bMORTGAGEE\b/));
+  
   // ===== PRINCIPAL AMOUNT EXTRACTION =====
   const amountPatterns = [
     // "principal sum of $X" or "principal amount of $X"
@@ -328,9 +342,16 @@ export function parseMortgageText(text) {
 export function parseDeedText(text) {
   const info = {
     consideration: null,
+    considerationSource: null,
+    docStamps: null,
     legalDescription: null,
     propertyAddress: null,
     deedType: null,
+    grantorCapacity: null,
+    maritalStatus: null,
+    spouseJoinder: false,
+    homesteadRecital: null,
+    vesting: null,
     confidence: 'low'
   };
   
@@ -347,9 +368,7 @@ export function parseDeedText(text) {
     // "consideration of $X"
     /CONSIDERATION\s+(?:OF\s+)?\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
     // "sum of $X"
-    /SUM\s+OF\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
-    // Documentary stamp tax (can calculate sale price from this)
-    /DOCUMENTARY\s+STAMP(?:S)?\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i
+    /SUM\s+OF\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i
   ];
   
   for (const pattern of considerationPatterns) {
@@ -358,39 +377,23 @@ export function parseDeedText(text) {
       const amount = parseFloat(match[1].replace(/,/g, ''));
       if (amount >= 1000) { // Reasonable minimum
         info.consideration = amount;
+        info.considerationSource = 'recital';
         break;
       }
     }
   }
   
-  // If we found doc stamps, calculate sale price (FL rate: $0.70 per $100)
-  if (!info.consideration && text.match(/DOCUMENTARY\s+STAMP/i)) {
-    const stampMatch = text.match(/\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)\s*(?:DOC|DOCUMENTARY)/i);
-    if (stampMatch) {
-      const stamps = parseFloat(stampMatch[1].replace(/,/g, ''));
-      info.consideration = (stamps / 0.70) * 100;
-    }
+  // ===== DOC STAMPS =====
+  info.docStamps = matchRecordingTaxes(text).docStamps;
+  
+  // No consideration recited - back-calculate it from the stamps (FL rate: $0.70 per $100)
+  if (!info.consideration && info.docStamps) {
+    info.consideration = (info.docStamps / 0.70) * 100;
+    info.considerationSource = 'doc_stamps';
   }
   
   // ===== LEGAL DESCRIPTION =====
-  const legalPatterns = [
-    // Lot/Block format
-    /(LOT\s+[0-9A-Z]+,?\s*(?:OF\s+)?BLOCK\s+[0-9A-Z]+[^.]*)/i,
-    // Unit/Condo format
-    /(UNIT\s+(?:NO\.?\s*)?[0-9A-Z-]+[^.]*(?:CONDOMINIUM|CONDO)[^.]*)/i,
-    // Section/Township/Range
-    /(SEC(?:TION)?\s+[0-9]+[^.]*TOWNSHIP\s+[0-9]+[^.]*RANGE\s+[0-9]+[^.]*)/i,
-    // Parcel ID
-    /PARCEL\s+(?:ID|IDENTIFICATION|NUMBER|NO\.?)?\s*:?\s*([0-9-]+)/i
-  ];
-  
-  for (const pattern of legalPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      info.legalDescription = match[1].trim().substring(0, 200); // Limit length
-      break;
-    }
-  }
+  info.legalDescription = matchLegalDescription(text);
   
   // ===== DEED TYPE =====
   if (/WARRANTY\s+DEED/i.test(normalizedText)) {
@@ -407,6 +410,15 @@ export function parseDeedText(text) {
     info.deedType = 'TRUSTEE DEED';
   }
   
+  // ===== GRANTOR CAPACITY =====
+  info.grantorCapacity = matchGrantorCapacity(normalizedText);
+  
+  // ===== GRANTOR MARITAL STATUS AND HOMESTEAD =====
+  Object.assign(info, matchMaritalRecitals(normalizedText, /\bGRANTEES?\b/));
+  
+  // ===== VESTING =====
+  info.vesting = matchVesting(normalizedText);
+  
   // ===== CONFIDENCE =====
   let confidenceScore = 0;
   if (info.consideration) confidenceScore += 2;
@@ -418,6 +430,134 @@ export function parseDeedText(text) {
   return info;
 }
 
+/**
+ * Full legal description from a deed: the text after "to-wit:" (or "the
+ * following described land") up to the closing clauses, falling back to the
+ * first lot, unit, section or metes and bounds call
+ * @param {string} text Raw PDF text
+ * @returns {string|null} Legal description with whitespace collapsed
+ */
+function matchLegalDescription(text) {
+  const normalizedText = text.replace(/\s+/g, ' ').toUpperCase();
+  const start = /TO[\s-]*WIT\s*:|FOLLOWING\s+DESCRIBED\s+(?:LAND|PROPERTY|REAL\s+PROPERTY|PARCEL)[^:]{0,80}:/.exec(normalizedText) ||
+    /\b(?:LOTS?\s+[0-9A-Z]+|UNIT\s+(?:NO\.?\s*)?[0-9A-Z-]+|SEC(?:TION)?\s+[0-9]+|COMMENC(?:E|ING)\s+AT)\b/.exec(normalizedText);
+  if (!start) return null;
+  
+  const from = start[0].endsWith(':') ? start.index + start[0].length : start.index;
+  const rest = normalizedText.slice(from, from + 4000);
+  const end = rest.search(/\bSUBJECT\s+TO\b|\bTOGETHER\s+WITH\b|\bTO\s+HAVE\s+AND\s+TO\s+HOLD\b|\bPARCEL\s+(?:ID|IDENTIFICATION)|\bPROPERTY\s+ADDRESS\b|\bFOLIO\b|\bGRANTORS?\s+(?:DOES|DO)\s+HEREBY\b|\bIN\s+WITNESS\s+WHEREOF\b/);
+  const description = (end >= 0 ? rest.slice(0, end) : rest).replace(/^[\s:]+|[\s,;]+$/g, '');
+  
+  return description.length > 10 ? description : null;
+}
+
+/**
+ * Capacity the grantor conveys in when title passed on a death (personal
+ * representative, heir, surviving spouse or surviving joint tenant)
+ * @param {string} normalizedText Upper-cased deed text
+ * @returns {string|null} personal_representative, heir, surviving_spouse, surviving_tenant or null
+ */
+function matchGrantorCapacity(normalizedText) {
+  // Boilerplate ("heirs, personal representatives and assigns") uses the plural
+  if (/PERSONAL\s+REPRESENTATIVE(?!S)|\bEXECUT(?:OR|RIX)\s+OF\b|ADMINISTRAT(?:OR|RIX)\s+OF\s+THE\s+ESTATE/.test(normalizedText)) {
+    return 'personal_representative';
+  }
+  if (/SURVIVING\s+SPOUSE|SURVIVING\s+(?:HUSBAND|WIFE)|WIDOWE?R?\b/.test(normalizedText)) {
+    return 'surviving_spouse';
+  }
+  if (/SURVIVING\s+(?:JOINT\s+)?TENANT|SURVIVOR\s+OF/.test(normalizedText)) {
+    return 'surviving_tenant';
+  }
+  if (/\bAS\s+(?:THE\s+)?(?:SOLE\s+)?HEIRS?\b|\bHEIRS?\s+AT\s+LAW\s+OF\b|\bBENEFICIAR(?:Y|IES)\s+OF\s+THE\s+ESTATE/.test(normalizedText)) {
+    return 'heir';
+  }
+  return null;
+}
+
+/**
+ * Marital status recited for the grantor or borrower, whether a spouse joins,
+ * and any homestead recital. The status is read only from the text before
+ * the other party's label so the grantee's or lender's description isn't used.
+ * @param {string} normalizedText Upper-cased text
+ * @param {RegExp} otherParty Label of the other party (grantee, lender)
+ * @returns {Object} { maritalStatus, spouseJoinder, homesteadRecital }
+ */
+function matchMaritalRecitals(normalizedText, otherParty) {
+  const otherAt = normalizedText.search(otherParty);
+  const clause = normalizedText.slice(0, otherAt > 0 ? otherAt : 1500);
+  
+  let maritalStatus = null;
+  if (/HUSBAND\s+AND\s+WIFE|WIFE\s+AND\s+HUSBAND|MARRIED\s+TO\s+EACH\s+OTHER|A\s+MARRIED\s+COUPLE/.test(clause)) {
+    maritalStatus = 'husband_and_wife';
+  } else if (/\bUNMARRIED\b|\bSINGLE\s+(?:MAN|WOMAN|PERSON)\b|\bDIVORCED\b|\bNEVER\s+BEEN\s+MARRIED\b/.test(clause)) {
+    maritalStatus = 'unmarried';
+  } else if (/\bWIDOWE?R?\b|SURVIVING\s+SPOUSE/.test(clause)) {
+    maritalStatus = 'widowed';
+  } else if (/\bMARRIED\b/.test(clause)) {
+    maritalStatus = 'married';
+  }
+  
+  const spouseJoinder = /JOINED\s+BY\s+(?:HIS|HER|THEIR|GRANTOR'?S|BORROWER'?S)?\s*(?:WIFE|HUSBAND|SPOUSE)|\bSPOUSE\s+JOINS\b|JOINDER\s+(?:OF|BY)\s+(?:THE\s+)?(?:NON-?\s*BORROWER\s+|NON-?\s*OWNER\s+)?SPOUSE|NON-?\s*BORROWER\s+SPOUSE/.test(normalizedText);
+  
+  let homesteadRecital = null;
+  if (/NOT\s+(?:THE\s+)?(?:CONSTITUTIONAL\s+)?HOMESTEAD|NON-?\s*HOMESTEAD|NOR\s+(?:IS\s+IT\s+)?CONTIGUOUS\s+(?:THERETO|TO\s+THE\s+HOMESTEAD)/.test(normalizedText)) {
+    homesteadRecital = 'non_homestead';
+  } else if (/(?:IS|CONSTITUTES)\s+THE\s+(?:CONSTITUTIONAL\s+)?HOMESTEAD\s+OF/.test(normalizedText)) {
+    homesteadRecital = 'homestead';
+  }
+  
+  return { maritalStatus, spouseJoinder, homesteadRecital };
+}
+
+/**
+ * How the grantees take title, from the deed's vesting language. Marital
+ * status is only read from the grantee clause (between "grantor" and
+ * "grantee") so the grantor's description isn't picked up.
+ * @param {string} normalizedText Upper-cased deed text
+ * @returns {string|null} tenants_by_entirety, joint_tenants, tenants_in_common, trustee, sole_owner or null
+ */
+function matchVesting(normalizedText) {
+  const grantorAt = normalizedText.search(/\bGRANTORS?\b/);
+  const granteeAt = grantorAt >= 0 ? normalizedText.slice(grantorAt).search(/\bGRANTEES?\b/) : -1;
+  const granteeClause = granteeAt > 0 ? normalizedText.slice(grantorAt, grantorAt + granteeAt) : normalizedText;
+  
+  if (/TENANTS?\s+BY\s+THE\s+ENTIRET(?:Y|IES)/.test(normalizedText)) return 'tenants_by_entirety';
+  if (/JOINT\s+TENANTS?\s+WITH\s+(?:FULL\s+)?RIGHTS?\s+OF\s+SURVIVORSHIP|\bJTWROS\b|WITH\s+(?:FULL\s+)?RIGHTS?\s+OF\s+SURVIVORSHIP/.test(normalizedText)) {
+    return 'joint_tenants';
+  }
+  if (/TENANTS?\s+IN\s+COMMON/.test(normalizedText)) return 'tenants_in_common';
+  if (/\bAS\s+(?:SUCCESSOR\s+)?TRUSTEES?\b|\bTRUSTEES?\s+OF\s+THE\b|LAND\s+TRUST\s+AGREEMENT/.test(granteeClause)) return 'trustee';
+  // Spouses take as tenants by the entirety unless the deed says otherwise
+  if (/HUSBAND\s+AND\s+WIFE|WIFE\s+AND\s+HUSBAND|\bHIS\s+WIFE\b|\bHER\s+HUSBAND\b|MARRIED\s+COUPLE|\bSPOUSES\b/.test(granteeClause)) {
+    return 'tenants_by_entirety';
+  }
+  if (/\bA\s+SINGLE\s+(?:MAN|WOMAN|PERSON)|\bAN?\s+UNMARRIED\s+(?:MAN|WOMAN|PERSON)|\bA\s+WIDOW(?:ER)?\b/.test(granteeClause)) {
+    return 'sole_owner';
+  }
+  return null;
+}
+
+/**
+ * Documentary stamp and intangible tax paid, from the clerk's recording stamp
+ * ("DOC TAX PD(F.S.201.02) $1,470.00", "INT TAX PD(F.S.199) $400.00")
+ * @param {string} text Raw PDF text
+ * @returns {Object} { docStamps, intangibleTax }
+ */
+function matchRecordingTaxes(text) {
+  const amountAfter = label => text.match(new RegExp(`${label}(?:\\s*-\\s*(?:DEED|MORT(?:GAGE)?))?(?:\\s+PA?I?D)?` +
+    `\\s*(?:\\(\\s*F\\.?\\s*S\\.?\\s*[0-9.]+\\s*\\))?[\\s:]*\\$?\\s*([0-9,]*[0-9]\\.[0-9]{2})`, 'i'));
+  const toAmount = match => match ? parseFloat(match[1].replace(/,/g, '')) : null;
+  
+  // Older stamps put the amount before the label ("$1,470.00 DOC STAMPS")
+  const docStamps = amountAfter('DOC(?:UMENTARY)?\\.?\\s*(?:STAMPS?|TAX)(?:\\s+TAX)?') ||
+    text.match(/\$[\s,]*([0-9,]+\.[0-9]{2})\s*(?:DOC|DOCUMENTARY)/i);
+  
+  return {
+    docStamps: toAmount(docStamps),
+    intangibleTax: toAmount(amountAfter('INT(?:ANGIBLE|ANG)?\\.?\\s*TAX'))
+  };
+}
+
 /**
  * Parse satisfaction document text
  * @param {string} text Raw PDF text
@@ -514,9 +654,176 @@ export function parseSatisfactionText(text) {
   return info;
 }
 
+/**
+ * Parse assignment of mortgage text
+ * @param {string} text Raw PDF text
+ * @param {Object} recording The assignment's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {Object} Extracted assignment info
+ */
+export function parseAssignmentText(text, recording = {}) {
+  const info = {
+    assignor: null,
+    assignee: null,
+    mortgageInstrumentNumber: null,
+    mortgageBookPage: null,
+    originalAmount: null,
+    minNumber: null,
+    isMERS: false,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  const cleanName = name => name
+    .replace(/\s+/g, ' ')
+    .replace(/^.*?(?:PRESENTS|RECEIVED)\s*,?\s*(?:THAT\s+)?/i, '')
+    .replace(/,?\s*ITS\s+SUCCESSORS.*$/i, '')
+    .replace(/[,\s]+$/, '')
+    .trim();
+  
+  // ===== ASSIGNOR / ASSIGNEE =====
+  const assignorPatterns = [
+    /ASSIGNOR\s*[:\-]\s*([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*[,\n]|$)/i,
+    /([A-Z][A-Z0-9\s,\.&'-]{3,}?)\s*,?\s*\(?["“]?(?:THE\s+)?ASSIGNOR["”]?\)?/i,
+    /(?:KNOW\s+ALL\s+MEN\s+BY\s+THESE\s+PRESENTS|FOR\s+VALUE\s+RECEIVED)\s*,?\s*(?:THAT\s+)?([A-Z][A-Z0-9\s,\.&'-]+?)\s*,?\s*(?:THE\s+UNDERSIGNED\s*,?\s*)?(?:DOES\s+)?HEREBY\s+(?:GRANTS?|ASSIGNS?|TRANSFERS?)/i
+  ];
+  
+  for (const pattern of assignorPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const name = cleanName(match[1]);
+      if (name.length > 3) {
+        info.assignor = name;
+        break;
+      }
+    }
+  }
+  
+  const assigneePatterns = [
+    /ASSIGNEE\s*[:\-]\s*([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*[,\n]|$)/i,
+    /(?:ASSIGNS?|TRANSFERS?|CONVEYS?)(?:\s*,?\s*(?:GRANTS?|SELLS?|TRANSFERS?|AND|SETS?\s+OVER))*\s+(?:UNTO|TO)\s+([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*,?\s*(?:ITS\s+SUCCESSORS|WHOSE\s+ADDRESS|\(|["“])|[\n]|$)/i,
+    /([A-Z][A-Z0-9\s,\.&'-]{3,}?)\s*,?\s*\(?["“]?(?:THE\s+)?ASSIGNEE["”]?\)?/i
+  ];
+  
+  for (const pattern of assigneePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const name = cleanName(match[1]);
+      if (name.length > 3 && name !== info.assignor) {
+        info.assignee = name;
+        break;
+      }
+    }
+  }
+  
+  // ===== ASSIGNED MORTGAGE REFERENCE =====
+  // Only from the clause citing where the mortgage is recorded - the
+  // assignment's own stamp carries an instrument number and book/page too
+  const cited = matchCitedRecordings(normalizedText, ownRecordingReferences(normalizedText, recording));
+  const bookPage = cited.find(ref => ref.book);
+  if (bookPage) {
+    info.mortgageBookPage = `Book ${bookPage.book}, Page ${bookPage.page}`;
+  }
+  
+  const instrument = cited.find(ref => ref.instrumentNumber);
+  if (instrument) {
+    info.mortgageInstrumentNumber = instrument.instrumentNumber;
+  }
+  
+  // ===== ORIGINAL AMOUNT =====
+  const amountPatterns = [
+    /(?:ORIGINAL\s+)?(?:PRINCIPAL\s+)?(?:AMOUNT|SUM)\s+OF\s*\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
+    /\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/
+  ];
+  
+  for (const pattern of amountPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const amount = parseFloat(match[1].replace(/,/g, ''));
+      if (amount >= 10000) {
+        info.originalAmount = amount;
+        break;
+      }
+    }
+  }
+  
+  // ===== MERS =====
+  info.isMERS = /MORTGAGE\s+ELECTRONIC\s+REGISTRATION\s+SYSTEMS|\bMERS\b/.test(normalizedText);
+  
+  // MERS MIN is 18 digits, usually printed as 1234567-1234567890-1
+  const minMatch = normalizedText.match(/\bMIN\s*(?:#|NO\.?|NUMBER)?\s*:?\s*([0-9][0-9\s-]{16,22}[0-9])/);
+  if (minMatch) {
+    const digits = minMatch[1].replace(/[^0-9]/g, '');
+    if (digits.length === 18) {
+      info.minNumber = digits;
+    }
+  }
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.mortgageInstrumentNumber || info.mortgageBookPage) confidenceScore += 3;
+  if (info.assignee) confidenceScore += 2;
+  if (info.assignor) confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 5 ? 'high' : confidenceScore >= 3 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Recordings the document cites as recorded - "recorded in Official Records
+ * Book 123, Page 45", "recorded on ... as Instrument No. 2015123456" or an
+ * "Official Records Book ... Page" citation - rather than any number that
+ * looks like one
+ * @param {string} normalizedText Upper-cased text
+ * @param {string[]} own The document's own references, left out (see ownRecordingReferences)
+ * @returns {Object[]} { instrumentNumber } or { book, page }, in the order cited
+ */
+function matchCitedRecordings(normalizedText, own = []) {
+  const pattern = /RECORDED\b[^;]{0,80}?(?:(?:BOOK|BK\.?)\s*([0-9]+)\s*,?\s*(?:AT\s+)?(?:PAGES?|PGS?\.?)\s*([0-9]+)|(?:INSTRUMENT|DOCUMENT|CFN|CLERK'?S\s+FILE)\s*(?:NO\.?|NUMBER|#)?\s*:?\s*([0-9]{6,}))|OFFICIAL\s+RECORDS?\s+BOOK\s+([0-9]+)\s*,?\s*(?:AT\s+)?PAGES?\s+([0-9]+)/g;
+  
+  const cited = [];
+  let match;
+  while ((match = pattern.exec(normalizedText)) !== null) {
+    const book = match[1] || match[4];
+    const page = match[2] || match[5];
+    const ref = match[3] ? { instrumentNumber: match[3] } : { book, page };
+    if (own.includes(match[3] || `Book ${book}, Page ${page}`)) continue;
+    cited.push(ref);
+  }
+  return cited;
+}
+
+/**
+ * The document's own recording, to leave out of what it cites: the
+ * instrument, book and page it was filed under, and the clerk's stamp
+ * ("INSTRUMENT#: 2019123456 OR BK 26000 PG 100")
+ * @param {string} normalizedText Upper-cased text
+ * @param {Object} recording The document's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {string[]} Instrument numbers and "Book n, Page n" references
+ */
+function ownRecordingReferences(normalizedText, recording = {}) {
+  const own = [];
+  if (recording.instrumentNumber) {
+    own.push(String(recording.instrumentNumber));
+  }
+  if (recording.bookNum && recording.pageNum) {
+    own.push(`Book ${parseInt(recording.bookNum)}, Page ${parseInt(recording.pageNum)}`);
+  }
+  
+  const stamp = normalizedText.match(/INSTRUMENT\s*#\s*:?\s*([0-9]{6,})[\s,]*(?:O\.?\s?R?\.?\s*)?(?:BK|BOOK)\.?\s*:?\s*([0-9]+)\s*,?\s*(?:PG|PAGE)\.?\s*:?\s*([0-9]+)/);
+  if (stamp) {
+    own.push(stamp[1], `Book ${stamp[2]}, Page ${stamp[3]}`);
+  }
+  return own;
+}
+
 /**
  * Batch scan documents for text extraction
- * @param {Array} documents - Documents to scan (mortgages and satisfactions)
+ * @param {Array} documents - Documents to scan (mortgages, satisfactions and assignments)
  * @param {Function} onProgress - Progress callback (scanned, total, current, status)
  * @param {Object} options - Scan options
  * @returns {Promise<Object>} Scan results with extracted data
@@ -563,8 +870,10 @@ export async function batchScanDocuments(documents, onProgress = () => {}, optio
           result.extractedData = parseMortgageText(extraction.text);
         } else if (doc.docTypeShort === 'SAT' || doc.docTypeShort?.includes('SAT')) {
           result.extractedData = parseSatisfactionText(extraction.text);
-        } else if (doc.docTypeShort === 'D') {
+        } else if (doc.docTypeShort === 'D' || doc.docTypeShort === 'TAXDEED') {
           result.extractedData = parseDeedText(extraction.text);
+        } else if (doc.docTypeShort?.startsWith('ASG') || doc.docTypeShort === 'ASINT') {
+          result.extractedData = parseAssignmentText(extraction.text, doc);
         }
         
         results.successful++;
@@ -576,7 +885,7 @@ export async function batchScanDocuments(documents, onProgress = () => {}, optio
       }
       
       results.documents.push(result);
-      
+    
     } catch (error) {
       console.error(`Error scanning ${doc.instrumentNumber}:`, error);
       results.documents.push({
@@ -649,25 +958,18 @@ export function matchSatisfactionsToMortgages(mortgages, satisfactions) {
       
       // Method 4: Lender name match
       if (satData.originalLender && mtgData.lenderName) {
-        const satLender = satData.originalLender.toLowerCase();
-        const mtgLender = mtgData.lenderName.toLowerCase();
-        if (satLender.includes(mtgLender.split(' ')[0]) || 
-            mtgLender.includes(satLender.split(' ')[0])) {
-          score += 20;
-          matchReasons.push('Lender name partial match');
+        const lender = compareNames(satData.originalLender, mtgData.lenderName);
+        if (lender.score >= MATCH_THRESHOLDS.possible) {
+          score += Math.round(20 * lender.score);
+          matchReasons.push(`Lender name match (${lender.reasons.join(', ')})`);
         }
       }
       
       // Method 5: Name match (fallback - parties involved)
-      const satGrantors = (sat.grantors || []).join(' ').toLowerCase();
-      const mtgGrantors = (mtg.grantors || []).join(' ').toLowerCase();
-      if (satGrantors && mtgGrantors) {
-        const satFirstName = satGrantors.split(' ')[0];
-        const mtgFirstName = mtgGrantors.split(' ')[0];
-        if (satFirstName === mtgFirstName) {
-          score += 10;
-          matchReasons.push('Grantor name match');
-        }
+      const borrower = compareParties([...(sat.grantors || []), ...(sat.grantees || [])], mtg.grantors || []);
+      if (borrower.score >= MATCH_THRESHOLDS.strong) {
+        score += 10;
+        matchReasons.push('Grantor name match');
       }
       
       // Method 6: Date logic (satisfaction must be after mortgage)
@@ -723,6 +1025,7 @@ window.PdfScanner = {
   parseMortgageText,
   parseDeedText,
   parseSatisfactionText,
+  parseAssignmentText,
   batchScanDocuments,
   matchSatisfactionsToMortgages,
   terminateOCR
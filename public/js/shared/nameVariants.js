@@ -0,0 +1,228 @@
+/**
+ * Party Name Normalization and Variants
+ * Builds the name variants an examiner would try against the clerk index
+ */
+
+// Joinder words that follow a party name in the index ("SMITH JOHN ET UX")
+const JOINDER_PATTERN = /\s+(?:ET\s*UX|ET\s*AL|ET\s*VIR|ETUX|ETAL|ETVIR)\.?\s*$/;
+
+// Generational suffixes
+const SUFFIXES = ['JR', 'SR', 'II', 'III', 'IV', 'V'];
+
+// Equivalent corporate designators - each family is searched in every form
+const CORPORATE_FORMS = [
+  ['LLC', 'L L C', 'L.L.C.'],
+  ['INC', 'INC.', 'INCORPORATED'],
+  ['CORP', 'CORP.', 'CORPORATION'],
+  ['CO', 'CO.', 'COMPANY'],
+  ['LTD', 'LTD.', 'LIMITED'],
+  ['LP', 'L P', 'L.P.'],
+  ['LLP', 'L L P', 'L.L.P.'],
+  ['PA', 'P A', 'P.A.']
+];
+
+// Other words that mark a party as an entity rather than a person
+const ENTITY_WORDS = /\b(?:BANK|TRUST|TRUSTEE|ASSOCIATION|ASSN|HOA|HOMEOWNERS|CONDOMINIUM|CREDIT\s+UNION|MORTGAGE|FUND|HOLDINGS|PROPERTIES|INVESTMENTS|PARTNERS|GROUP|COUNTY|CITY|STATE|UNITED\s+STATES|DEPARTMENT|DEPT|REVENUE|INTERNAL\s+REVENUE)\b/;
+
+// Common given-name / nickname pairs (both directions are searched)
+const NICKNAMES = {
+  WILLIAM: ['BILL', 'WILL', 'BILLY', 'WILLIE'],
+  ROBERT: ['BOB', 'ROB', 'BOBBY'],
+  RICHARD: ['RICK', 'DICK', 'RICH'],
+  JAMES: ['JIM', 'JIMMY'],
+  JOHN: ['JACK', 'JOHNNY'],
+  JOSEPH: ['JOE', 'JOEY'],
+  THOMAS: ['TOM', 'TOMMY'],
+  CHARLES: ['CHARLIE', 'CHUCK'],
+  MICHAEL: ['MIKE'],
+  DAVID: ['DAVE'],
+  DANIEL: ['DAN', 'DANNY'],
+  EDWARD: ['ED', 'EDDIE', 'TED'],
+  ANTHONY: ['TONY'],
+  CHRISTOPHER: ['CHRIS'],
+  MATTHEW: ['MATT'],
+  NICHOLAS: ['NICK'],
+  STEVEN: ['STEVE'],
+  STEPHEN: ['STEVE'],
+  GREGORY: ['GREG'],
+  KENNETH: ['KEN', 'KENNY'],
+  RONALD: ['RON'],
+  DONALD: ['DON'],
+  GERALD: ['JERRY'],
+  LAWRENCE: ['LARRY'],
+  TIMOTHY: ['TIM'],
+  PATRICK: ['PAT'],
+  PATRICIA: ['PAT', 'PATTY', 'TRISH'],
+  ELIZABETH: ['LIZ', 'BETH', 'BETTY', 'ELIZA'],
+  MARGARET: ['PEGGY', 'MAGGIE', 'MEG'],
+  KATHERINE: ['KATHY', 'KATE', 'KATIE'],
+  CATHERINE: ['CATHY', 'KATE'],
+  JENNIFER: ['JENNY', 'JEN'],
+  SUSAN: ['SUE', 'SUSIE'],
+  DEBORAH: ['DEBBIE', 'DEB'],
+  REBECCA: ['BECKY'],
+  VICTORIA: ['VICKY', 'TORI'],
+  ALEXANDER: ['ALEX'],
+  BENJAMIN: ['BEN'],
+  SAMUEL: ['SAM'],
+  ANDREW: ['ANDY', 'DREW']
+};
+
+/**
+ * Normalize a party name for searching (upper case, no joinder words, single spaces)
+ * @param {string} name Raw party name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .toUpperCase()
+    .replace(/[,;]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(JOINDER_PATTERN, '')
+    .trim();
+}
+
+/**
+ * Find the corporate designator family a name ends with
+ * @param {string} name Normalized name
+ * @returns {Object|null} { base, forms } or null
+ */
+function splitCorporateForm(name) {
+  for (const forms of CORPORATE_FORMS) {
+    for (const form of forms) {
+      const escaped = form.replace(/\./g, '\\.').replace(/ /g, '\\s*');
+      const match = name.match(new RegExp(`^(.+?)\\s+${escaped}$`));
+      if (match) {
+        return { base: match[1].trim(), forms };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a name is an entity (company, bank, trust, government)
+ * @param {string} name Party name
+ * @returns {boolean}
+ */
+export function isEntityName(name) {
+  const normalized = normalizeName(name);
+  return splitCorporateForm(normalized) !== null || ENTITY_WORDS.test(normalized);
+}
+
+/**
+ * Look up nickname equivalents for a given name
+ * @param {string} first Given name
+ * @returns {string[]} Equivalent names
+ */
+export function nicknamesFor(first) {
+  const names = new Set(NICKNAMES[first] || []);
+  for (const [formal, nicknames] of Object.entries(NICKNAMES)) {
+    if (nicknames.includes(first)) names.add(formal);
+  }
+  names.delete(first);
+  return [...names];
+}
+
+/**
+ * Generate clerk search variants for a party name
+ * @param {string} name Party name (LAST FIRST MIDDLE for people)
+ * @returns {Object[]} Variants as { name, rule }, original first
+ */
+export function generateNameVariants(name) {
+  const normalized = normalizeName(name);
+  const variants = [];
+  const add = (value, rule) => {
+    const clean = value.replace(/\s+/g, ' ').trim();
+    if (clean && !variants.some(v => v.name === clean)) {
+      variants.push({ name: clean, rule });
+    }
+  };
+  
+  if (!normalized) return variants;
+  add(normalized, 'original');
+  
+  // ===== ENTITIES =====
+  const corporate = splitCorporateForm(normalized);
+  if (corporate) {
+    for (const form of corporate.forms) {
+      add(`${corporate.base} ${form}`, 'corporate_form');
+    }
+    add(corporate.base, 'corporate_base');
+    return variants;
+  }
+  if (ENTITY_WORDS.test(normalized)) {
+    return variants;
+  }
+  
+  // ===== PEOPLE: LAST FIRST MIDDLE SUFFIX =====
+  const tokens = normalized.split(' ');
+  let suffix = null;
+  if (tokens.length > 2 && SUFFIXES.includes(tokens[tokens.length - 1])) {
+    suffix = tokens.pop();
+  }
+  
+  const [last, first, ...middle] = tokens;
+  if (!first) return variants;
+  
+  // Surname forms (hyphenated surnames are indexed several ways)
+  const surnames = [last];
+  if (last.includes('-')) {
+    const parts = last.split('-');
+    surnames.push(parts.join(' '), parts.join(''), ...parts);
+  }
+  
+  // Middle name forms: full, initial, none
+  const middleForms = [];
+  if (middle.length > 0) {
+    middleForms.push([middle.join(' '), 'original'], [middle[0][0], 'middle_initial']);
+  }
+  middleForms.push(['', middle.length > 0 ? 'without_middle' : 'original']);
+  
+  for (const surname of surnames) {
+    for (const given of [first, ...nicknamesFor(first)]) {
+      const rule = surname !== last ? 'hyphenated_surname' : given !== first ? 'nickname' : null;
+      
+      for (const [middleForm, middleRule] of middleForms) {
+        const value = `${surname} ${given} ${middleForm}`;
+        if (suffix) {
+          add(`${value} ${suffix}`, rule || middleRule);
+        }
+        add(value, rule || (suffix ? 'without_suffix' : middleRule));
+      }
+    }
+  }
+  
+  return variants;
+}
+
+/**
+ * Find which search variant turned up a record
+ * @param {Object} doc Parsed record (grantors/grantees)
+ * @param {Object[]} variants Variants from generateNameVariants
+ * @returns {Object|null} Matched variant plus the party it matched, or null
+ */
+export function findMatchedVariant(doc, variants) {
+  const parties = [...(doc.grantors || []), ...(doc.grantees || [])].map(normalizeName);
+  
+  // Exact match first, then a party that begins with the variant (extra middle name or suffix)
+  for (const variant of variants) {
+    const party = parties.find(p => p === variant.name);
+    if (party) return { ...variant, party };
+  }
+  for (const variant of variants) {
+    const party = parties.find(p => p.startsWith(`${variant.name} `));
+    if (party) return { ...variant, party };
+  }
+  
+  return null;
+}
+
+export default {
+  normalizeName,
+  isEntityName,
+  nicknamesFor,
+  generateNameVariants,
+  findMatchedVariant
+};
@@ -0,0 +1,258 @@
+/**
+ * Party Matching (Entity Resolution)
+ * Scores whether two party names refer to the same person or entity.
+ * Shared by the mortgage, lien and satisfaction analyzers and the browser
+ * PDF scanner, so it lives with the static files and uses no Node APIs.
+ */
+
+import { normalizeName, isEntityName, nicknamesFor } from './nameVariants.js';
+
+// Score thresholds (0-1)
+export const MATCH_THRESHOLDS = {
+  strong: 0.85,
+  possible: 0.6
+};
+
+// Corporate designators - ignored when comparing entity names
+const DESIGNATORS = new Set([
+  'LLC', 'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LTD',
+  'LIMITED', 'LP', 'LLP', 'PA', 'NA', 'FSB', 'PLLC', 'PC'
+]);
+
+// Words too common among lenders/entities to show two names are the same
+const GENERIC_ENTITY_WORDS = new Set([
+  'THE', 'OF', 'AND', 'BANK', 'MORTGAGE', 'NATIONAL', 'ASSOCIATION', 'ASSN',
+  'FINANCIAL', 'SERVICES', 'SERVICING', 'HOME', 'HOMES', 'LOANS', 'LOAN',
+  'FEDERAL', 'SAVINGS', 'CREDIT', 'UNION', 'TRUST', 'FUNDING', 'LENDING',
+  'CAPITAL', 'GROUP', 'HOLDINGS', 'INVESTMENTS', 'PROPERTIES', 'AMERICA',
+  'AMERICAN', 'FIRST', 'UNITED', 'STATES', 'FLORIDA', 'SYSTEMS', 'ELECTRONIC',
+  'REGISTRATION', 'AS', 'NOMINEE', 'FOR', 'TRUSTEE', 'SUCCESSOR', 'BY', 'MERGER'
+]);
+
+const SUFFIXES = new Set(['JR', 'SR', 'II', 'III', 'IV', 'V']);
+
+/**
+ * Parse a party name into comparable parts
+ * @param {string} name Party name
+ * @returns {Object} { raw, isEntity, tokens, suffix }
+ */
+export function parseParty(name) {
+  const normalized = normalizeName(name);
+  const isEntity = isEntityName(normalized);
+  
+  let tokens = normalized
+    .replace(/\b([A-Z])\.(?=[A-Z]\.)/g, '$1')
+    .replace(/[^A-Z0-9 -]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  
+  let suffix = null;
+  if (isEntity) {
+    // "L L C" / "N A" - join runs of single letters before dropping designators
+    tokens = tokens.reduce((joined, token, i) => {
+      if (token.length === 1 && i > 0 && tokens[i - 1].length === 1) {
+        joined[joined.length - 1] += token;
+      } else {
+        joined.push(token);
+      }
+      return joined;
+    }, []);
+    tokens = tokens.filter(token => !DESIGNATORS.has(token));
+  } else if (tokens.length > 2 && SUFFIXES.has(tokens[tokens.length - 1])) {
+    suffix = tokens.pop();
+  }
+  
+  return { raw: normalized, isEntity, tokens, suffix };
+}
+
+/**
+ * Compare two party names
+ * @param {string} a Party name
+ * @param {string} b Party name
+ * @returns {Object} { score (0-1), reasons }
+ */
+export function compareNames(a, b) {
+  const partyA = parseParty(a);
+  const partyB = parseParty(b);
+  
+  if (partyA.tokens.length === 0 || partyB.tokens.length === 0) {
+    return { score: 0, reasons: ['Missing name'] };
+  }
+  
+  if (partyA.raw === partyB.raw) {
+    return { score: 1, reasons: ['Exact name match'] };
+  }
+  
+  if (partyA.isEntity !== partyB.isEntity) {
+    // Entity detection is keyword based - "ACME HOA" vs "ACME HOA INC" should
+    // still match, so compare as entities with a small discount
+    const result = compareEntities(partyA, partyB);
+    return {
+      score: Math.round(result.score * 90) / 100,
+      reasons: [...result.reasons, 'Entity vs. individual']
+    };
+  }
+  
+  return partyA.isEntity ? compareEntities(partyA, partyB) : comparePeople(partyA, partyB);
+}
+
+/**
+ * Compare two entity names on their distinctive words
+ */
+function compareEntities(a, b) {
+  const distinctiveA = a.tokens.filter(t => !GENERIC_ENTITY_WORDS.has(t));
+  const distinctiveB = b.tokens.filter(t => !GENERIC_ENTITY_WORDS.has(t));
+  
+  if (a.tokens.join(' ') === b.tokens.join(' ')) {
+    return { score: 0.95, reasons: ['Entity name match (designator ignored)'] };
+  }
+  
+  if (distinctiveA.length === 0 || distinctiveB.length === 0) {
+    // Nothing but generic words ("FIRST NATIONAL BANK") - weak evidence at best
+    const overlap = jaccard(a.tokens, b.tokens);
+    return { score: Math.round(overlap * 50) / 100, reasons: ['Only generic entity words to compare'] };
+  }
+  
+  const overlap = Math.round(jaccard(distinctiveA, distinctiveB) * 100) / 100;
+  const reasons = [];
+  if (overlap > 0) {
+    const shared = distinctiveA.filter(t => distinctiveB.includes(t));
+    reasons.push(`Shared distinctive words: ${shared.join(', ')}`);
+  } else {
+    reasons.push('No distinctive words in common');
+  }
+  
+  return { score: overlap, reasons };
+}
+
+/**
+ * Compare two individuals, allowing for LAST FIRST / FIRST LAST ordering,
+ * initials, nicknames and suffixes
+ */
+function comparePeople(a, b) {
+  // Index names are LAST FIRST MIDDLE; document text is often FIRST MIDDLE LAST,
+  // on either side
+  const lastFirst = tokens => [tokens[tokens.length - 1], ...tokens.slice(0, -1)];
+  const orders = [[a.tokens, b.tokens]];
+  if (b.tokens.length >= 2) orders.push([a.tokens, lastFirst(b.tokens)]);
+  if (a.tokens.length >= 2) orders.push([lastFirst(a.tokens), b.tokens]);
+  
+  let best = { score: 0, reasons: ['No name parts in common'] };
+  
+  orders.forEach(([tokensA, tokensB], index) => {
+    const result = comparePersonTokens(tokensA, tokensB);
+    if (index > 0) result.reasons.push('Reversed name order');
+    
+    if (a.suffix && b.suffix && a.suffix !== b.suffix) {
+      result.score -= 0.4;
+      result.reasons.push(`Suffix conflict (${a.suffix}/${b.suffix})`);
+    }
+    
+    if (result.score > best.score) {
+      best = result;
+    }
+  });
+  
+  best.score = Math.round(Math.max(0, Math.min(1, best.score)) * 100) / 100;
+  return best;
+}
+
+/**
+ * Score LAST FIRST MIDDLE token lists
+ */
+function comparePersonTokens(tokensA, tokensB) {
+  const [lastA, firstA, ...middleA] = tokensA;
+  const [lastB, firstB, ...middleB] = tokensB;
+  const reasons = [];
+  let score = 0;
+  
+  // Surname (hyphenated surnames match on either part)
+  const partsA = lastA.split('-');
+  const partsB = lastB.split('-');
+  if (lastA === lastB) {
+    score += 0.5;
+    reasons.push('Surname match');
+  } else if (partsA.some(p => partsB.includes(p))) {
+    score += 0.4;
+    reasons.push('Hyphenated surname partial match');
+  } else {
+    return { score: 0, reasons: ['Surname differs'] };
+  }
+  
+  // Given name
+  if (!firstA || !firstB) {
+    reasons.push('Given name missing');
+  } else if (firstA === firstB) {
+    score += 0.35;
+    reasons.push('Given name match');
+  } else if (nicknamesFor(firstA).includes(firstB)) {
+    score += 0.3;
+    reasons.push(`Nickname match (${firstA}/${firstB})`);
+  } else if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) {
+    score += 0.2;
+    reasons.push('Initial matches given name');
+  } else {
+    reasons.push('Given name differs');
+    return { score: Math.min(score, 0.4), reasons };
+  }
+  
+  // Middle name / initial
+  if (middleA.length > 0 && middleB.length > 0) {
+    const midA = middleA[0];
+    const midB = middleB[0];
+    if (midA === midB) {
+      score += 0.15;
+      reasons.push('Middle name match');
+    } else if (midA[0] === midB[0] && (midA.length === 1 || midB.length === 1)) {
+      score += 0.1;
+      reasons.push('Middle initial match');
+    } else {
+      // Different middle names are different people, however well the rest matches
+      score -= 0.3;
+      reasons.push('Middle name conflict');
+    }
+  } else {
+    score += 0.05;
+  }
+  
+  return { score, reasons };
+}
+
+/**
+ * Best match between two lists of party names
+ * @param {string[]} listA Party names
+ * @param {string[]} listB Party names
+ * @returns {Object} { score, reasons, pair }
+ */
+export function compareParties(listA = [], listB = []) {
+  let best = { score: 0, reasons: ['No parties to compare'], pair: null };
+  
+  for (const a of listA) {
+    for (const b of listB) {
+      const result = compareNames(a, b);
+      if (result.score > best.score) {
+        best = { ...result, pair: [a, b] };
+      }
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Jaccard similarity of two token lists
+ */
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(t => setB.has(t)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : shared / union;
+}
+
+export default {
+  MATCH_THRESHOLDS,
+  parseParty,
+  compareNames,
+  compareParties
+};
@@ -0,0 +1,197 @@
+/**
+ * Chain of Title Analysis
+ * Checks each link in the chain: the grantee of deed N should be the
+ * grantor of deed N+1. Reports overlapping conveyances and out-of-order
+ * records, and for a single parcel also name breaks, missing links, wild
+ * deeds and deeds that describe the property differently from the last one.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { parseLegalDescription, compareConveyedLegals } from './legalDescription.js';
+
+// Below a strong match, names that still share a surname are a name break
+// rather than a missing link
+const NAME_BREAK_SCORE = 0.4;
+
+// Severity for each issue type
+export const ISSUE_SEVERITY = {
+  missing_link: 'high',
+  wild_deed: 'high',
+  overlapping_conveyance: 'high',
+  name_break: 'medium',
+  out_of_order: 'medium',
+  legal_description_change: 'medium'
+};
+
+// Issue types that break the chain (a changed description does not)
+const BREAK_TYPES = ['missing_link', 'wild_deed', 'overlapping_conveyance', 'name_break', 'out_of_order'];
+
+// Gaps, overlaps and ordering between consecutive deeds only mean something for
+// a single parcel - a name-only chain holds every deed to or from anyone with
+// the owner's name, on any parcel
+const PROPERTY_MODE_TYPES = ['missing_link', 'wild_deed', 'name_break', 'overlapping_conveyance', 'out_of_order'];
+
+// Parts of a platted or condo description a typo usually lands in
+const SCRIVENER_PARTS = ['lots', 'block', 'unit', 'plat', 'declaration'];
+
+/**
+ * Analyze a chain of title for gaps and breaks
+ * @param {Object[]} chain Chain of title entries (oldest first) with grantorList/granteeList
+ * @param {Object} options Options
+ * @param {boolean} options.propertyMode Chain is for a single parcel - report gaps between
+ *   deeds and compare the legal descriptions of consecutive deeds (default false)
+ * @returns {Object} { issues, links, isUnbroken, nameOnly } - isUnbroken is null for a
+ *   name-only chain, whose gaps aren't checked
+ */
+export function analyzeChain(chain, options = {}) {
+  const { propertyMode = false } = options;
+  const issues = [];
+  const links = [];
+  
+  for (let k = 1; k < chain.length; k++) {
+    const prev = chain[k - 1];
+    const deed = chain[k];
+    const relation = relateParties(prev.granteeList, deed.grantorList);
+    
+    links.push({
+      from: prev.instrumentNumber,
+      to: deed.instrumentNumber,
+      relation
+    });
+    
+    if (relation === 'strong') continue;
+    
+    if (relation === 'partial') {
+      issues.push(createIssue('name_break', [prev, deed],
+        `Grantee of #${prev.sequence} (${prev.grantees}) does not exactly match grantor of #${deed.sequence} (${deed.grantors})`));
+      continue;
+    }
+    
+    // Grantor acquired title in a deed recorded later in the chain
+    const laterVesting = chain.slice(k + 1).find(d => relateParties(d.granteeList, deed.grantorList) === 'strong');
+    if (laterVesting) {
+      issues.push(createIssue('out_of_order', [deed, laterVesting],
+        `#${deed.sequence} conveys from ${deed.grantors}, whose vesting deed (#${laterVesting.sequence}) was recorded later`));
+      continue;
+    }
+    
+    // Grantor acquired title earlier in the chain - did they already convey it?
+    const earlierVesting = [...chain.slice(0, k - 1)].reverse()
+      .find(d => relateParties(d.granteeList, deed.grantorList) === 'strong');
+    if (earlierVesting) {
+      const priorConveyance = chain.slice(earlierVesting.sequence, k)
+        .find(d => relateParties(d.grantorList, deed.grantorList) === 'strong');
+      if (priorConveyance) {
+        issues.push(createIssue('overlapping_conveyance', [priorConveyance, deed],
+          `${deed.grantors} conveyed in #${priorConveyance.sequence} and again in #${deed.sequence}`));
+      }
+      continue;
+    }
+    
+    // Grantor never took title in the chain. If the next deed picks up from
+    // the previous grantee, this deed sits outside the chain (wild deed);
+    // otherwise the chain restarts here and a conveyance is missing.
+    const next = chain[k + 1];
+    if (next && relateParties(prev.granteeList, next.grantorList) === 'strong') {
+      issues.push(createIssue('wild_deed', [deed],
+        `#${deed.sequence} is from ${deed.grantors}, who never took title in the chain`));
+    } else {
+      issues.push(createIssue('missing_link', [prev, deed],
+        `No recorded conveyance from ${prev.grantees} (#${prev.sequence}) to ${deed.grantors} (#${deed.sequence})`));
+    }
+  }
+  
+  if (propertyMode) {
+    issues.push(...compareLegals(chain));
+  }
+  
+  const reported = propertyMode ? issues : issues.filter(i => !PROPERTY_MODE_TYPES.includes(i.type));
+  
+  return {
+    issues: reported,
+    links,
+    isUnbroken: propertyMode ? !reported.some(i => BREAK_TYPES.includes(i.type)) : null,
+    nameOnly: !propertyMode
+  };
+}
+
+/**
+ * Compare the legal description on each deed with the one before it. A
+ * deed that differs in a single lot, block, unit or plat reference (or that
+ * the next deed reverts) is reported as a likely scrivener's error;
+ * otherwise as a split, a combination or a different description.
+ * @param {Object[]} chain Chain of title entries (oldest first)
+ * @returns {Object[]} legal_description_change issues
+ */
+function compareLegals(chain) {
+  const issues = [];
+  const legals = chain.map(entry =>
+    parseLegalDescription(entry.deedLegalDescription || entry.legalDescription || ''));
+  
+  for (let k = 1; k < chain.length; k++) {
+    const prev = chain[k - 1];
+    const deed = chain[k];
+    const { change, differences } = compareConveyedLegals(legals[k - 1], legals[k]);
+    if (change === 'same' || change === 'unknown') continue;
+    
+    const detail = differences.map(d => `${d.part} ${d.from} -> ${d.to}`).join('; ');
+    const reverted = k + 1 < chain.length && compareConveyedLegals(legals[k - 1], legals[k + 1]).change === 'same';
+    const singlePart = change === 'different' && differences.length === 1 && SCRIVENER_PARTS.includes(differences[0].part);
+    
+    if (reverted || singlePart) {
+      issues.push({
+        ...createIssue('legal_description_change', [prev, deed],
+          `#${deed.sequence} describes the property differently from #${prev.sequence} (${detail})` +
+          `${reverted ? `, and #${chain[k + 1].sequence} goes back to the earlier description` : ''} - likely scrivener's error; ` +
+          'a corrective deed may be needed'),
+        change: 'scrivener_error'
+      });
+      // The next deed's return to the earlier description is the same error
+      if (reverted) k++;
+      continue;
+    }
+    
+    const lots = legals[k - 1].lots.join(', ') !== legals[k].lots.join(', ') ?
+      ` (lots ${legals[k - 1].lots.join(', ')} -> ${legals[k].lots.join(', ')})` : '';
+    const messages = {
+      split: `#${deed.sequence} conveys less than #${prev.sequence}${lots} - the parcel appears to have been split`,
+      combination: `#${deed.sequence} conveys more than #${prev.sequence}${lots} - parcels appear to have been combined`,
+      different: `#${deed.sequence} describes different land than #${prev.sequence} (${detail})`
+    };
+    issues.push({ ...createIssue('legal_description_change', [prev, deed], messages[change]), change });
+  }
+  
+  return issues;
+}
+
+/**
+ * Classify how two lists of party names relate
+ * @param {string[]} a Party names
+ * @param {string[]} b Party names
+ * @returns {string} 'strong', 'partial' or 'none'
+ */
+function relateParties(a = [], b = []) {
+  const { score } = compareParties(a, b);
+  if (score >= MATCH_THRESHOLDS.strong) return 'strong';
+  if (score >= NAME_BREAK_SCORE) return 'partial';
+  return 'none';
+}
+
+/**
+ * Build a structured chain issue
+ * @param {string} type Issue type
+ * @param {Object[]} entries Chain entries involved
+ * @param {string} message Description
+ * @returns {Object} Issue
+ */
+function createIssue(type, entries, message) {
+  return {
+    type,
+    severity: ISSUE_SEVERITY[type],
+    message,
+    instruments: entries.map(e => e.instrumentNumber),
+    sequences: entries.map(e => e.sequence)
+  };
+}
+
+export default { ISSUE_SEVERITY, analyzeChain };
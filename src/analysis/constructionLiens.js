@@ -0,0 +1,147 @@
+/**
+ * Construction Lien Exposure
+ * Notices of commencement still in effect (recorded within the last year,
+ * or not yet at their stated expiration, with no notice of termination) and
+ * claims of lien naming the owner. Either leaves the property open to
+ * Chapter 713 liens that relate back to the notice. Kept free of the PDF
+ * tooling so the Cloudflare function can use it on clerk records.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { lienTypeOf } from './lienTypes.js';
+
+// Notice of commencement doc type
+export const NOC_DOC_TYPES = ['NOC'];
+
+// §713.13(6): a notice expires one year after recording unless it states otherwise
+const NOTICE_DAYS = 365;
+
+// §713.22(1): a claim of lien lapses after one year unless foreclosure is begun
+const CLAIM_OF_LIEN_DAYS = 365;
+
+const TERMINATION_PATTERN = /NOTICE\s+OF\s+TERMINATION|TERMINATION\s+OF\s+(?:THE\s+)?(?:NOTICE\s+OF\s+COMMENCEMENT|NOC)|\bNOC\s+TERMINATION\b/;
+
+/**
+ * Find open notices of commencement and claims of lien against the owner
+ * @param {Object} params Sources
+ * @param {Object[]} params.documents Documents (scanned copies where available)
+ * @param {Object[]} params.openLiens Liens with no recorded release
+ * @param {string[]} params.owners Owner names (vested grantees or the searched owner)
+ * @returns {Object} { notices, openNotices, claimsOfLien } - notices are the
+ *   notices of commencement, oldest first
+ */
+export function analyzeConstructionLiens({ documents, openLiens = [], owners = [] }) {
+  const now = Date.now() / 1000;
+  const nocs = documents.filter(d => NOC_DOC_TYPES.includes(d.docTypeShort));
+  const terminations = documents.filter(isTermination);
+  
+  const notices = nocs
+    .filter(d => !isTermination(d))
+    .sort((a, b) => a.recordTimestamp - b.recordTimestamp)
+    .map(doc => noticeEntry(doc, terminations, now));
+  
+  const contractors = notices.map(n => n.contractor).filter(Boolean);
+  const claimsOfLien = openLiens
+    .filter(lien => isClaimOfLien(lien, contractors) &&
+      compareParties([...lien.grantors, ...lien.grantees], owners).score >= MATCH_THRESHOLDS.possible)
+    .map(lien => {
+      const data = lien.extractedData || {};
+      const lapsed = now - lien.recordTimestamp > CLAIM_OF_LIEN_DAYS * 86400;
+      const claimant = data.creditor || lien.grantors.join(', ');
+      return {
+        instrumentNumber: lien.instrumentNumber,
+        recordDate: lien.recordDate,
+        documentId: lien.documentId,
+        claimant,
+        amount: data.amount || null,
+        lapsed,
+        message: `Claim of lien by ${claimant} (#${lien.instrumentNumber}, ${lien.recordDate}) is not released` +
+          `${lapsed ? ' - over a year old, so it has lapsed unless a foreclosure suit was filed (§713.22)' : ''}`
+      };
+    });
+  
+  return {
+    notices,
+    openNotices: notices.filter(n => n.open),
+    claimsOfLien
+  };
+}
+
+/**
+ * One notice of commencement, with its expiration and any termination
+ * @param {Object} doc Notice of commencement (with extractedData when scanned)
+ * @param {Object[]} terminations Notices of termination
+ * @param {number} now Current time (seconds)
+ * @returns {Object} Notice entry
+ */
+function noticeEntry(doc, terminations, now) {
+  const data = doc.extractedData || {};
+  const stated = data.expirationDate ? Date.parse(data.expirationDate) / 1000 : NaN;
+  const expires = Number.isNaN(stated) ? doc.recordTimestamp + NOTICE_DAYS * 86400 : stated;
+  
+  // A termination after the notice that cites it, or (when it cites nothing) is by the same owner
+  const termination = terminations.find(t => {
+    if (t.recordTimestamp < doc.recordTimestamp) return false;
+    const references = t.extractedData ? t.extractedData.instrumentReferences || [] : [];
+    if (references.length > 0) {
+      return references.includes(doc.instrumentNumber) ||
+        (doc.bookNum && references.includes(`Book ${doc.bookNum}, Page ${doc.pageNum}`));
+    }
+    return compareParties(t.grantors, doc.grantors).score >= MATCH_THRESHOLDS.strong;
+  }) || null;
+  
+  const recent = now - doc.recordTimestamp <= NOTICE_DAYS * 86400;
+  const open = !termination && (recent || expires > now);
+  const contractor = data.contractor || doc.grantees.join(', ') || null;
+  
+  return {
+    instrumentNumber: doc.instrumentNumber,
+    recordDate: doc.recordDate,
+    documentId: doc.documentId,
+    owner: data.owner || doc.grantors.join(', '),
+    contractor,
+    surety: data.surety || null,
+    bondAmount: data.bondAmount || null,
+    lender: data.lender || null,
+    improvement: data.improvement || null,
+    expirationDate: data.expirationDate || null,
+    expiresTimestamp: expires,
+    termination: termination ? {
+      instrumentNumber: termination.instrumentNumber,
+      recordDate: termination.recordDate
+    } : null,
+    open,
+    message: `Notice of commencement #${doc.instrumentNumber} (${doc.recordDate})` +
+      `${contractor ? ` for ${contractor}` : ''}` +
+      (termination ? ` terminated by #${termination.instrumentNumber}` :
+        open ? ` has no recorded notice of termination${data.expirationDate ? ` and runs to ${data.expirationDate}` : ''}` +
+          `${data.surety ? ` (payment bond by ${data.surety})` : ''}` :
+          ' has expired')
+  };
+}
+
+// ===== HELPERS =====
+
+/**
+ * Chapter 713 claim of lien: classified as a mechanic's lien, described as
+ * one by the clerk, or filed by a contractor named in a notice of commencement
+ */
+function isClaimOfLien(lien, contractors) {
+  if (lienTypeOf(lien) === 'mechanics') return true;
+  if (/CLAIM\s+OF\s+LIEN|CONSTRUCTION\s+LIEN/.test([lien.docType, lien.legalDescription].join(' ').toUpperCase())) return true;
+  return compareParties(lien.grantors, contractors).score >= MATCH_THRESHOLDS.strong;
+}
+
+/**
+ * Notice of termination, from the scanned text or the clerk's fields
+ */
+function isTermination(doc) {
+  if (doc.extractedData && doc.extractedData.isTermination) return true;
+  if (!NOC_DOC_TYPES.includes(doc.docTypeShort) && !['AFF', 'REL'].includes(doc.docTypeShort)) return false;
+  return TERMINATION_PATTERN.test([doc.docType, doc.legalDescription].join(' ').toUpperCase());
+}
+
+export default {
+  NOC_DOC_TYPES,
+  analyzeConstructionLiens
+};
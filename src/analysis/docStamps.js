@@ -0,0 +1,201 @@
+/**
+ * Documentary Stamp Tax Validation
+ * Checks the Florida documentary stamp tax on deeds and mortgages (and the
+ * intangible tax on mortgages) against the consideration, sales price and
+ * principal, and uses the intangible tax to confirm mortgage principal.
+ */
+
+// §201.02: $0.70 per $100 of consideration (or fraction) on deeds
+export const DEED_STAMP_RATE = 0.70;
+
+// §201.08: $0.35 per $100 of indebtedness (or fraction) on mortgages
+export const MORTGAGE_STAMP_RATE = 0.35;
+
+// §199.133: 2 mills non-recurring intangible tax on mortgages
+export const INTANGIBLE_TAX_RATE = 0.002;
+
+// Allowed difference before a check fails (rounding by the clerk)
+const STAMP_TOLERANCE = 0.70;
+const INTANGIBLE_TOLERANCE = 1.00;
+
+// Revolving credit mortgages are taxed on amounts drawn, not the face amount
+const REVOLVING_DOC_TYPES = ['MTGREV'];
+
+/**
+ * Expected doc stamps on a deed
+ * @param {number} consideration Consideration paid
+ * @returns {number} Stamp tax in dollars
+ */
+export function expectedDeedStamps(consideration) {
+  return roundCents(Math.ceil(consideration / 100) * DEED_STAMP_RATE);
+}
+
+/**
+ * Expected doc stamps on a mortgage
+ * @param {number} principal Principal amount
+ * @returns {number} Stamp tax in dollars
+ */
+export function expectedMortgageStamps(principal) {
+  return roundCents(Math.ceil(principal / 100) * MORTGAGE_STAMP_RATE);
+}
+
+/**
+ * Expected intangible tax on a mortgage
+ * @param {number} principal Principal amount
+ * @returns {number} Intangible tax in dollars
+ */
+export function expectedIntangibleTax(principal) {
+  return roundCents(principal * INTANGIBLE_TAX_RATE);
+}
+
+/**
+ * Validate the stamps on a deed against its consideration and sales price
+ * @param {Object} deed Deed (with extractedData when scanned)
+ * @returns {Object} { instrumentNumber, kind, status, stamps, impliedAmount, checks }
+ */
+export function validateDeedStamps(deed) {
+  const data = deed.extractedData || {};
+  const stamps = data.docStamps || null;
+  const recited = data.considerationSource === 'recital' ? data.consideration : null;
+  const salesPrice = deed.salesPrice > 0 ? deed.salesPrice : null;
+  const checks = [];
+  
+  if (stamps !== null && salesPrice !== null) {
+    checks.push(stampCheck('stamps_vs_sales_price', stamps, expectedDeedStamps(salesPrice), STAMP_TOLERANCE,
+      `Doc stamps ${formatAmount(stamps)} vs ${formatAmount(expectedDeedStamps(salesPrice))} ` +
+      `expected on the clerk sales price of ${formatAmount(salesPrice)}`));
+  }
+  if (stamps !== null && recited !== null) {
+    checks.push(stampCheck('stamps_vs_consideration', stamps, expectedDeedStamps(recited), STAMP_TOLERANCE,
+      `Doc stamps ${formatAmount(stamps)} vs ${formatAmount(expectedDeedStamps(recited))} ` +
+      `expected on the recited consideration of ${formatAmount(recited)}`));
+  }
+  if (recited !== null && salesPrice !== null) {
+    checks.push(stampCheck('consideration_vs_sales_price', recited, salesPrice, 100,
+      `Recited consideration ${formatAmount(recited)} vs clerk sales price ${formatAmount(salesPrice)}`));
+  }
+  
+  return {
+    instrumentNumber: deed.instrumentNumber,
+    recordDate: deed.recordDate,
+    documentId: deed.documentId,
+    kind: 'deed',
+    stamps,
+    impliedAmount: stamps !== null ? roundCents(stamps / DEED_STAMP_RATE * 100) : null,
+    checks,
+    status: statusOf(checks)
+  };
+}
+
+/**
+ * Validate the stamps and intangible tax on a mortgage against its principal.
+ * When the intangible tax is readable it confirms (or supplies) the principal.
+ * @param {Object} mortgage Mortgage (with extractedData when scanned)
+ * @returns {Object} { instrumentNumber, kind, status, stamps, intangibleTax, principal,
+ *   impliedPrincipal, principalConfirmed, checks }
+ */
+export function validateMortgageStamps(mortgage) {
+  const data = mortgage.extractedData || {};
+  const stamps = data.docStamps || null;
+  const intangibleTax = data.intangibleTax || null;
+  const principal = data.principalAmount || null;
+  const impliedPrincipal = intangibleTax !== null ? roundCents(intangibleTax / INTANGIBLE_TAX_RATE) : null;
+  const checks = [];
+  
+  if (!REVOLVING_DOC_TYPES.includes(mortgage.docTypeShort)) {
+    if (intangibleTax !== null && principal !== null) {
+      checks.push(stampCheck('intangible_vs_principal', intangibleTax, expectedIntangibleTax(principal), INTANGIBLE_TOLERANCE,
+        `Intangible tax ${formatAmount(intangibleTax)} vs ${formatAmount(expectedIntangibleTax(principal))} ` +
+        `expected on principal of ${formatAmount(principal)}`));
+    }
+    
+    // Check the stamps against the principal, or the principal implied by the intangible tax
+    const basis = principal !== null ? principal : impliedPrincipal;
+    if (stamps !== null && basis !== null) {
+      checks.push(stampCheck('stamps_vs_principal', stamps, expectedMortgageStamps(basis), STAMP_TOLERANCE,
+        `Doc stamps ${formatAmount(stamps)} vs ${formatAmount(expectedMortgageStamps(basis))} ` +
+        `expected on ${principal !== null ? 'principal' : 'principal implied by intangible tax'} of ${formatAmount(basis)}`));
+    }
+  }
+  
+  const intangibleCheck = checks.find(c => c.check === 'intangible_vs_principal');
+  
+  return {
+    instrumentNumber: mortgage.instrumentNumber,
+    recordDate: mortgage.recordDate,
+    documentId: mortgage.documentId,
+    kind: 'mortgage',
+    stamps,
+    intangibleTax,
+    principal,
+    impliedPrincipal,
+    principalConfirmed: intangibleCheck ? intangibleCheck.ok : null,
+    checks,
+    status: REVOLVING_DOC_TYPES.includes(mortgage.docTypeShort) ? 'unverified' : statusOf(checks)
+  };
+}
+
+/**
+ * Validate the stamps on a set of deeds and mortgages
+ * @param {Object} params Documents
+ * @param {Object[]} params.deeds Deeds
+ * @param {Object[]} params.mortgages Mortgages
+ * @returns {Object} { entries, mismatches, verified, unverified }
+ */
+export function validateDocStamps({ deeds = [], mortgages = [] }) {
+  const entries = [
+    ...deeds.map(validateDeedStamps),
+    ...mortgages.map(validateMortgageStamps)
+  ];
+  
+  return {
+    entries,
+    mismatches: entries.filter(e => e.status === 'mismatch'),
+    verified: entries.filter(e => e.status === 'ok').length,
+    unverified: entries.filter(e => e.status === 'unverified').length
+  };
+}
+
+// ===== HELPERS =====
+
+function stampCheck(check, actual, expected, tolerance, message) {
+  return {
+    check,
+    actual,
+    expected,
+    difference: roundCents(actual - expected),
+    ok: Math.abs(actual - expected) <= tolerance,
+    message
+  };
+}
+
+function statusOf(checks) {
+  if (checks.length === 0) return 'unverified';
+  return checks.every(c => c.ok) ? 'ok' : 'mismatch';
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Format a dollar amount ("$1,234.50")
+ * @param {number} amount Amount
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(amount) {
+  return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+export default {
+  DEED_STAMP_RATE,
+  MORTGAGE_STAMP_RATE,
+  INTANGIBLE_TAX_RATE,
+  expectedDeedStamps,
+  expectedMortgageStamps,
+  expectedIntangibleTax,
+  validateDeedStamps,
+  validateMortgageStamps,
+  validateDocStamps,
+  formatAmount
+};
@@ -0,0 +1,148 @@
+/**
+ * Easement and Restriction Inventory
+ * Lists each recorded easement and declaration/restriction with who it
+ * benefits, what it is for and the plats and Official Records it refers
+ * to, and marks the ones that cite the subject's subdivision. Kept free of
+ * the PDF tooling so the Cloudflare function can use it on clerk records.
+ */
+
+import { parseLegalDescription, sharesSubdivision } from './legalDescription.js';
+
+// Easement purposes, checked in order (first match wins)
+const PURPOSE_PATTERNS = [
+  ['drainage', /DRAINAGE|STORM\s*WATER|RETENTION|DETENTION|SWALE|CANAL/],
+  ['conservation', /CONSERVATION|PRESERVATION|WETLAND|MITIGATION/],
+  ['access', /INGRESS|EGRESS|ACCESS|ROAD(?:WAY)?|DRIVEWAY|RIGHT[\s-]+OF[\s-]+WAY|SIDEWALK|PASSAGE/],
+  ['utility', /UTILIT|ELECTRIC|POWER|TECO|DUKE\s+ENERGY|WATER|SEWER|GAS|TELEPHONE|VERIZON|FRONTIER|CABLE|SPECTRUM|BRIGHT\s+HOUSE|FIBER|COMMUNICATION|PIPELINE|TRANSMISSION/],
+  ['maintenance', /MAINTENANCE|LANDSCAP|WALL|FENCE|ENCROACH/]
+];
+
+// Restriction kinds, checked in order
+const RESTRICTION_PATTERNS = [
+  ['condominium', /CONDOMINIUM/],
+  ['amendment', /AMENDMENT|AMENDED|SUPPLEMENT/],
+  ['declaration', /DECLARATION|COVENANTS|RESTRICTIONS/]
+];
+
+// Display labels
+export const EASEMENT_PURPOSE_LABELS = {
+  utility: 'Utility',
+  drainage: 'Drainage',
+  access: 'Ingress/egress',
+  conservation: 'Conservation',
+  maintenance: 'Maintenance',
+  declaration: 'Covenants and restrictions',
+  amendment: 'Amendment to restrictions',
+  condominium: 'Condominium declaration',
+  other: 'Other'
+};
+
+/**
+ * Purpose of an easement from its text or parties
+ * @param {string} text Document text (or party names)
+ * @returns {string} utility, drainage, access, conservation, maintenance or other
+ */
+export function detectEasementPurpose(text) {
+  const normalizedText = (text || '').toUpperCase();
+  const found = PURPOSE_PATTERNS.find(([, pattern]) => pattern.test(normalizedText));
+  return found ? found[0] : 'other';
+}
+
+/**
+ * Inventory the recorded easements and restrictions
+ * @param {Object} params Sources
+ * @param {Object[]} params.easements Easements (with extractedData when scanned)
+ * @param {Object[]} params.restrictions Declarations and restrictions (with extractedData when scanned)
+ * @param {string} params.subjectLegalDescription Subject legal description (optional)
+ * @returns {Object} { items, subject, citingSubject } - items oldest first, each with
+ *   kind, beneficiary, purpose, references and citesSubject (null when unknown)
+ */
+export function analyzeEasements({ easements = [], restrictions = [], subjectLegalDescription = null }) {
+  const subject = subjectLegalDescription ? parseLegalDescription(subjectLegalDescription) : null;
+  
+  const items = [
+    ...easements.map(doc => inventoryItem(doc, 'easement', subject)),
+    ...restrictions.map(doc => inventoryItem(doc, 'restriction', subject))
+  ].sort((a, b) => a.recordTimestamp - b.recordTimestamp);
+  
+  return {
+    items,
+    subject: subject ? {
+      subdivision: subject.subdivision || subject.condominium,
+      platBook: subject.platBook,
+      platPage: subject.platPage
+    } : null,
+    citingSubject: items.filter(i => i.citesSubject === true).length
+  };
+}
+
+/**
+ * One inventory entry
+ * @param {Object} doc Easement or restriction
+ * @param {string} kind 'easement' or 'restriction'
+ * @param {Object} subject Parsed subject legal description (optional)
+ * @returns {Object} Inventory item
+ */
+function inventoryItem(doc, kind, subject) {
+  const data = doc.extractedData || {};
+  const references = data.references || [];
+  const legal = parseLegalDescription(data.legalDescription || doc.legalDescription || '');
+  
+  // A plat cited in the text places the item in that subdivision
+  const plat = references.find(r => r.type === 'plat');
+  if (plat && !legal.platBook) {
+    legal.platBook = plat.book;
+    legal.platPage = plat.page;
+  }
+  
+  const purpose = kind === 'easement' ?
+    data.purpose && data.purpose !== 'other' ? data.purpose : detectEasementPurpose([...doc.grantees, doc.legalDescription].join(' ')) :
+    restrictionKind(doc);
+  
+  return {
+    instrumentNumber: doc.instrumentNumber,
+    recordDate: doc.recordDate,
+    recordTimestamp: doc.recordTimestamp,
+    bookNum: doc.bookNum,
+    pageNum: doc.pageNum,
+    documentId: doc.documentId,
+    docType: doc.docTypeShort,
+    kind,
+    beneficiary: beneficiaryOf(doc, kind),
+    purpose,
+    purposeLabel: EASEMENT_PURPOSE_LABELS[purpose],
+    width: data.width || null,
+    references,
+    subdivision: legal.subdivision || legal.condominium,
+    citesSubject: subject ? sharesSubdivision(subject, legal) : null,
+    scanned: Boolean(doc.extractedData)
+  };
+}
+
+/**
+ * Who benefits: the grantee named in the easement, or the association
+ * that enforces a declaration (falling back to the declarant)
+ */
+function beneficiaryOf(doc, kind) {
+  const data = doc.extractedData || {};
+  if (data.beneficiary) return data.beneficiary;
+  if (kind === 'restriction') {
+    const association = [...doc.grantees, ...doc.grantors].find(p => /\bASS(?:OCIATION|N|OC)\b/.test(p.toUpperCase()));
+    if (association) return association;
+  }
+  const parties = kind === 'easement' || doc.grantees.length > 0 ? doc.grantees : doc.grantors;
+  return parties.join(', ') || null;
+}
+
+function restrictionKind(doc) {
+  const text = [doc.extractedData ? doc.extractedData.title : null, doc.docType, doc.legalDescription]
+    .filter(Boolean).join(' ').toUpperCase();
+  const found = RESTRICTION_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : 'declaration';
+}
+
+export default {
+  EASEMENT_PURPOSE_LABELS,
+  detectEasementPurpose,
+  analyzeEasements
+};
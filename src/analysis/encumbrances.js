@@ -0,0 +1,153 @@
+/**
+ * Open Mortgages, Liens and Judgments
+ * Pairs mortgages with satisfactions, and liens and judgments with
+ * releases, by their parties using the shared party matcher. Kept free of
+ * the Node APIs so the Cloudflare function can use it.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { lienTypeOf } from './lienTypes.js';
+
+/**
+ * Analyze mortgages and their satisfactions (name-based fallback)
+ * @param {Object[]} mortgages Mortgage records
+ * @param {Object[]} satisfactions Satisfaction records
+ * @returns {Object} { total, satisfied, open, satisfiedList }
+ */
+export function analyzeMortgages(mortgages, satisfactions) {
+  const analysis = {
+    total: mortgages.length,
+    satisfied: 0,
+    open: [],
+    satisfiedList: []
+  };
+  
+  // Score every mortgage/satisfaction pair, then assign the best pairs first
+  const candidates = [];
+  for (const mtg of mortgages) {
+    for (const sat of satisfactions) {
+      // Satisfaction must be recorded after the mortgage
+      if (sat.recordTimestamp <= mtg.recordTimestamp) continue;
+      
+      const satParties = [...sat.grantors, ...sat.grantees];
+      
+      // Borrower must appear on the satisfaction; the lender usually does too
+      // (unless the loan was assigned or is being serviced by someone else)
+      const borrower = compareParties(mtg.grantors, satParties);
+      if (borrower.score < MATCH_THRESHOLDS.possible) continue;
+      
+      const lender = compareParties(mtg.grantees, satParties);
+      candidates.push({
+        mtg,
+        sat,
+        borrower,
+        lender,
+        score: borrower.score * 10 + lender.score * 5
+      });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  
+  const matchedMortgages = new Set();
+  const usedSatisfactions = new Set();
+  for (const candidate of candidates) {
+    if (matchedMortgages.has(candidate.mtg) || usedSatisfactions.has(candidate.sat)) continue;
+    matchedMortgages.add(candidate.mtg);
+    usedSatisfactions.add(candidate.sat);
+    
+    const lenderMatched = candidate.lender.score >= MATCH_THRESHOLDS.possible;
+    analysis.satisfied++;
+    analysis.satisfiedList.push({
+      mortgage: candidate.mtg,
+      satisfaction: candidate.sat,
+      // Name-based matching is low confidence unless the lender also matches
+      confidence: lenderMatched && candidate.borrower.score >= MATCH_THRESHOLDS.strong ? 'medium' : 'low',
+      matchMethod: 'name',
+      matchReasons: [
+        `Borrower: ${candidate.borrower.reasons.join(', ')}`,
+        ...(lenderMatched ? [`Lender: ${candidate.lender.reasons.join(', ')}`] : [])
+      ]
+    });
+  }
+  
+  analysis.open = mortgages.filter(mtg => !matchedMortgages.has(mtg));
+  
+  return analysis;
+}
+
+/**
+ * Identify liens without releases
+ * @param {Object[]} liens Lien records
+ * @param {Object[]} releases Release records
+ * @returns {Object[]} Open liens, with their lien type
+ */
+export function identifyOpenLiens(liens, releases) {
+  return unreleased(liens, releases).map(lien => ({ ...lien, lienType: lienTypeOf(lien) }));
+}
+
+/**
+ * Identify judgments without a satisfaction or release
+ * @param {Object[]} judgments Judgment records
+ * @param {Object[]} releases Satisfactions and releases (leave out those matched to a mortgage)
+ * @returns {Object[]} Open judgments
+ */
+export function identifyOpenJudgments(judgments, releases) {
+  return unreleased(judgments, releases);
+}
+
+// ===== HELPERS =====
+
+/**
+ * Instruments with no later release naming both of their parties (each
+ * release clears one instrument)
+ */
+function unreleased(instruments, releases) {
+  const open = [];
+  const availableReleases = [...releases];
+  
+  for (const doc of instruments) {
+    let hasRelease = false;
+    for (let i = 0; i < availableReleases.length; i++) {
+      const rel = availableReleases[i];
+      
+      // Release must be after the instrument and name both of its parties
+      // (releases often list them in reverse order)
+      if (rel.recordTimestamp > doc.recordTimestamp) {
+        const sameOrder = Math.min(
+          partyScore(doc.grantors, rel.grantors),
+          partyScore(doc.grantees, rel.grantees)
+        );
+        const reversed = Math.min(
+          partyScore(doc.grantors, rel.grantees),
+          partyScore(doc.grantees, rel.grantors)
+        );
+        
+        if (Math.max(sameOrder, reversed) >= MATCH_THRESHOLDS.possible) {
+          availableReleases.splice(i, 1);
+          hasRelease = true;
+          break;
+        }
+      }
+    }
+    
+    if (!hasRelease) {
+      open.push(doc);
+    }
+  }
+  
+  return open;
+}
+
+/**
+ * Match score for one side of an instrument (a side with no parties doesn't count against)
+ */
+function partyScore(parties, candidates) {
+  if (parties.length === 0) return 1;
+  return compareParties(parties, candidates).score;
+}
+
+export default {
+  analyzeMortgages,
+  identifyOpenLiens,
+  identifyOpenJudgments
+};
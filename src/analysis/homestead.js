@@ -0,0 +1,205 @@
+/**
+ * Homestead and Spousal Joinder
+ * Florida homestead can only be conveyed or mortgaged with the owner's
+ * spouse joining (Art. X, §4(c)). Compares the grantors of each deed and the
+ * borrowers on each mortgage with the owners vested at the time, reads the
+ * marital status recited for them, and flags instruments a likely spouse
+ * did not sign. Kept free of the PDF tooling so the Cloudflare function can
+ * use it on clerk records.
+ */
+
+import { compareParties, parseParty, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { normalizeName } from '../search/nameVariants.js';
+
+// Display labels
+export const MARITAL_STATUS_LABELS = {
+  husband_and_wife: 'husband and wife',
+  married: 'married',
+  unmarried: 'unmarried',
+  widowed: 'widowed'
+};
+
+// Estate, heir and survivor conveyances are checked by the probate analysis
+const CAPACITY_PATTERN = /\bESTATE\s+OF\b|\bEST\b|\bDEC(?:EASED|'D|D)?\b|\bPERS(?:ONAL)?\s+REP|\bP\s?R\b|\bHEIRS?\b|\bSURVIVING\s+SPOUSE\b|\bSURV(?:IVOR)?\b/;
+
+/**
+ * Check deeds and mortgages for a spouse who should have joined
+ * @param {Object} params Sources
+ * @param {Object[]} params.chainOfTitle Chain of title (oldest first)
+ * @param {Object[]} params.documents Documents (scanned copies where available)
+ * @param {Object[]} params.mortgages Mortgages (scanned copies where available)
+ * @param {Object} params.parcel Property appraiser parcel (optional)
+ * @returns {Object} { checked, issues } - issues are { type, instrumentNumber, docType,
+ *   kind (deed or mortgage), party, spouse, maritalStatus, homestead, message }
+ */
+export function checkSpousalJoinder({ chainOfTitle, documents, mortgages = [], parcel = null }) {
+  const links = chainOfTitle.map(link => ({
+    link,
+    deed: documents.find(d => d.instrumentNumber === link.instrumentNumber) || null
+  }));
+  const issues = [];
+  let checked = 0;
+  
+  // Deeds out of the chain, checked against the owners vested by the deed before
+  for (let k = 1; k < links.length; k++) {
+    const { link, deed } = links[k];
+    if (!deed || isCapacityConveyance(link.grantorList, deed)) continue;
+    checked++;
+    issues.push(...instrumentIssues({
+      doc: deed,
+      kind: 'deed',
+      label: `Deed #${link.sequence}`,
+      signers: link.grantorList,
+      vested: links[k - 1],
+      current: false,
+      parcel,
+      // A co-owner missing from the grantors is a death or divorce, left to the probate analysis
+      checkVestedSpouse: false
+    }));
+  }
+  
+  // Mortgages, checked against the owners vested when each was recorded
+  for (const mortgage of mortgages) {
+    const vestedIndex = links.reduce((found, entry, index) =>
+      entry.deed && entry.deed.recordTimestamp <= mortgage.recordTimestamp ? index : found, -1);
+    if (vestedIndex < 0 || isCapacityConveyance(mortgage.grantors, mortgage)) continue;
+    checked++;
+    issues.push(...instrumentIssues({
+      doc: mortgage,
+      kind: 'mortgage',
+      label: `Mortgage ${mortgage.instrumentNumber}`,
+      signers: mortgage.grantors,
+      vested: links[vestedIndex],
+      current: vestedIndex === links.length - 1,
+      parcel,
+      checkVestedSpouse: true
+    }));
+  }
+  
+  return { checked, issues };
+}
+
+/**
+ * Joinder issues on one deed or mortgage
+ * @param {Object} params Instrument and the vesting in force when it was recorded
+ * @returns {Object[]} Issues
+ */
+function instrumentIssues({ doc, kind, label, signers, vested, current, parcel, checkVestedSpouse }) {
+  const data = doc.extractedData || {};
+  if (data.spouseJoinder || data.homesteadRecital === 'non_homestead') return [];
+  
+  const homestead = data.homesteadRecital === 'homestead' ? 'recited' :
+    current && isOwnerOccupied(parcel) ? 'likely' : 'unknown';
+  const base = {
+    instrumentNumber: doc.instrumentNumber,
+    recordDate: doc.recordDate,
+    docType: doc.docTypeShort,
+    kind,
+    maritalStatus: data.maritalStatus || null,
+    homestead
+  };
+  const issues = [];
+  const signed = name => compareParties([name], signers).score >= MATCH_THRESHOLDS.strong;
+  const vestedDeed = vested.deed;
+  const couples = spousesOf(vested.link.granteeList, vestedDeed);
+  
+  // A spouse vested with the signer who did not sign
+  for (const [a, b] of couples) {
+    const missing = signed(a) && !signed(b) ? b : signed(b) && !signed(a) ? a : null;
+    const signer = missing === b ? a : b;
+    if (!missing) continue;
+    
+    if (data.maritalStatus === 'unmarried' && isEntirety(vestedDeed)) {
+      issues.push({
+        ...base,
+        type: 'marital_status_conflict',
+        party: signer,
+        spouse: missing,
+        message: `${label} recites ${signer} as unmarried, but ${signer} and ${missing} took title as tenants by ` +
+          `the entirety by #${vested.link.sequence} - a divorce judgment or death certificate is needed`
+      });
+    } else if (checkVestedSpouse) {
+      issues.push({
+        ...base,
+        type: 'vested_spouse_not_joined',
+        party: signer,
+        spouse: missing,
+        message: `${label} is signed by ${signer} only, but ${missing} is vested with them by #${vested.link.sequence}` +
+          `${isEntirety(vestedDeed) ? ' as tenants by the entirety' : ''} - ${missing} must join${homesteadNote(homestead)}`
+      });
+    }
+  }
+  
+  // A sole signer recited as married, with no spouse joining
+  if (issues.length === 0 && ['married', 'husband_and_wife'].includes(data.maritalStatus) && individualsIn(signers).length === 1) {
+    const signer = individualsIn(signers)[0];
+    issues.push({
+      ...base,
+      type: 'spouse_not_joined',
+      party: signer,
+      spouse: null,
+      message: `${label} recites ${signer} as married, but no spouse joins and there is no non-homestead recital` +
+        homesteadNote(homestead)
+    });
+  }
+  
+  return issues;
+}
+
+// ===== HELPERS =====
+
+/**
+ * Likely spouses among the vested grantees: co-grantees vested as tenants by
+ * the entirety, or two individuals who share a surname
+ * @returns {Array[]} Pairs of grantee names
+ */
+function spousesOf(grantees, deed) {
+  const people = individualsIn(grantees);
+  if (people.length !== 2) return [];
+  if (isEntirety(deed)) return [people];
+  
+  const [a, b] = people.map(p => parseParty(p).tokens);
+  return a.length > 1 && b.length > 1 && a[0] === b[0] ? [people] : [];
+}
+
+function individualsIn(names) {
+  return names.filter(n => !parseParty(n).isEntity);
+}
+
+function isEntirety(deed) {
+  const data = deed && deed.extractedData ? deed.extractedData : {};
+  return data.vesting === 'tenants_by_entirety';
+}
+
+/**
+ * Conveyance by an estate, heir or survivor (see analysis/probate.js)
+ */
+function isCapacityConveyance(grantors, doc) {
+  const data = doc.extractedData || {};
+  return Boolean(data.grantorCapacity) || grantors.some(g => CAPACITY_PATTERN.test(normalizeName(g)));
+}
+
+/**
+ * The appraiser mails the owner at the site address - a sign the owners
+ * live there
+ */
+function isOwnerOccupied(parcel) {
+  if (!parcel || !parcel.address || !parcel.mailingAddress) return false;
+  const site = normalizeAddress(parcel.address);
+  return site.length > 0 && normalizeAddress(parcel.mailingAddress).startsWith(site);
+}
+
+function normalizeAddress(address) {
+  return address.toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function homesteadNote(homestead) {
+  if (homestead === 'recited') return ' (the instrument recites the property is homestead)';
+  if (homestead === 'likely') return ' (the owners are mailed at the property - likely homestead)';
+  return '';
+}
+
+export default {
+  MARITAL_STATUS_LABELS,
+  checkSpousalJoinder
+};
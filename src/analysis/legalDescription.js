@@ -0,0 +1,497 @@
+/**
+ * Legal Description Parsing and Matching
+ * Parses clerk `Legal` fields and appraiser legal descriptions into a
+ * comparable form and scores how well a record matches the subject parcel
+ */
+
+// Words that carry no weight when comparing subdivision names
+const SUBDIVISION_NOISE = new Set([
+  'SUBDIVISION', 'SUB', 'SUBD', 'ADDITION', 'ADD', 'REVISED', 'REV', 'REPLAT',
+  'RESUB', 'PLAT', 'THE', 'OF', 'A', 'AND', 'NO', 'PB', 'PG', 'PAGE', 'BOOK',
+  'PART', 'PT', 'LESS', 'TO', 'IN', 'AT', 'COM', 'COR', 'BEG', 'POB', 'FT',
+  'NE', 'NW', 'SE', 'SW', 'THENCE', 'THEN'
+]);
+
+// Survey words that carry no weight in a metes and bounds description
+const METES_AND_BOUNDS_NOISE = new Set([
+  'BEGINNING', 'BEGIN', 'COMMENCE', 'COMMENCING', 'POINT', 'CORNER', 'LINE', 'FEET',
+  'DISTANCE', 'ALONG', 'RUN', 'NORTH', 'SOUTH', 'EAST', 'WEST', 'NORTHERLY', 'SOUTHERLY',
+  'EASTERLY', 'WESTERLY', 'RIGHT', 'WAY', 'CURVE', 'RADIUS', 'ARC', 'CHORD', 'BOUNDARY',
+  'SAID', 'FOLLOWING', 'DESCRIBED', 'PARCEL', 'QUARTER', 'HALF', 'DEGREES', 'DEG'
+]);
+
+// Recording boilerplate in full (deed) legal descriptions
+const BOILERPLATE_PATTERNS = [
+  /\bACCORDING\s+TO\s+THE\s+(?:MAP\s+OR\s+)?PLAT\s+THEREOF\b/g,
+  /\bACCORDING\s+TO\s+THE\s+DECLARATION\s+OF\s+CONDOMINIUM(?:\s+THEREOF)?\b/g,
+  /\bDECLARATION\s+OF\s+CONDOMINIUM\b/g,
+  /\bA\s+CONDOMINIUM\b/g,
+  /\b(?:AS\s+)?(?:PER\s+PLAT\s+)?RECORDED\s+IN\b/g,
+  /\bOF\s+THE\s+(?:OFFICIAL\s+|PUBLIC\s+)+RECORDS?\s+OF\s+[A-Z]+\s+COUNTY\s*,?\s*(?:FLORIDA|FL)\b/g,
+  /\b(?:LYING\s+AND\s+)?(?:BEING\s+)?(?:SITUATE|SITUATED|LYING)\s+IN\s+[A-Z]+\s+COUNTY\s*,?\s*(?:FLORIDA|FL)\b/g,
+  /\b[A-Z]+\s+COUNTY\s*,?\s*(?:FLORIDA|FL)\b/g,
+  /\bAND\s+ANY\s+AMENDMENTS\s+THERETO\b/g,
+  /\b(?:THE\s+)?(?:NORTH|SOUTH|EAST|WEST)(?:ERLY)?\s+[0-9.]+\s+(?:FEET|FT)\s+OF\b/g,
+  /\bTOGETHER\s+WITH\s+(?:AN?\s+)?UNDIVIDED\s+(?:SHARE|INTEREST)\s+IN\s+THE\s+COMMON\s+ELEMENTS\s+APPURTENANT\s+THERETO\b/g
+];
+
+// Metes and bounds: courses ("THENCE N 89°12'30" E, 125.00 FEET") and the point of beginning
+const BEARING_PATTERN = /\b([NS])\s*([0-9]{1,2})\s*(?:°|DEG(?:REES)?|\s)\s*([0-9]{1,2})?\s*(?:'|MIN(?:UTES)?)?\s*([0-9]{1,2}(?:\.[0-9]+)?)?\s*(?:"|''|SEC(?:ONDS)?)?\s*([EW])\b[\s,]*(?:A\s+DISTANCE\s+OF\s+)?([0-9]+(?:\.[0-9]+)?)?/g;
+const METES_AND_BOUNDS_PATTERN = /\bTHENCE\b|\bPOINT\s+OF\s+BEGINNING\b|\bP\s?O\s?B\b|\bCOMMENC(?:E|ING)\s+AT\b/;
+
+/**
+ * Parse a legal description into structured parts
+ * @param {string} text Legal description (clerk `Legal` field, appraiser `legalDescription`
+ *   or the full description read from a deed)
+ * @returns {Object} { type, lots, block, unit, phase, subdivision, subdivisionTokens, section, township,
+ *   range, platBook, platPage, condominium, declarationBook, declarationPage, metesAndBounds, lessExcept, raw }
+ */
+export function parseLegalDescription(text) {
+  const legal = {
+    type: 'unknown',
+    lots: [],
+    block: null,
+    unit: null,
+    phase: null,
+    subdivision: null,
+    subdivisionTokens: [],
+    section: null,
+    township: null,
+    range: null,
+    platBook: null,
+    platPage: null,
+    condominium: null,
+    declarationBook: null,
+    declarationPage: null,
+    metesAndBounds: null,
+    lessExcept: null,
+    raw: text || ''
+  };
+  
+  if (!text || !text.trim()) {
+    return legal;
+  }
+  
+  let remaining = ` ${text.toUpperCase().replace(/\s+/g, ' ')} `;
+  
+  // ===== LESS AND EXCEPT =====
+  // Parts carved out of the parcel are kept aside so they don't read as the parcel itself
+  const lessMatch = remaining.match(/\b(?:LESS\s+AND\s+EXCEPT|LESS|EXCEPT(?:ING)?(?:\s+THEREFROM)?)\b(?!\s+(?:THAN|THE\s+FOLLOWING\s+EXCEPTIONS))(.*)$/);
+  if (lessMatch && lessMatch.index > 1) {
+    legal.lessExcept = lessMatch[1].replace(/\s+/g, ' ').trim() || null;
+    remaining = remaining.slice(0, lessMatch.index);
+  }
+  
+  // ===== METES AND BOUNDS =====
+  if (METES_AND_BOUNDS_PATTERN.test(remaining)) {
+    legal.metesAndBounds = parseMetesAndBounds(remaining);
+    // The courses are not part of the subdivision name
+    remaining = remaining.replace(BEARING_PATTERN, ' ');
+  }
+  
+  // ===== PLAT BOOK / PAGE =====
+  const platMatch = remaining.match(/\b(?:PLAT\s+BOOK|P\.?\s?B\.?)\s*:?\s*([0-9]+)\s*,?\s*(?:ON\s+)?(?:PAGES?|PGS?\.?)\s*:?\s*([0-9]+)(?:\s*(?:-|THRU|THROUGH|TO|AND|&)\s*[0-9]+)?/);
+  if (platMatch) {
+    legal.platBook = String(parseInt(platMatch[1], 10));
+    legal.platPage = String(parseInt(platMatch[2], 10));
+    remaining = remaining.replace(platMatch[0], ' ');
+  }
+  
+  // ===== CONDOMINIUM DECLARATION =====
+  const declarationMatch = remaining.match(/\bDECLARATION\s+OF\s+CONDOMINIUM\b[^0-9]*?(?:OFFICIAL\s+RECORDS?\s+BOOK|O\.?\s?R\.?\s+BOOK|O\.?\s?R\.?\s?B\.?|BOOK)\s*:?\s*([0-9]+)\s*,?\s*(?:PAGES?|PGS?)\s*:?\s*([0-9]+)/);
+  if (declarationMatch) {
+    legal.declarationBook = String(parseInt(declarationMatch[1], 10));
+    legal.declarationPage = String(parseInt(declarationMatch[2], 10));
+    remaining = remaining.replace(declarationMatch[0], ' DECLARATION OF CONDOMINIUM ');
+  }
+  const condoMatch = remaining.match(/\b(?:OF\s+)?([A-Z0-9&' ]+?)\s*,?\s+A\s+CONDOMINIUM\b/);
+  if (condoMatch) {
+    legal.condominium = condoMatch[1].replace(/^\s*(?:UNIT\s+(?:NO\s*)?[0-9A-Z-]+\s+)?(?:OF\s+)?/, '').trim() || null;
+  }
+  
+  // ===== BOILERPLATE =====
+  for (const pattern of BOILERPLATE_PATTERNS) {
+    remaining = remaining.replace(pattern, ' ');
+  }
+  remaining = remaining.replace(/[.;]/g, ' ');
+  
+  // ===== SECTION / TOWNSHIP / RANGE =====
+  const strPatterns = [
+    /\b(?:SEC(?:TION)?|S)\s*:?\s*([0-9]{1,2})\s*,?\s*(?:TWP|TOWNSHIP|T)\s*:?\s*([0-9]{1,2})\s*(?:S(?:OUTH)?)?\s*,?\s*(?:RGE|RANGE|R)\s*:?\s*([0-9]{1,2})\s*(?:E(?:AST)?)?\b/,
+    /\b([0-9]{1,2})-([0-9]{1,2})-([0-9]{1,2})\b/
+  ];
+  
+  for (const pattern of strPatterns) {
+    const match = remaining.match(pattern);
+    if (match) {
+      legal.section = String(parseInt(match[1], 10));
+      legal.township = String(parseInt(match[2], 10));
+      legal.range = String(parseInt(match[3], 10));
+      remaining = remaining.replace(match[0], ' ');
+      break;
+    }
+  }
+  
+  // ===== LOTS =====
+  const lotMatch = remaining.match(/\b(?:LOTS?|LT|L)\s*:?\s*([0-9]+[A-Z]?(?:\s*(?:,|&|AND|THRU|THROUGH|TO|-)\s*[0-9]+[A-Z]?)*)\b/);
+  if (lotMatch) {
+    legal.lots = expandLotList(lotMatch[1]);
+    remaining = remaining.replace(lotMatch[0], ' ');
+  }
+  
+  // ===== BLOCK =====
+  // A bare "B" only before a number, so words like "BY" aren't read as a block
+  const blockMatch = remaining.match(/\b(?:(?:BLOCK|BLK)\s*:?\s*([0-9]+[A-Z]?|[A-Z])|B\s*:?\s*(?=[0-9])([0-9]+[A-Z]?))\b/);
+  if (blockMatch) {
+    legal.block = (blockMatch[1] || blockMatch[2]).replace(/^0+(?=\d)/, '');
+    remaining = remaining.replace(blockMatch[0], ' ');
+  }
+  
+  // ===== UNIT / PHASE =====
+  // In a platted subdivision "UNIT NO 3" is a phase of the plat ("TOWN N
+  // COUNTRY PARK UNIT NO 3"), not a condominium unit
+  const unitMatch = remaining.match(/\b(?:UNIT|U)\s*:?\s*(?:NO\s*)?([0-9]+[A-Z]?(?:-[0-9A-Z]+)?)\b/);
+  if (unitMatch) {
+    const platted = (legal.lots.length > 0 || legal.platBook) && !legal.condominium && !legal.declarationBook;
+    if (platted) {
+      legal.phase = unitMatch[1].replace(/^0+(?=\d)/, '');
+    } else {
+      legal.unit = unitMatch[1];
+    }
+    remaining = remaining.replace(unitMatch[0], ' ');
+  }
+  
+  // ===== SUBDIVISION =====
+  // Whatever is left once the lot/block/unit/STR parts are removed
+  const subdivision = remaining
+    .replace(/\bSUB(?:DIVISION)?\s*:/g, ' ')
+    .replace(/[^A-Z0-9&' ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (subdivision) {
+    legal.subdivision = subdivision;
+    legal.subdivisionTokens = subdivision
+      .split(' ')
+      .filter(token => token.length > 1 && !SUBDIVISION_NOISE.has(token) && !/^[0-9]+$/.test(token))
+      .filter(token => !legal.metesAndBounds || !METES_AND_BOUNDS_NOISE.has(token));
+  }
+  
+  legal.type = legal.unit && (legal.condominium || legal.declarationBook) ? 'condominium' :
+    legal.lots.length > 0 || legal.platBook ? 'platted' :
+    legal.metesAndBounds ? 'metes_and_bounds' :
+    legal.section ? 'section' :
+    legal.unit ? 'condominium' : 'unknown';
+  
+  return legal;
+}
+
+/**
+ * Courses of a metes and bounds description
+ * @param {string} text Upper-cased legal description
+ * @returns {Object} { commencement, calls, courses }
+ */
+function parseMetesAndBounds(text) {
+  const commencement = text.match(/\bCOMMENC(?:E|ING)\s+AT\s+(?:THE\s+)?(.+?)(?=\s*[,;]|\s+THENCE\b|$)/);
+  const courses = [];
+  
+  for (const match of text.matchAll(BEARING_PATTERN)) {
+    const [, ns, degrees, minutes = '0', seconds = '0', ew, distance] = match;
+    courses.push({
+      bearing: `${ns}${degrees.padStart(2, '0')}-${minutes.padStart(2, '0')}-${String(Math.round(parseFloat(seconds))).padStart(2, '0')}${ew}`,
+      distance: distance ? parseFloat(distance) : null
+    });
+  }
+  
+  return {
+    commencement: commencement ? commencement[1].trim() : null,
+    calls: (text.match(/\bTHENCE\b/g) || []).length,
+    courses
+  };
+}
+
+/**
+ * Expand a lot list like "5 AND 6" or "5 THRU 8" into individual lots
+ * @param {string} text Lot list
+ * @returns {string[]} Lot numbers
+ */
+function expandLotList(text) {
+  const lots = [];
+  const parts = text.split(/\s*(?:,|&|AND)\s*/);
+  
+  for (const part of parts) {
+    const range = part.match(/^([0-9]+)\s*(?:THRU|THROUGH|TO|-)\s*([0-9]+)$/);
+    if (range) {
+      const from = parseInt(range[1], 10);
+      const to = parseInt(range[2], 10);
+      if (to >= from && to - from < 100) {
+        for (let lot = from; lot <= to; lot++) {
+          lots.push(String(lot));
+        }
+        continue;
+      }
+    }
+    const lot = part.trim().replace(/^0+(?=\d)/, '');
+    if (lot) lots.push(lot);
+  }
+  
+  return lots;
+}
+
+/**
+ * Similarity between two subdivision names (significant words shared, over
+ * the longer name - one name contained in a longer one is not a match)
+ * @param {string[]} a Subdivision tokens
+ * @param {string[]} b Subdivision tokens
+ * @returns {number} 0-1
+ */
+function subdivisionSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = new Set(a.filter(token => setB.has(token))).size;
+  return shared / Math.max(new Set(a).size, setB.size);
+}
+
+/**
+ * Whether a description is in the same subdivision (or condominium) as the
+ * subject: same plat or declaration book and page, or a matching name
+ * @param {Object} subject Parsed subject legal description
+ * @param {Object} candidate Parsed legal description
+ * @returns {boolean|null} null when either side has nothing to compare
+ */
+export function sharesSubdivision(subject, candidate) {
+  if (subject.platBook && candidate.platBook) {
+    return subject.platBook === candidate.platBook && subject.platPage === candidate.platPage;
+  }
+  if (subject.declarationBook && candidate.declarationBook) {
+    return subject.declarationBook === candidate.declarationBook && subject.declarationPage === candidate.declarationPage;
+  }
+  if (subject.subdivisionTokens.length > 0 && candidate.subdivisionTokens.length > 0) {
+    return subdivisionSimilarity(subject.subdivisionTokens, candidate.subdivisionTokens) >= 0.8;
+  }
+  return null;
+}
+
+/**
+ * Score how well a record's legal description matches the subject property
+ * @param {Object} subject Parsed subject legal description
+ * @param {Object} candidate Parsed record legal description
+ * @returns {Object} { status: 'match'|'possible'|'mismatch', score, reasons }
+ */
+export function compareLegalDescriptions(subject, candidate) {
+  const reasons = [];
+  let score = 0;
+  let conflict = false;
+  let anchored = false;
+  
+  if (!candidate.raw || !candidate.raw.trim()) {
+    return { status: 'possible', score: 0, reasons: ['No legal description on record'] };
+  }
+  
+  // Section / Township / Range
+  if (subject.section && candidate.section) {
+    if (subject.section === candidate.section &&
+        subject.township === candidate.township &&
+        subject.range === candidate.range) {
+      score += 30;
+      reasons.push('Section-township-range match');
+    } else {
+      conflict = true;
+      reasons.push('Section-township-range differs');
+    }
+  }
+  
+  // Subdivision
+  if (subject.subdivisionTokens.length > 0 && candidate.subdivisionTokens.length > 0) {
+    const similarity = subdivisionSimilarity(subject.subdivisionTokens, candidate.subdivisionTokens);
+    if (similarity >= 0.8) {
+      score += 30;
+      anchored = true;
+      reasons.push('Subdivision match');
+    } else if (similarity >= 0.5) {
+      score += 15;
+      reasons.push('Subdivision partial match');
+    } else if (subject.lots.length > 0 && candidate.lots.length > 0) {
+      // Same lot/block in a different subdivision is a different parcel
+      conflict = true;
+      reasons.push('Subdivision differs');
+    }
+  }
+  
+  // Lot
+  if (subject.lots.length > 0 && candidate.lots.length > 0) {
+    if (subject.lots.some(lot => candidate.lots.includes(lot))) {
+      score += 30;
+      reasons.push('Lot match');
+    } else {
+      conflict = true;
+      reasons.push('Lot differs');
+    }
+  }
+  
+  // Block
+  if (subject.block && candidate.block) {
+    if (subject.block === candidate.block) {
+      score += 20;
+      reasons.push('Block match');
+    } else {
+      conflict = true;
+      reasons.push('Block differs');
+    }
+  }
+  
+  // Plat phase - each phase is its own plat, with its own lot and block numbers
+  if (subject.phase && candidate.phase) {
+    if (subject.phase === candidate.phase) {
+      score += 10;
+      reasons.push('Plat phase match');
+    } else {
+      conflict = true;
+      reasons.push('Plat phase differs');
+    }
+  }
+  
+  // Unit
+  if (subject.unit && candidate.unit) {
+    if (subject.unit === candidate.unit) {
+      score += 10;
+      reasons.push('Unit match');
+    } else {
+      conflict = true;
+      reasons.push('Unit differs');
+    }
+  }
+  
+  let status;
+  if (conflict) {
+    status = 'mismatch';
+  } else if (score >= 60 && (anchored || reasons.includes('Section-township-range match'))) {
+    status = 'match';
+  } else if (score > 0) {
+    status = 'possible';
+  } else {
+    status = 'mismatch';
+    reasons.push('Nothing in common with subject legal description');
+  }
+  
+  return { status, score, reasons };
+}
+
+/**
+ * Compare the legal descriptions on two consecutive conveyances of the same
+ * property. Only parts present in both are compared, so a short clerk legal
+ * can be compared with the full description read from a deed.
+ * @param {Object} prev Parsed legal description on the earlier deed
+ * @param {Object} next Parsed legal description on the later deed
+ * @returns {Object} { change: 'same'|'split'|'combination'|'different'|'unknown', differences }
+ */
+export function compareConveyedLegals(prev, next) {
+  const differences = [];
+  let change = 'same';
+  
+  if (!hasDescription(prev) || !hasDescription(next)) {
+    return { change: 'unknown', differences };
+  }
+  
+  if (prev.type !== 'unknown' && next.type !== 'unknown' && prev.type !== next.type) {
+    differences.push({ part: 'form', from: prev.type, to: next.type });
+  }
+  
+  // Lots: fewer lots is a split, more lots a combination
+  if (prev.lots.length > 0 && next.lots.length > 0) {
+    const removed = prev.lots.filter(lot => !next.lots.includes(lot));
+    const added = next.lots.filter(lot => !prev.lots.includes(lot));
+    if (removed.length > 0 && added.length === 0) {
+      change = 'split';
+    } else if (added.length > 0 && removed.length === 0) {
+      change = 'combination';
+    } else if (added.length > 0) {
+      differences.push({ part: 'lots', from: prev.lots.join(', '), to: next.lots.join(', ') });
+    }
+  }
+  
+  // A new carve-out is a split; dropping one brings the excepted part back in
+  if (next.lessExcept && !prev.lessExcept) {
+    change = change === 'combination' ? 'different' : 'split';
+  } else if (prev.lessExcept && !next.lessExcept && prev.raw.length > 60 && next.raw.length > 60) {
+    change = change === 'split' ? 'different' : 'combination';
+  }
+  
+  const compare = (part, a, b) => {
+    if (a && b && a !== b) differences.push({ part, from: a, to: b });
+  };
+  compare('block', prev.block, next.block);
+  compare('unit', prev.unit, next.unit);
+  compare('phase', prev.phase, next.phase);
+  compare('section-township-range', strOf(prev), strOf(next));
+  compare('plat', prev.platBook && `PB ${prev.platBook} PG ${prev.platPage}`, next.platBook && `PB ${next.platBook} PG ${next.platPage}`);
+  compare('declaration', prev.declarationBook && `OR ${prev.declarationBook} PG ${prev.declarationPage}`,
+    next.declarationBook && `OR ${next.declarationBook} PG ${next.declarationPage}`);
+  
+  if (prev.subdivisionTokens.length > 0 && next.subdivisionTokens.length > 0 &&
+      subdivisionSimilarity(prev.subdivisionTokens, next.subdivisionTokens) < 0.8) {
+    differences.push({ part: 'subdivision', from: prev.subdivision, to: next.subdivision });
+  }
+  
+  // Metes and bounds: a different set of courses
+  if (prev.metesAndBounds && next.metesAndBounds && prev.metesAndBounds.courses.length > 0 &&
+      next.metesAndBounds.courses.length > 0) {
+    const key = mb => mb.courses.map(c => `${c.bearing} ${c.distance}`).join('; ');
+    compare('courses', key(prev.metesAndBounds), key(next.metesAndBounds));
+  }
+  
+  if (differences.length > 0) {
+    change = 'different';
+  }
+  
+  return { change, differences };
+}
+
+function hasDescription(legal) {
+  return legal.lots.length > 0 || legal.unit || legal.section || legal.metesAndBounds ||
+    legal.platBook || legal.subdivisionTokens.length > 0;
+}
+
+function strOf(legal) {
+  return legal.section ? `${legal.section}-${legal.township}-${legal.range}` : null;
+}
+
+/**
+ * Split documents into those on the subject property, possibly related, and excluded
+ * @param {Object[]} documents Parsed clerk records
+ * @param {string} subjectLegalDescription Subject property legal description
+ * @returns {Object} { subject, matched, possiblyRelated, excluded }
+ */
+export function filterByProperty(documents, subjectLegalDescription) {
+  const subject = parseLegalDescription(subjectLegalDescription);
+  const result = {
+    subject,
+    matched: [],
+    possiblyRelated: [],
+    excluded: []
+  };
+  
+  for (const doc of documents) {
+    const candidate = parseLegalDescription(doc.legalDescription);
+    const propertyMatch = compareLegalDescriptions(subject, candidate);
+    const scored = { ...doc, propertyMatch };
+    
+    if (propertyMatch.status === 'match') {
+      result.matched.push(scored);
+    } else if (propertyMatch.status === 'possible') {
+      result.possiblyRelated.push(scored);
+    } else {
+      result.excluded.push(scored);
+    }
+  }
+  
+  return result;
+}
+
+export default {
+  parseLegalDescription,
+  compareLegalDescriptions,
+  compareConveyedLegals,
+  sharesSubdivision,
+  filterByProperty
+};
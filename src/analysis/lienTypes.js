@@ -0,0 +1,62 @@
+/**
+ * Lien Classification
+ * Lien types from document text, doc type or parties. Kept free of the PDF
+ * tooling so the rules engine can use it in the Cloudflare function.
+ */
+
+// Lien doc types (see groupByDocType)
+export const LIEN_DOC_TYPES = ['LN', 'MEDLN', 'LNCORPTX'];
+
+// Lien types, checked in order (first match wins)
+const LIEN_TYPE_PATTERNS = [
+  ['irs', /INTERNAL\s+REVENUE\s+SERVICE|FEDERAL\s+TAX\s+LIEN|FORM\s+668/],
+  ['state_tax', /DEPARTMENT\s+OF\s+REVENUE|STATE\s+TAX\s+LIEN|CORP(?:ORATE)?\s+TAX\s+LIEN|TAX\s+WARRANT/],
+  ['code_enforcement', /CODE\s+ENFORCEMENT|SPECIAL\s+MAGISTRATE|ORDER\s+IMPOSING\s+(?:A\s+)?FINE|CHAPTER\s+162/],
+  ['hoa', /HOMEOWNERS|HOA\b|CONDOMINIUM|ASSOCIATION|ASSESSMENTS?\b|720\.3085|718\.116/],
+  ['mechanics', /CONSTRUCTION\s+LIEN|MECHANIC|CLAIM\s+OF\s+LIEN|713\.08|LABOR,?\s+SERVICES,?\s+(?:AND|OR)\s+MATERIALS/],
+  ['medicaid', /MEDICAID|AGENCY\s+FOR\s+HEALTH\s+CARE/]
+];
+
+// Display labels
+export const LIEN_TYPE_LABELS = {
+  irs: 'IRS',
+  state_tax: 'State tax',
+  hoa: 'HOA',
+  code_enforcement: 'Code enforcement',
+  mechanics: "Mechanic's",
+  medicaid: 'Medicaid',
+  other: 'Other'
+};
+
+/**
+ * Classify a lien from its text or parties
+ * @param {string} text Document text (or party names)
+ * @returns {string} irs, state_tax, code_enforcement, hoa, mechanics, medicaid or other
+ */
+export function detectLienType(text) {
+  const normalizedText = (text || '').toUpperCase();
+  const found = LIEN_TYPE_PATTERNS.find(([, pattern]) => pattern.test(normalizedText));
+  return found ? found[0] : 'other';
+}
+
+/**
+ * Lien type from the scanned text, falling back to the doc type and parties
+ * @param {Object} doc Document (with extractedData when scanned)
+ * @returns {string|null} Lien type, or null for non-liens
+ */
+export function lienTypeOf(doc) {
+  if (!LIEN_DOC_TYPES.includes(doc.docTypeShort)) return null;
+  if (doc.extractedData && doc.extractedData.lienType && doc.extractedData.lienType !== 'other') {
+    return doc.extractedData.lienType;
+  }
+  if (doc.docTypeShort === 'LNCORPTX') return 'state_tax';
+  if (doc.docTypeShort === 'MEDLN') return 'medicaid';
+  return detectLienType([...doc.grantors, ...doc.grantees].join(' '));
+}
+
+export default {
+  LIEN_DOC_TYPES,
+  LIEN_TYPE_LABELS,
+  detectLienType,
+  lienTypeOf
+};
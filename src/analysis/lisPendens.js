@@ -0,0 +1,144 @@
+/**
+ * Lis Pendens Analysis
+ * Decides which lis pendens still encumber the property: matches each one
+ * to its release (by case number, instrument reference, then parties) and
+ * applies the one-year expiration of §48.23, F.S.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+
+// §48.23(2): a lis pendens not founded on a duly recorded instrument (or a
+// chapter 713 construction lien) expires one year after it is recorded
+const EXPIRATION_DAYS = 365;
+
+/**
+ * Determine the status of each lis pendens
+ * @param {Object[]} lisPendens Lis pendens (with extractedData when scanned)
+ * @param {Object[]} releases Releases of lis pendens and general releases
+ * @param {Date} asOf Date to measure expiration against (default now)
+ * @returns {Object} { entries, active, needsReview, released, expired }
+ */
+export function analyzeLisPendens(lisPendens, releases, asOf = new Date()) {
+  const asOfTimestamp = Math.floor(asOf.getTime() / 1000);
+  const usedReleases = new Set();
+  
+  const entries = [...lisPendens]
+    .sort((a, b) => a.recordTimestamp - b.recordTimestamp)
+    .map(lp => {
+      const data = lp.extractedData || {};
+      const ageDays = Math.floor((asOfTimestamp - lp.recordTimestamp) / 86400);
+      const entry = {
+        lisPendens: lp,
+        instrumentNumber: lp.instrumentNumber,
+        recordDate: lp.recordDate,
+        caseNumber: data.caseNumber || null,
+        ageDays,
+        foundedOnRecordedInstrument: lp.extractedData ? data.foundedOnRecordedInstrument === true : null,
+        release: null,
+        status: 'active',
+        reasons: []
+      };
+      
+      const release = findRelease(lp, releases, usedReleases);
+      if (release) {
+        usedReleases.add(release.doc);
+        entry.release = {
+          instrumentNumber: release.doc.instrumentNumber,
+          recordDate: release.doc.recordDate,
+          docType: release.doc.docTypeShort,
+          documentId: release.doc.documentId,
+          matchedBy: release.matchedBy,
+          confidence: release.confidence
+        };
+        entry.status = 'released';
+        entry.reasons.push(`Released by #${release.doc.instrumentNumber} (matched by ${release.matchedBy})`);
+        return entry;
+      }
+      
+      if (ageDays <= EXPIRATION_DAYS) {
+        entry.reasons.push(`Recorded ${ageDays} day(s) ago`);
+      } else if (entry.foundedOnRecordedInstrument === false) {
+        entry.status = 'expired';
+        entry.reasons.push('Older than one year and not founded on a recorded instrument (§48.23)');
+      } else if (entry.foundedOnRecordedInstrument === true) {
+        entry.reasons.push('Founded on a recorded instrument - does not expire under §48.23');
+      } else {
+        // Not scanned: can't tell whether the one-year rule applies
+        entry.status = 'needs_review';
+        entry.reasons.push('Older than one year - scan to confirm whether it is founded on a recorded instrument');
+      }
+      
+      return entry;
+    });
+  
+  return {
+    entries,
+    active: entries.filter(e => e.status === 'active'),
+    needsReview: entries.filter(e => e.status === 'needs_review'),
+    released: entries.filter(e => e.status === 'released'),
+    expired: entries.filter(e => e.status === 'expired')
+  };
+}
+
+/**
+ * Find the release of a lis pendens
+ * @param {Object} lp Lis pendens
+ * @param {Object[]} releases Candidate releases
+ * @param {Set} usedReleases Releases already matched
+ * @returns {Object|null} { doc, matchedBy, confidence }
+ */
+function findRelease(lp, releases, usedReleases) {
+  const candidates = releases.filter(rel =>
+    !usedReleases.has(rel) && rel.recordTimestamp > lp.recordTimestamp);
+  const lpData = lp.extractedData || {};
+  
+  // Case number on both documents
+  if (lpData.caseNumber) {
+    const byCase = candidates.find(rel => rel.extractedData &&
+      normalizeCaseNumber(rel.extractedData.caseNumber) === normalizeCaseNumber(lpData.caseNumber));
+    if (byCase) return { doc: byCase, matchedBy: 'case number', confidence: 'high' };
+  }
+  
+  // Release cites the lis pendens by instrument number or book/page
+  const bookPage = lp.bookNum && lp.pageNum ? `Book ${lp.bookNum}, Page ${lp.pageNum}` : null;
+  const byReference = candidates.find(rel => ((rel.extractedData || {}).instrumentReferences || [])
+    .some(ref => ref === String(lp.instrumentNumber) || (bookPage && ref === bookPage)));
+  if (byReference) return { doc: byReference, matchedBy: 'instrument reference', confidence: 'high' };
+  
+  // Only a release of lis pendens can be matched on parties alone
+  let best = null;
+  for (const rel of candidates) {
+    if (rel.docTypeShort !== 'RELLP') continue;
+    const sameOrder = Math.min(
+      compareParties(lp.grantors, rel.grantors).score,
+      compareParties(lp.grantees, rel.grantees).score
+    );
+    const reversed = Math.min(
+      compareParties(lp.grantors, rel.grantees).score,
+      compareParties(lp.grantees, rel.grantors).score
+    );
+    const score = Math.max(sameOrder, reversed);
+    if (score >= MATCH_THRESHOLDS.possible && (!best || score > best.score)) {
+      best = { doc: rel, score };
+    }
+  }
+  
+  return best ? { doc: best.doc, matchedBy: 'parties', confidence: 'low' } : null;
+}
+
+/**
+ * Normalize a case number to year, court type and sequence number, so the
+ * short form, the four-digit year and the uniform case number with its
+ * county code and suffix compare equal ("19-CA-001234" == "2019-CA-001234"
+ * == "29-2019-CA-001234" == "292019CA001234A001HC")
+ * @param {string} caseNumber Case number
+ * @returns {string|null}
+ */
+function normalizeCaseNumber(caseNumber) {
+  if (!caseNumber) return null;
+  const compact = caseNumber.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const match = compact.match(/^(?:29(?=(?:19|20)[0-9]{2}[A-Z]))?(?:(?:19|20)(?=[0-9]{2}[A-Z]))?([0-9]{2})([A-Z]{2,4})0*([0-9]+)/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : compact;
+}
+
+export default { analyzeLisPendens };
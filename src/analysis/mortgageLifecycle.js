@@ -0,0 +1,193 @@
+/**
+ * Mortgage Lifecycle Tracking
+ * Follows each mortgage from origination through assignments and
+ * modifications to its satisfaction or release, so the report shows who
+ * holds the loan today (who to request a payoff from).
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+
+/**
+ * Build a lifecycle for every mortgage
+ * @param {Object} params Lifecycle inputs
+ * @param {Object[]} params.mortgages Mortgages (with extractedData when scanned)
+ * @param {Object[]} params.assignments Assignments of mortgage
+ * @param {Object[]} params.modifications Mortgage modifications
+ * @param {Object[]} params.releases Releases (may release a mortgage)
+ * @param {Object[]} params.satisfiedList Mortgage/satisfaction matches from the mortgage analysis
+ * @returns {Object[]} Lifecycles, oldest mortgage first
+ */
+export function buildMortgageLifecycles(params) {
+  const {
+    mortgages = [],
+    assignments = [],
+    modifications = [],
+    releases = [],
+    satisfiedList = []
+  } = params;
+  
+  const lifecycles = [...mortgages]
+    .sort((a, b) => a.recordTimestamp - b.recordTimestamp)
+    .map(mtg => {
+      const data = mtg.extractedData || {};
+      const originalLender = data.lenderName || mtg.grantees.join(', ');
+      return {
+        mortgage: mtg,
+        instrumentNumber: mtg.instrumentNumber,
+        recordDate: mtg.recordDate,
+        borrowers: mtg.grantors,
+        originalLender,
+        originalAmount: data.principalAmount || null,
+        assignments: [],
+        modifications: [],
+        currentHolder: originalLender,
+        currentHolderParties: mtg.grantees,
+        currentPrincipal: data.principalAmount || null,
+        satisfaction: null,
+        status: 'open'
+      };
+    });
+  
+  // ===== ASSIGNMENTS (oldest first so each one updates the holder) =====
+  for (const asg of [...assignments].sort((a, b) => a.recordTimestamp - b.recordTimestamp)) {
+    const link = linkToMortgage(asg, lifecycles, lifecycle =>
+      compareParties(asg.grantors, lifecycle.currentHolderParties).score);
+    if (!link) continue;
+    
+    const data = asg.extractedData || {};
+    const assignee = data.assignee || asg.grantees.join(', ');
+    link.lifecycle.assignments.push({
+      instrumentNumber: asg.instrumentNumber,
+      recordDate: asg.recordDate,
+      assignor: data.assignor || asg.grantors.join(', '),
+      assignee,
+      documentId: asg.documentId,
+      linkedBy: link.linkedBy
+    });
+    link.lifecycle.currentHolder = assignee;
+    link.lifecycle.currentHolderParties = data.assignee ? [data.assignee] : asg.grantees;
+  }
+  
+  // ===== MODIFICATIONS =====
+  for (const mod of [...modifications].sort((a, b) => a.recordTimestamp - b.recordTimestamp)) {
+    const link = linkToMortgage(mod, lifecycles, lifecycle =>
+      Math.min(
+        compareParties([...mod.grantors, ...mod.grantees], lifecycle.borrowers).score,
+        compareParties([...mod.grantors, ...mod.grantees], lifecycle.currentHolderParties).score
+      ));
+    if (!link) continue;
+    
+    const data = mod.extractedData || {};
+    link.lifecycle.modifications.push({
+      instrumentNumber: mod.instrumentNumber,
+      recordDate: mod.recordDate,
+      principalAmount: data.principalAmount || null,
+      documentId: mod.documentId,
+      linkedBy: link.linkedBy
+    });
+    if (data.principalAmount) {
+      link.lifecycle.currentPrincipal = data.principalAmount;
+    }
+  }
+  
+  // ===== SATISFACTION / RELEASE =====
+  for (const match of satisfiedList) {
+    const lifecycle = lifecycles.find(l => l.mortgage === match.mortgage ||
+      l.instrumentNumber === match.mortgage.instrumentNumber);
+    if (!lifecycle) continue;
+    lifecycle.satisfaction = {
+      instrumentNumber: match.satisfaction.instrumentNumber,
+      recordDate: match.satisfaction.recordDate,
+      docType: match.satisfaction.docTypeShort,
+      documentId: match.satisfaction.documentId,
+      confidence: match.confidence,
+      linkedBy: match.matchReasons || [match.matchMethod || 'name']
+    };
+    lifecycle.status = 'satisfied';
+  }
+  
+  // Releases only link by a recorded reference to the mortgage
+  for (const rel of releases) {
+    const lifecycle = lifecycles.find(l => !l.satisfaction && referencesMortgage(rel, l.mortgage));
+    if (!lifecycle) continue;
+    lifecycle.satisfaction = {
+      instrumentNumber: rel.instrumentNumber,
+      recordDate: rel.recordDate,
+      docType: rel.docTypeShort,
+      documentId: rel.documentId,
+      confidence: 'high',
+      linkedBy: ['Instrument reference']
+    };
+    lifecycle.status = 'satisfied';
+  }
+  
+  // Drop the working party list from the output
+  return lifecycles.map(({ currentHolderParties, ...lifecycle }) => lifecycle);
+}
+
+/**
+ * Link a follow-on instrument to its mortgage: recorded reference first,
+ * then the best name match among earlier mortgages
+ * @param {Object} doc Assignment or modification
+ * @param {Object[]} lifecycles Lifecycles built so far
+ * @param {Function} scoreParties Party score for a candidate lifecycle (0-1)
+ * @returns {Object|null} { lifecycle, linkedBy }
+ */
+function linkToMortgage(doc, lifecycles, scoreParties) {
+  const byReference = lifecycles.find(l => referencesMortgage(doc, l.mortgage));
+  if (byReference) {
+    return { lifecycle: byReference, linkedBy: 'reference' };
+  }
+  
+  let best = null;
+  for (const lifecycle of lifecycles) {
+    if (lifecycle.mortgage.recordTimestamp > doc.recordTimestamp) continue;
+    
+    const score = scoreParties(lifecycle);
+    if (score < MATCH_THRESHOLDS.possible) continue;
+    
+    // Prefer the better name match, then the most recent mortgage
+    if (!best || score > best.score ||
+        (score === best.score && lifecycle.mortgage.recordTimestamp > best.lifecycle.mortgage.recordTimestamp)) {
+      best = { lifecycle, score };
+    }
+  }
+  
+  return best ? { lifecycle: best.lifecycle, linkedBy: 'name' } : null;
+}
+
+/**
+ * Instrument numbers and book/page references a document makes, from its extracted text
+ * @param {Object} doc Document with optional extractedData
+ * @returns {string[]} References ("2019123456" or "Book 123, Page 456")
+ */
+export function getInstrumentReferences(doc) {
+  const data = doc.extractedData || {};
+  return [
+    ...(data.instrumentReferences || []),
+    data.satisfiedInstrumentNumber,
+    data.satisfiedBookPage,
+    data.mortgageInstrumentNumber,
+    data.mortgageBookPage
+  ].filter(Boolean).map(String);
+}
+
+/**
+ * Whether a document refers to a mortgage by instrument number or book/page
+ * @param {Object} doc Referring document
+ * @param {Object} mortgage Mortgage record
+ * @returns {boolean}
+ */
+export function referencesMortgage(doc, mortgage) {
+  const bookPage = mortgage.bookNum && mortgage.pageNum ?
+    `Book ${mortgage.bookNum}, Page ${mortgage.pageNum}` : null;
+  
+  return getInstrumentReferences(doc).some(ref =>
+    ref === String(mortgage.instrumentNumber) || (bookPage && ref === bookPage));
+}
+
+export default {
+  buildMortgageLifecycles,
+  getInstrumentReferences,
+  referencesMortgage
+};
@@ -0,0 +1,168 @@
+/**
+ * Owner Screening
+ * Scores judgment and lien parties against the subject owner's full
+ * identity (name, middle initial, mailing address, co-owners) and the
+ * subject parcel so that judgments against other people who share the
+ * name don't drive risk.
+ */
+
+import { compareNames, compareParties, parseParty, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { normalizeName, isEntityName } from '../search/nameVariants.js';
+
+// Classification labels
+export const SCREENING_CLASSES = {
+  likely: 'likely_match',
+  possible: 'possible_match',
+  nameOnly: 'name_only'
+};
+
+// Evidence needed beyond the name for each class
+const LIKELY_POINTS = 2;
+const POSSIBLE_POINTS = 1;
+
+/**
+ * Build the owner identity used for screening
+ * @param {Object} params Identity sources
+ * @param {string} params.ownerName Subject owner name
+ * @param {Object} params.parcel Property appraiser parcel (optional)
+ * @param {Object} params.vestingDeed Deed that vested the owner (optional)
+ * @returns {Object} { name, coOwners, addresses }
+ */
+export function buildOwnerIdentity(params) {
+  const { ownerName, parcel, vestingDeed } = params;
+  const name = normalizeName(ownerName);
+  
+  // Co-owners: other names on the parcel record and other grantees on the vesting deed
+  const candidates = [
+    ...(parcel && parcel.ownerName ? parcel.ownerName.split(/\s*(?:&|;|\bAND\b)\s*/) : []),
+    ...(vestingDeed ? vestingDeed.grantees : [])
+  ].map(normalizeName).filter(Boolean);
+  
+  const coOwners = [];
+  for (const candidate of candidates) {
+    if (compareNames(candidate, name).score >= MATCH_THRESHOLDS.strong) continue;
+    if (!coOwners.some(c => compareNames(c, candidate).score >= MATCH_THRESHOLDS.strong)) {
+      coOwners.push(candidate);
+    }
+  }
+  
+  const addresses = parcel ? [parcel.mailingAddress, parcel.address]
+    .map(parseAddress).filter(Boolean) : [];
+  
+  return { name, coOwners, addresses };
+}
+
+/**
+ * Score a judgment or lien against the owner identity
+ * @param {Object} doc Judgment or lien (with extractedData when scanned)
+ * @param {Object} identity Identity from buildOwnerIdentity
+ * @returns {Object} { classification, nameScore, matchedParty, matchedOwner, evidence, reasons }
+ */
+export function screenDocument(doc, identity) {
+  const data = doc.extractedData || {};
+  const parties = [
+    ...doc.grantors,
+    ...doc.grantees,
+    data.defendant,
+    data.debtor
+  ].filter(Boolean);
+  
+  // Best match for the owner, then for any co-owner
+  const owners = [identity.name, ...identity.coOwners];
+  let best = null;
+  for (const owner of owners) {
+    const result = compareParties([owner], parties);
+    if (!best || result.score > best.result.score) {
+      best = { owner, result };
+    }
+  }
+  
+  const nameScore = best ? best.result.score : 0;
+  const matchedParty = best && best.result.pair ? best.result.pair[1] : null;
+  const reasons = best ? [...best.result.reasons] : [];
+  const evidence = [];
+  let points = 0;
+  
+  if (best && best.owner !== identity.name) {
+    reasons.push(`Matches co-owner ${best.owner}`);
+  }
+  
+  const ownerParts = parseParty(best.owner);
+  const exactWithMiddle = reasons.includes('Exact name match') && !ownerParts.isEntity && ownerParts.tokens.length >= 3;
+  if (exactWithMiddle || reasons.includes('Middle name match') || reasons.includes('Middle initial match')) {
+    points += 1;
+    evidence.push('Middle name/initial matches');
+  }
+  
+  // Entity names are close to unique - an exact match is enough on its own
+  if (nameScore >= 0.95 && isEntityName(best.owner)) {
+    points += 2;
+    evidence.push('Exact entity name');
+  }
+  
+  // Address on the judgment/lien matches the owner's mailing or site address
+  const docAddresses = (data.addresses || []).map(parseAddress).filter(Boolean);
+  const sharedAddress = docAddresses.find(a => identity.addresses.some(b => sameAddress(a, b)));
+  if (sharedAddress) {
+    points += 2;
+    evidence.push(`Address matches (${sharedAddress.raw})`);
+  }
+  
+  // Legal description on the judgment/lien is the subject parcel (property mode)
+  if (doc.propertyMatch && doc.propertyMatch.status === 'match') {
+    points += 2;
+    evidence.push('Legal description matches the subject parcel');
+  }
+  
+  // Another owner named on the same document (joint debt)
+  const otherOwners = owners.filter(o => o !== (best && best.owner));
+  const otherParties = parties.filter(p => p !== matchedParty);
+  const jointOwner = otherOwners.find(o => compareParties([o], otherParties).score >= MATCH_THRESHOLDS.strong);
+  if (jointOwner) {
+    points += 2;
+    evidence.push(`Co-owner ${jointOwner} also named`);
+  }
+  
+  let classification = SCREENING_CLASSES.nameOnly;
+  if (nameScore >= MATCH_THRESHOLDS.possible && !reasons.includes('Middle name conflict')) {
+    if (points >= LIKELY_POINTS) {
+      classification = SCREENING_CLASSES.likely;
+    } else if (points >= POSSIBLE_POINTS) {
+      classification = SCREENING_CLASSES.possible;
+    }
+  }
+  
+  return {
+    classification,
+    nameScore,
+    matchedParty,
+    matchedOwner: best ? best.owner : null,
+    evidence,
+    reasons
+  };
+}
+
+/**
+ * Street address reduced to house number and street name
+ * @param {string} address Address ("123 N MAIN ST, TAMPA, FL, 33602")
+ * @returns {Object|null} { raw, number, street }
+ */
+function parseAddress(address) {
+  if (!address) return null;
+  const street = address.toUpperCase().split(',')[0].trim();
+  const match = street.match(/^([0-9]+)\s+(?:[NSEW]\.?\s+)?([A-Z0-9]+)/);
+  return match ? { raw: street, number: match[1], street: match[2] } : null;
+}
+
+/**
+ * Whether two parsed addresses are the same street address
+ */
+function sameAddress(a, b) {
+  return a.number === b.number && a.street === b.street;
+}
+
+export default {
+  SCREENING_CLASSES,
+  buildOwnerIdentity,
+  screenDocument
+};
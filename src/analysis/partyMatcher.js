@@ -0,0 +1,8 @@
+/**
+ * Party Matching (Entity Resolution)
+ * The matcher lives in public/js/shared/ so the browser PDF scanner loads
+ * the same code from any static deployment
+ */
+
+export * from '../../public/js/shared/partyMatcher.js';
+export { default } from '../../public/js/shared/partyMatcher.js';
@@ -0,0 +1,264 @@
+/**
+ * Estate and Probate Detection
+ * Finds deaths in the chain of title - personal representative deeds,
+ * deeds from surviving spouses, co-owners or heirs, and a co-owner who
+ * drops out between deeds - and checks that the records show the step that
+ * passes the decedent's title: letters or a probate order, an order
+ * determining homestead, or a death certificate. Kept free of the PDF
+ * tooling so the rules engine can use it in the Cloudflare function.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { normalizeName } from '../search/nameVariants.js';
+
+// Doc types that carry death certificates, affidavits and probate orders
+export const PROBATE_DOC_TYPES = ['AFF', 'CP'];
+
+// Probate document kinds, checked in order (first match wins)
+const PROBATE_KIND_PATTERNS = [
+  ['homestead_order', /DETERMINING\s+HOMESTEAD|HOMESTEAD\s+(?:STATUS|DETERMINATION)|DETERMINATION\s+OF\s+HOMESTEAD/],
+  ['summary_administration', /SUMMARY\s+ADMINISTRATION/],
+  ['order_authorizing_sale', /AUTHORIZING\s+(?:THE\s+)?(?:PRIVATE\s+)?SALE|CONFIRMING\s+(?:THE\s+)?SALE/],
+  ['letters', /LETTERS\s+OF\s+ADMINISTRATION|LETTERS\s+TESTAMENTARY|LETTERS\s+OF\s+CURATORSHIP/],
+  ['probate_order', /ORDER\s+ADMITTING\s+WILL|ORDER\s+OF\s+DISTRIBUTION|ORDER\s+DETERMINING\s+BENEFICIAR|PROBATE\s+DIVISION|IN\s+RE:?\s+(?:THE\s+)?ESTATE\s+OF/],
+  ['continuous_marriage', /CONTINUOUS\s+MARRIAGE/],
+  ['death_certificate', /DEATH\s+CERTIFICATE|CERTIFICATE\s+OF\s+DEATH|AFFIDAVIT\s+OF\s+DEATH|\bDECEDENT\b.{0,40}\bDIED\b/]
+];
+
+// Kinds that show the court passed on the estate
+const COURT_KINDS = ['homestead_order', 'summary_administration', 'order_authorizing_sale', 'letters', 'probate_order'];
+
+// Kinds that prove a death for survivorship
+const DEATH_KINDS = ['death_certificate', 'continuous_marriage'];
+
+// Evidence recorded this long after the deed still counts
+const EVIDENCE_GRACE_DAYS = 365;
+
+// Display labels
+export const PROBATE_KIND_LABELS = {
+  homestead_order: 'Order determining homestead',
+  summary_administration: 'Order of summary administration',
+  order_authorizing_sale: 'Order authorizing sale',
+  letters: 'Letters of administration',
+  probate_order: 'Probate order',
+  continuous_marriage: 'Affidavit of continuous marriage',
+  death_certificate: 'Death certificate'
+};
+
+// Estate and capacity words in clerk party names ("SMITH JOHN EST", "SMITH MARY PERS REP")
+const ESTATE_NAME_PATTERN = /\bESTATE\s+OF\b|\bEST(?:ATE)?\b|\bDEC(?:EASED|'D|D)?\b/;
+const PR_NAME_PATTERN = /\bPERS(?:ONAL)?\s+REP(?:RESENTATIVE)?S?\b|\bP\s?R\b/;
+const CAPACITY_WORDS = /\bESTATE\s+OF\b|\bEST(?:ATE)?\b|\bDEC(?:EASED|'D|D)?\b|\bPERS(?:ONAL)?\s+REP(?:RESENTATIVE)?S?\b|\bP\s?R\b|\bHEIRS?\b|\bSURVIVING\s+SPOUSE\b|\bSURV(?:IVOR)?\b/g;
+
+/**
+ * Probate document kind from its text or clerk fields
+ * @param {string} text Document text (or doc type, legal field and party names)
+ * @returns {string|null} Kind (see PROBATE_KIND_LABELS), or null
+ */
+export function detectProbateKind(text) {
+  const normalizedText = (text || '').toUpperCase();
+  const found = PROBATE_KIND_PATTERNS.find(([, pattern]) => pattern.test(normalizedText));
+  return found ? found[0] : null;
+}
+
+/**
+ * Find deaths in the chain and the probate steps missing from the records
+ * @param {Object} params Sources
+ * @param {Object[]} params.chainOfTitle Chain of title (oldest first)
+ * @param {Object[]} params.documents Documents (scanned copies where available)
+ * @param {boolean} params.propertyMode Chain is for a single parcel - compare each deed with
+ *   the one before it and with the deaths recorded after the last one (default false)
+ * @returns {Object} { events, probateDocuments, findings, nameOnly } - events are the
+ *   deaths found along the chain, findings the steps missing for them
+ */
+export function analyzeProbate({ chainOfTitle, documents, propertyMode = false }) {
+  const probateDocuments = documents
+    .filter(d => PROBATE_DOC_TYPES.includes(d.docTypeShort))
+    .map(d => ({ doc: d, kind: probateKindOf(d) }))
+    .filter(p => p.kind !== null);
+  
+  const events = [];
+  const findings = [];
+  
+  for (let k = 0; k < chainOfTitle.length; k++) {
+    const link = chainOfTitle[k];
+    // A name-only chain can hold deeds to other parcels, so the deed before
+    // this one needn't be its predecessor
+    const prev = propertyMode && k > 0 ? chainOfTitle[k - 1] : null;
+    const deed = documents.find(d => d.instrumentNumber === link.instrumentNumber) || null;
+    const prevDeed = prev ? documents.find(d => d.instrumentNumber === prev.instrumentNumber) || null : null;
+    const event = deathEventOf(link, prev, deed, prevDeed);
+    if (!event) continue;
+    
+    // Orders and certificates are often recorded with or shortly after the deed
+    const cutoff = deed ? deed.recordTimestamp + EVIDENCE_GRACE_DAYS * 86400 : Infinity;
+    // Letters name the personal representative too; a survivor's own papers prove nothing
+    const named = event.type === 'survivor_deed' ? event.decedents : [...event.decedents, ...event.survivors];
+    const evidence = probateDocuments.filter(p => p.doc.recordTimestamp <= cutoff && namesParty(p.doc, named));
+    const courtEvidence = evidence.filter(p => COURT_KINDS.includes(p.kind));
+    const deathEvidence = evidence.filter(p => DEATH_KINDS.includes(p.kind));
+    const instruments = [prev, link].filter(Boolean).map(l => l.instrumentNumber);
+    
+    events.push({
+      ...event,
+      instrumentNumber: link.instrumentNumber,
+      recordDate: link.date,
+      evidence: evidence.map(p => ({
+        instrumentNumber: p.doc.instrumentNumber,
+        recordDate: p.doc.recordDate,
+        kind: p.kind,
+        label: PROBATE_KIND_LABELS[p.kind]
+      }))
+    });
+    
+    const decedents = event.decedents.join(', ') || 'the prior owner';
+    if (event.type === 'pr_deed' && courtEvidence.length === 0) {
+      findings.push({
+        type: 'pr_deed_without_order',
+        decedent: decedents,
+        instruments,
+        message: `Personal representative's deed #${link.sequence} (${link.grantors}) has no recorded letters of ` +
+          `administration or order authorizing the sale for the estate of ${decedents}`
+      });
+    } else if (event.type === 'heir_deed' && courtEvidence.length === 0) {
+      findings.push({
+        type: 'heir_deed_without_order',
+        decedent: decedents,
+        instruments,
+        message: `Deed #${link.sequence} is from the heirs of ${decedents} with no recorded order determining homestead, ` +
+          'summary administration or other probate order'
+      });
+    } else if (event.type === 'survivor_deed' && deathEvidence.length === 0 && courtEvidence.length === 0) {
+      findings.push({
+        type: event.survivorship === false ? 'co_owner_share_not_conveyed' : 'survivor_without_death_certificate',
+        decedent: decedents,
+        instruments,
+        message: event.survivorship === false ?
+          `Deed #${link.sequence} is from ${link.grantors} only, but #${prev.sequence} vested ${prev.grantees} ` +
+            `as tenants in common - the share of ${decedents} has not been conveyed or probated` :
+          event.stated ?
+            `Deed #${link.sequence} is from ${event.survivors.join(', ')} as survivor of ${decedents} with no recorded ` +
+              'death certificate or affidavit of continuous marriage' :
+            `Deed #${link.sequence} is from ${event.survivors.join(', ')} without co-owner ${decedents} (vested by ` +
+              `#${prev.sequence}) - if deceased, a death certificate is needed; otherwise a deed or divorce judgment`
+      });
+    }
+  }
+  
+  // A death recorded against the sole owner vested by the last deed
+  const last = propertyMode ? chainOfTitle[chainOfTitle.length - 1] : null;
+  const lastDeed = last ? documents.find(d => d.instrumentNumber === last.instrumentNumber) : null;
+  if (last && lastDeed && last.granteeList.length === 1) {
+    const deaths = probateDocuments.filter(p => DEATH_KINDS.includes(p.kind) &&
+      p.doc.recordTimestamp > lastDeed.recordTimestamp && namesParty(p.doc, last.granteeList));
+    if (deaths.length > 0) {
+      findings.push({
+        type: 'estate_unresolved',
+        decedent: last.grantees,
+        instruments: [last.instrumentNumber, ...deaths.map(p => p.doc.instrumentNumber)],
+        message: `${PROBATE_KIND_LABELS[deaths[0].kind]} recorded for ${last.grantees}, the sole vested owner - ` +
+          'title must pass through probate (or a homestead determination) before a sale'
+      });
+    }
+  }
+  
+  return {
+    events,
+    probateDocuments: probateDocuments.map(p => ({
+      instrumentNumber: p.doc.instrumentNumber,
+      recordDate: p.doc.recordDate,
+      kind: p.kind,
+      label: PROBATE_KIND_LABELS[p.kind]
+    })),
+    findings,
+    nameOnly: !propertyMode
+  };
+}
+
+// ===== HELPERS =====
+
+/**
+ * Kind of a probate document: from the scanned text when available,
+ * otherwise from the clerk's doc type, legal field and party names
+ */
+function probateKindOf(doc) {
+  if (doc.extractedData && doc.extractedData.documentKind) {
+    return doc.extractedData.documentKind;
+  }
+  return detectProbateKind([doc.docType, doc.legalDescription, ...doc.grantors, ...doc.grantees].join(' '));
+}
+
+/**
+ * Death behind a deed, if any
+ * @param {Object} link Chain entry
+ * @param {Object} prev Previous chain entry (optional)
+ * @param {Object} deed Deed (with extractedData when scanned)
+ * @param {Object} prevDeed Previous deed (with extractedData when scanned)
+ * @returns {Object|null} { type, decedents, survivors, stated (survivor capacity recited), survivorship }
+ */
+function deathEventOf(link, prev, deed, prevDeed) {
+  const data = deed && deed.extractedData ? deed.extractedData : {};
+  const grantors = link.grantorList.map(normalizeName);
+  const capacity = data.grantorCapacity ||
+    (data.deedType === 'PR DEED' || grantors.some(g => PR_NAME_PATTERN.test(g)) ? 'personal_representative' : null) ||
+    (grantors.some(g => /\bHEIRS?\b/.test(g)) ? 'heir' : null) ||
+    (grantors.some(g => ESTATE_NAME_PATTERN.test(g)) ? 'personal_representative' : null) ||
+    (grantors.some(g => /\bSURVIVING\s+SPOUSE\b|\bSURV(?:IVOR)?\b/.test(g)) ? 'surviving_spouse' : null);
+  
+  // The decedent is named with the estate, or was vested by the previous deed
+  const estateNames = grantors.filter(g => ESTATE_NAME_PATTERN.test(g) || /\bHEIRS?\b/.test(g)).map(withoutCapacity);
+  const priorOwners = prev ? prev.granteeList.map(withoutCapacity) : [];
+  
+  if (capacity === 'personal_representative' || capacity === 'heir') {
+    return {
+      type: capacity === 'heir' ? 'heir_deed' : 'pr_deed',
+      decedents: estateNames.length > 0 ? estateNames : priorOwners,
+      survivors: grantors.filter(g => !ESTATE_NAME_PATTERN.test(g) && !/\bHEIRS?\b/.test(g)).map(withoutCapacity)
+    };
+  }
+  
+  // A co-owner on the previous deed is missing from this deed's grantors
+  const survivor = capacity === 'surviving_spouse' || capacity === 'surviving_tenant';
+  if (!prev) return null;
+  const conveying = prev.granteeList.filter(g => compareParties([g], link.grantorList).score >= MATCH_THRESHOLDS.strong);
+  const dropped = prev.granteeList.filter(g => !conveying.includes(g));
+  const allVested = conveying.length > 0 &&
+    link.grantorList.every(g => compareParties([g], prev.granteeList).score >= MATCH_THRESHOLDS.strong);
+  if (dropped.length === 0 || !(allVested || survivor)) return null;
+  
+  const priorVesting = prevDeed && prevDeed.extractedData ? prevDeed.extractedData.vesting : null;
+  return {
+    type: 'survivor_deed',
+    decedents: dropped.map(withoutCapacity),
+    survivors: (conveying.length > 0 ? conveying : link.grantorList).map(withoutCapacity),
+    stated: survivor,
+    survivorship: priorVesting === 'tenants_in_common' ? false :
+      ['tenants_by_entirety', 'joint_tenants'].includes(priorVesting) ? true : null
+  };
+}
+
+/**
+ * Whether a probate document names one of the parties (as decedent, party
+ * or in the case style)
+ */
+function namesParty(doc, names) {
+  if (names.length === 0) return false;
+  const data = doc.extractedData || {};
+  const parties = [...doc.grantors, ...doc.grantees, data.decedent, data.personalRepresentative]
+    .filter(Boolean).map(withoutCapacity);
+  return compareParties(parties, names.map(withoutCapacity)).score >= MATCH_THRESHOLDS.possible;
+}
+
+/**
+ * Name without estate or capacity words ("SMITH JOHN EST" -> "SMITH JOHN")
+ */
+function withoutCapacity(name) {
+  return normalizeName(name).replace(CAPACITY_WORDS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+export default {
+  PROBATE_DOC_TYPES,
+  PROBATE_KIND_LABELS,
+  detectProbateKind,
+  analyzeProbate
+};
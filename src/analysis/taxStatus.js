@@ -0,0 +1,150 @@
+/**
+ * Tax Deeds and Tax Status
+ * Finds tax deeds in the chain of title - a tax deed title is generally not
+ * marketable until a quiet title action - and summarizes the delinquent
+ * taxes and outstanding tax certificates from the local tax data (see
+ * api/taxData.js). Kept free of the PDF tooling so the Cloudflare function
+ * can use it on clerk records.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { formatAmount } from './docStamps.js';
+
+// §95.192: an action to set aside a tax deed must be brought within 4 years
+export const TAX_DEED_CONTEST_YEARS = 4;
+
+// Doc types that can carry a quiet title suit or judgment
+const QUIET_TITLE_DOC_TYPES = ['LP', 'JUD', 'CP'];
+
+// Display labels
+export const TAX_STATUS_LABELS = {
+  current: 'Current',
+  delinquent: 'Delinquent',
+  tax_deed_application: 'Tax deed application filed',
+  unknown: 'Unknown'
+};
+
+/**
+ * Check the tax deeds in the chain and summarize the parcel's tax status
+ * @param {Object} params Sources
+ * @param {Object[]} params.chainOfTitle Chain of title (oldest first)
+ * @param {Object[]} params.documents Documents (scanned copies where available)
+ * @param {Object} params.taxData Local tax record for the parcel (optional)
+ * @returns {Object} { taxDeeds, unmarketable, taxes } - unmarketable are the tax
+ *   deeds with no quiet title judgment after them
+ */
+export function analyzeTaxStatus({ chainOfTitle, documents, taxData = null }) {
+  const taxDeeds = chainOfTitle
+    .filter(link => link.docType === 'TAXDEED')
+    .map(link => taxDeedEntry(link, documents));
+  
+  return {
+    taxDeeds,
+    unmarketable: taxDeeds.filter(t => !t.marketable),
+    taxes: summarizeTaxes(taxData)
+  };
+}
+
+/**
+ * One tax deed in the chain, with any quiet title suit or judgment that
+ * followed it
+ * @param {Object} link Chain entry
+ * @param {Object[]} documents Documents (scanned copies where available)
+ * @returns {Object} Tax deed entry
+ */
+function taxDeedEntry(link, documents) {
+  const deed = documents.find(d => d.instrumentNumber === link.instrumentNumber) || null;
+  const recorded = deed ? deed.recordTimestamp : 0;
+  const yearsSince = deed ? Math.floor((Date.now() / 1000 - recorded) / (365.25 * 86400)) : null;
+  
+  // Suits and judgments after the deed that quiet title in the tax deed grantee
+  const actions = documents.filter(d => QUIET_TITLE_DOC_TYPES.includes(d.docTypeShort) &&
+    d.recordTimestamp >= recorded && isQuietTitle(d) &&
+    compareParties([...d.grantors, ...d.grantees], link.granteeList).score >= MATCH_THRESHOLDS.possible);
+  const judgment = actions.find(d => d.docTypeShort !== 'LP') || null;
+  const suit = actions.find(d => d.docTypeShort === 'LP') || null;
+  const contestPeriodRun = yearsSince !== null && yearsSince >= TAX_DEED_CONTEST_YEARS;
+  
+  return {
+    sequence: link.sequence,
+    instrumentNumber: link.instrumentNumber,
+    recordDate: link.date,
+    grantees: link.grantees,
+    yearsSince,
+    contestPeriodRun,
+    quietTitle: judgment || suit ? {
+      instrumentNumber: (judgment || suit).instrumentNumber,
+      recordDate: (judgment || suit).recordDate,
+      kind: judgment ? 'judgment' : 'lis_pendens'
+    } : null,
+    marketable: Boolean(judgment),
+    message: judgment ?
+      `Tax deed #${link.sequence} to ${link.grantees} is followed by a quiet title judgment (#${judgment.instrumentNumber})` :
+      `Tax deed #${link.sequence} to ${link.grantees} (${link.date}) has no recorded quiet title judgment` +
+        `${suit ? ` - suit pending (lis pendens #${suit.instrumentNumber})` : ''}` +
+        `${contestPeriodRun ? `; the ${TAX_DEED_CONTEST_YEARS}-year contest period has run` : ''}`
+  };
+}
+
+/**
+ * Delinquent taxes and outstanding certificates from the local tax record
+ * @param {Object} taxData Tax record (optional)
+ * @returns {Object} { status, statusLabel, asOf, source, delinquentTaxes, amountDue, certificates, message }
+ */
+function summarizeTaxes(taxData) {
+  if (!taxData) {
+    return {
+      status: 'unknown',
+      statusLabel: TAX_STATUS_LABELS.unknown,
+      asOf: null,
+      source: null,
+      delinquentTaxes: [],
+      amountDue: null,
+      certificates: [],
+      message: 'No tax data for the parcel - confirm with the Tax Collector that taxes are paid'
+    };
+  }
+  
+  const delinquentTaxes = (taxData.delinquentTaxes || []).filter(t => t.amountDue > 0);
+  const certificates = (taxData.certificates || []).filter(c => (c.status || 'outstanding') === 'outstanding');
+  const amountDue = Math.round(delinquentTaxes.reduce((sum, t) => sum + t.amountDue, 0) * 100) / 100;
+  const status = certificates.some(c => c.taxDeedApplication) ? 'tax_deed_application' :
+    delinquentTaxes.length > 0 || certificates.length > 0 ? 'delinquent' : 'current';
+  
+  const years = [...new Set([...delinquentTaxes, ...certificates].map(t => t.taxYear).filter(Boolean))].sort();
+  const details = [
+    delinquentTaxes.length > 0 ? `${formatAmount(amountDue)} delinquent` : null,
+    certificates.length > 0 ? `${certificates.length} outstanding certificate(s)` : null,
+    years.length > 0 ? `tax year(s) ${years.join(', ')}` : null
+  ].filter(Boolean).join(', ');
+  
+  return {
+    status,
+    statusLabel: TAX_STATUS_LABELS[status],
+    asOf: taxData.asOf || null,
+    source: taxData.source || null,
+    delinquentTaxes,
+    amountDue,
+    certificates,
+    message: status === 'current' ?
+      `Taxes are current${taxData.asOf ? ` as of ${taxData.asOf}` : ''}` :
+      `Taxes are ${status === 'tax_deed_application' ? 'delinquent and a tax deed application has been filed' : 'delinquent'}: ` +
+        `${details}${taxData.asOf ? ` (as of ${taxData.asOf})` : ''}`
+  };
+}
+
+// ===== HELPERS =====
+
+/**
+ * Quiet title suit or judgment, from the scanned text or the clerk's fields
+ */
+function isQuietTitle(doc) {
+  if (doc.extractedData && doc.extractedData.isQuietTitle) return true;
+  return /QUIET(?:ING)?\s+(?:THE\s+)?TITLE/.test([doc.docType, doc.legalDescription].join(' ').toUpperCase());
+}
+
+export default {
+  TAX_DEED_CONTEST_YEARS,
+  TAX_STATUS_LABELS,
+  analyzeTaxStatus
+};
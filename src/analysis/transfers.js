@@ -0,0 +1,101 @@
+/**
+ * Transfer Analysis
+ * Walks the deeds in recording order and works out, for each transfer, the
+ * price paid, how long the grantor held title, the price change from the
+ * prior sale and how the price compares with the appraiser's value. The
+ * risk rules decide which of these are quick flips or price anomalies.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from './partyMatcher.js';
+
+// Minimum doc stamps ($0.70) cover consideration up to $100 - anything at or
+// below that is a nominal transfer ($0, $10, $100)
+export const NOMINAL_PRICE = 100;
+
+/**
+ * Analyze the transfers in a set of deeds
+ * @param {Object[]} deeds Deeds (with extractedData when scanned)
+ * @param {Object} options Options
+ * @param {boolean} options.propertyMode Deeds are all on the subject parcel (default false)
+ * @param {number} options.marketValue Appraiser total value of the subject parcel (optional)
+ * @returns {Object} { transfers, marketValue } - each transfer carries price, nominal,
+ *   holdingDays (since the previous transfer), priceChange (since the prior sale) and valueRatio
+ */
+export function analyzeTransfers(deeds, options = {}) {
+  const { propertyMode = false, marketValue = null } = options;
+  
+  const sorted = [...deeds].sort((a, b) => a.recordTimestamp - b.recordTimestamp);
+  const transfers = [];
+  const lastSales = new Map();
+  
+  for (const deed of sorted) {
+    const { price, priceSource } = transferPrice(deed);
+    const nominal = price !== null && price <= NOMINAL_PRICE;
+    
+    // Prior transfer of the same property: the previous deed in property
+    // mode, otherwise the latest earlier deed into this deed's grantors
+    const previous = [...transfers].reverse().find(t => propertyMode ||
+      compareParties(t.grantees, deed.grantors).score >= MATCH_THRESHOLDS.possible) || null;
+    
+    // Compare the price with the last arms-length sale, looking past any
+    // nominal transfers in between
+    const priorSale = previous ? lastSales.get(previous.instrumentNumber) : null;
+    const transfer = {
+      instrumentNumber: deed.instrumentNumber,
+      recordDate: deed.recordDate,
+      recordTimestamp: deed.recordTimestamp,
+      docType: deed.docTypeShort,
+      grantors: deed.grantors,
+      grantees: deed.grantees,
+      documentId: deed.documentId,
+      price,
+      priceSource,
+      nominal,
+      previous: previous ? previous.instrumentNumber : null,
+      holdingDays: previous ? Math.round((deed.recordTimestamp - previous.recordTimestamp) / 86400) : null,
+      priorSale: priorSale ? priorSale.instrumentNumber : null,
+      daysSincePriorSale: priorSale ? Math.round((deed.recordTimestamp - priorSale.recordTimestamp) / 86400) : null,
+      priceChange: priorSale && isArmsLengthPrice({ price, nominal }) ?
+        (price - priorSale.price) / priorSale.price : null,
+      valueRatio: marketValue > 0 && isArmsLengthPrice({ price, nominal }) ? price / marketValue : null
+    };
+    
+    transfers.push(transfer);
+    lastSales.set(deed.instrumentNumber, isArmsLengthPrice(transfer) ? transfer : priorSale);
+  }
+  
+  return { transfers, marketValue };
+}
+
+/**
+ * Whether a transfer has a real (non-nominal) price to compare
+ */
+function isArmsLengthPrice(transfer) {
+  return transfer.price !== null && !transfer.nominal;
+}
+
+/**
+ * Price paid on a deed: the clerk's sales price, or the consideration read
+ * from the scanned deed when the clerk has none
+ * @param {Object} deed Deed
+ * @returns {Object} { price, priceSource }
+ */
+function transferPrice(deed) {
+  const consideration = deed.extractedData ? deed.extractedData.consideration : null;
+  
+  if (deed.salesPrice > 0) {
+    return { price: deed.salesPrice, priceSource: 'salesPrice' };
+  }
+  if (consideration) {
+    return { price: Math.round(consideration * 100) / 100, priceSource: 'consideration' };
+  }
+  if (deed.salesPrice === 0) {
+    return { price: 0, priceSource: 'salesPrice' };
+  }
+  return { price: null, priceSource: null };
+}
+
+export default {
+  NOMINAL_PRICE,
+  analyzeTransfers
+};
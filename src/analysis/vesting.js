@@ -0,0 +1,198 @@
+/**
+ * Vesting Determination
+ * States who holds title and how: takes the last deed in the chain, reads
+ * the vesting language (or infers it from the grantees) and checks the
+ * grantees against the owner of record at the property appraiser.
+ */
+
+import { compareParties, parseParty, MATCH_THRESHOLDS } from './partyMatcher.js';
+import { normalizeName, isEntityName } from '../search/nameVariants.js';
+
+// Display labels
+export const VESTING_LABELS = {
+  tenants_by_entirety: 'tenants by the entirety',
+  joint_tenants: 'joint tenants with right of survivorship',
+  tenants_in_common: 'tenants in common',
+  trustee: 'trustee',
+  llc: 'limited liability company',
+  entity: 'entity',
+  sole_owner: 'sole owner'
+};
+
+// Vesting where a co-owner's interest passes to the survivors on death
+const SURVIVORSHIP = ['tenants_by_entirety', 'joint_tenants'];
+
+/**
+ * Determine the current vesting
+ * @param {Object} params Sources
+ * @param {Object[]} params.chainOfTitle Chain of title (oldest first)
+ * @param {Object[]} params.documents Documents (scanned copies where available)
+ * @param {Object} params.parcel Property appraiser parcel (optional)
+ * @returns {Object} { deed, grantees, vestingType, vestingLabel, vestingSource,
+ *   appraiserOwner, appraiserOwners, discrepancies }
+ */
+export function determineVesting({ chainOfTitle, documents, parcel }) {
+  const link = chainOfTitle.length > 0 ? chainOfTitle[chainOfTitle.length - 1] : null;
+  const deed = link ? documents.find(d => d.instrumentNumber === link.instrumentNumber) || null : null;
+  const grantees = link ? link.granteeList : [];
+  const { vestingType, vestingSource } = deed ? vestingOf(deed) : { vestingType: null, vestingSource: null };
+  
+  const appraiserOwner = parcel && parcel.ownerName ? parcel.ownerName : null;
+  const appraiserOwners = appraiserOwner ? splitOwners(appraiserOwner) : [];
+  
+  return {
+    deed: deed ? {
+      instrumentNumber: deed.instrumentNumber,
+      recordDate: deed.recordDate,
+      docType: deed.docTypeShort,
+      bookNum: deed.bookNum,
+      pageNum: deed.pageNum,
+      documentId: deed.documentId
+    } : null,
+    grantees,
+    vestingType,
+    vestingLabel: vestingType ? VESTING_LABELS[vestingType] : null,
+    vestingSource,
+    appraiserOwner,
+    appraiserOwners,
+    discrepancies: deed && appraiserOwner ? compareOwners(grantees, appraiserOwners, vestingType) : []
+  };
+}
+
+/**
+ * Vesting from the deed text, else inferred from the grantee names
+ * @param {Object} deed Deed (with extractedData when scanned)
+ * @returns {Object} { vestingType, vestingSource }
+ */
+function vestingOf(deed) {
+  if (deed.extractedData && deed.extractedData.vesting) {
+    return { vestingType: deed.extractedData.vesting, vestingSource: 'deed_text' };
+  }
+  
+  const names = deed.grantees.map(normalizeName);
+  if (names.some(n => /\bTRUSTEES?\b|\bTR\b|\bTRS\b/.test(n))) {
+    return { vestingType: 'trustee', vestingSource: 'grantee_names' };
+  }
+  if (names.length === 1 && /\bL\.?\s?L\.?\s?C\b/.test(names[0])) {
+    return { vestingType: 'llc', vestingSource: 'grantee_names' };
+  }
+  if (names.length === 1) {
+    return { vestingType: isEntityName(names[0]) ? 'entity' : 'sole_owner', vestingSource: 'grantee_names' };
+  }
+  // Unmarried co-owners take as tenants in common unless the deed says otherwise (§689.15)
+  return { vestingType: 'tenants_in_common', vestingSource: 'presumed' };
+}
+
+/**
+ * Compare the vested grantees with the appraiser's owners
+ * @returns {Object[]} Discrepancies ({ type, party, message })
+ */
+function compareOwners(grantees, appraiserOwners, vestingType) {
+  const discrepancies = [];
+  const matchedGrantees = new Set();
+  
+  for (const owner of appraiserOwners) {
+    if (/\bESTATE\s+OF\b|\bDECEASED\b|\bDEC'?D\b/.test(owner)) {
+      discrepancies.push({
+        type: 'deceased_owner',
+        party: owner,
+        message: `Appraiser lists ${owner} - an owner appears to be deceased; probate or a death certificate is needed`
+      });
+      continue;
+    }
+    
+    const matched = grantees.find(g =>
+      compareParties([withoutCapacity(owner)], [withoutCapacity(g)]).score >= MATCH_THRESHOLDS.strong);
+    if (matched) {
+      matchedGrantees.add(matched);
+      continue;
+    }
+    
+    const renamed = grantees.find(g => isNameChange(withoutCapacity(owner), withoutCapacity(g)));
+    if (renamed) {
+      matchedGrantees.add(renamed);
+      discrepancies.push({
+        type: 'name_change',
+        party: owner,
+        message: `Appraiser lists ${owner} but title vested in ${renamed} - confirm the name change (marriage, divorce, court order)`
+      });
+      continue;
+    }
+    
+    discrepancies.push({
+      type: 'unrecorded_transfer',
+      party: owner,
+      message: `Appraiser lists ${owner}, who is not a grantee on the last recorded deed - possible unrecorded transfer`
+    });
+  }
+  
+  // Vested owners the appraiser no longer shows
+  const missing = grantees.filter(g => !matchedGrantees.has(g));
+  if (missing.length > 0 && matchedGrantees.size > 0) {
+    const survivorship = SURVIVORSHIP.includes(vestingType);
+    for (const grantee of missing) {
+      discrepancies.push({
+        type: survivorship ? 'deceased_co_owner' : 'missing_co_owner',
+        party: grantee,
+        message: survivorship ?
+          `${grantee} is vested as ${VESTING_LABELS[vestingType]} but not shown by the appraiser - ` +
+            'if deceased, record a death certificate; otherwise confirm the owners' :
+          `${grantee} is vested but not shown by the appraiser - their interest needs a recorded conveyance or probate`
+      });
+    }
+  }
+  
+  return discrepancies;
+}
+
+/**
+ * Same person under a different surname: given name (and middle initial, when
+ * both have one) match but the surname differs
+ */
+function isNameChange(a, b) {
+  const partyA = parseParty(a);
+  const partyB = parseParty(b);
+  if (partyA.isEntity || partyB.isEntity) return false;
+  if (partyA.tokens.length < 2 || partyB.tokens.length < 2) return false;
+  
+  const [lastA, firstA, middleA] = partyA.tokens;
+  const [lastB, firstB, middleB] = partyB.tokens;
+  if (lastA === lastB || firstA !== firstB) return false;
+  return !middleA || !middleB || middleA[0] === middleB[0] || middleA === lastB || middleB === lastA;
+}
+
+/**
+ * Name without a trustee designation ("SMITH JOHN TR" -> "SMITH JOHN")
+ */
+function withoutCapacity(name) {
+  return normalizeName(name).replace(/,?\s*\b(?:AS\s+)?(?:SUCCESSOR\s+)?(?:TRUSTEES?|TTEES?|TRS?)\b/g, '').trim();
+}
+
+/**
+ * Appraiser owner field split into owners ("SMITH JOHN A AND MARY B" ->
+ * SMITH JOHN A, SMITH MARY B). An entity's name stays whole ("SMITH AND
+ * JONES HOLDINGS LLC"); trustees are people, so their capacity doesn't count.
+ */
+function splitOwners(ownerName) {
+  if (isEntityName(withoutCapacity(ownerName))) {
+    return [normalizeName(ownerName)];
+  }
+  
+  const parts = normalizeName(ownerName).split(/\s*(?:&|;|\bAND\b)\s*/).filter(Boolean);
+  const surname = parts.length > 0 ? parseParty(parts[0]).tokens[0] : null;
+  
+  return parts.map((part, index) => {
+    // Later owners often leave out the shared surname ("MARY" or "MARY B")
+    const tokens = part.split(/\s+/);
+    const givenOnly = tokens.length === 1 || (tokens.length === 2 && tokens[1].length === 1);
+    if (index > 0 && surname && givenOnly && !isEntityName(part)) {
+      return `${surname} ${part}`;
+    }
+    return part;
+  });
+}
+
+export default {
+  VESTING_LABELS,
+  determineVesting
+};
@@ -17,6 +17,7 @@ export const DOC_TYPES = {
   RESTRICTIONS: '(RES) RESTRICTIONS',
   JUDGMENT: '(JUD) JUDGMENT',
   RELEASE: '(REL) RELEASE',
+  RELEASE_LIS_PENDENS: '(RELLP) RELEASE LIS PENDENS',
   ASSIGNMENT: '(ASG) ASSIGNMENT',
   MODIFICATION: '(MOD) MODIFICATION',
   TAX_DEED: '(TAXDEED) TAX DEED',
@@ -38,19 +39,43 @@ export const TITLE_DOC_TYPES = [
   DOC_TYPES.RESTRICTIONS,
   DOC_TYPES.JUDGMENT,
   DOC_TYPES.RELEASE,
+  DOC_TYPES.RELEASE_LIS_PENDENS,
   DOC_TYPES.ASSIGNMENT,
-  DOC_TYPES.TAX_DEED
+  DOC_TYPES.MODIFICATION,
+  DOC_TYPES.TAX_DEED,
+  DOC_TYPES.AFFIDAVIT,
+  DOC_TYPES.COURT_PAPER,
+  DOC_TYPES.NOTICE_COMMENCEMENT
 ];
 
+// Smallest date window (in days) we will split a truncated search into
+// before falling back to splitting the document type list
+const MIN_WINDOW_DAYS = 7;
+
+// Earliest date used when a truncated search has no start date to split from
+const EARLIEST_RECORD_DATE = '01/01/1900';
+
+// Most requests one search may make while splitting truncated windows - the
+// windows left over are reported as not searched
+const MAX_SEARCH_REQUESTS = 200;
+
 /**
  * Search public records by party name
+ * 
+ * The clerk API returns a truncated/malformed body when a query has too many
+ * hits. When that happens the date range is split in half (and, once the
+ * window is small enough, the doc type list) until each window parses, or
+ * until the request budget runs out and the rest are left unsearched.
+ * Results from all windows are merged and de-duplicated by instrument number.
+ * 
  * @param {Object} params Search parameters
  * @param {string|string[]} params.name Party name(s) to search
  * @param {string[]} params.docTypes Document types to filter (optional)
  * @param {string} params.startDate Start date MM/DD/YYYY (optional)
  * @param {string} params.endDate End date MM/DD/YYYY (optional)
  * @param {string} params.partyType 'PARTY 1' (grantor) or 'PARTY 2' (grantee) (optional)
- * @returns {Promise<Object[]>} Search results
+ * @returns {Promise<Object>} { records, complete, windows } - windows are the queries
+ *   actually run, with their record counts, and any left unsearched (unsearched: true)
  */
 export async function searchByName(params) {
   const { name, docTypes, startDate, endDate, partyType } = params;
@@ -58,9 +83,155 @@ export async function searchByName(params) {
   // Build name array (handle variations)
   const names = Array.isArray(name) ? name : [name.toUpperCase()];
   
-  const query = {
-    PartyName: names
+  return searchWindows({
+    names,
+    docTypes,
+    startDate,
+    endDate,
+    partyType
+  });
+}
+
+/**
+ * Search public records by legal description
+ * 
+ * Finds records whose `Legal` field contains the text - typically a
+ * subdivision or condominium name, since the clerk's lot and block wording
+ * varies. Callers narrow the hits to the parcel (see
+ * analysis/legalDescription.js). Truncated responses are split the same way
+ * as a name search.
+ * 
+ * @param {Object} params Search parameters
+ * @param {string} params.legal Legal description text to search for
+ * @param {string[]} params.docTypes Document types to filter (optional)
+ * @param {string} params.startDate Start date MM/DD/YYYY (optional)
+ * @param {string} params.endDate End date MM/DD/YYYY (optional)
+ * @returns {Promise<Object>} { records, complete, windows }
+ */
+export async function searchByLegal(params) {
+  const { legal, docTypes, startDate, endDate } = params;
+  
+  if (!legal || !legal.trim()) {
+    throw new Error('Legal description text is required');
+  }
+  
+  return searchWindows({
+    legal: legal.toUpperCase().replace(/\s+/g, ' ').trim(),
+    docTypes,
+    startDate,
+    endDate
+  });
+}
+
+/**
+ * Run a search across as many windows as it takes, merging the results
+ * @param {Object} window Query window (names or legal, docTypes, startDate, endDate, partyType)
+ * @returns {Promise<Object>} { records, complete, windows }
+ */
+async function searchWindows(window) {
+  const windows = [];
+  const records = await searchWindow(window, windows, { remaining: MAX_SEARCH_REQUESTS });
+  
+  // Merge and de-duplicate across windows
+  const seen = new Map();
+  for (const record of records) {
+    const key = record.Instrument || record.ID;
+    if (!seen.has(key)) {
+      seen.set(key, record);
+    }
+  }
+  
+  return {
+    records: [...seen.values()],
+    complete: windows.every(w => !w.truncated),
+    windows
   };
+}
+
+/**
+ * Search a single window, splitting it if the response is truncated
+ * @param {Object} window Query window (names or legal, docTypes, startDate, endDate, partyType)
+ * @param {Object[]} windows Accumulator for the leaf windows actually queried (or left unsearched)
+ * @param {Object} budget Requests left for the search ({ remaining }, shared by every window)
+ * @returns {Promise<Object[]>} Raw records
+ */
+async function searchWindow(window, windows, budget) {
+  if (budget.remaining <= 0) {
+    console.error(`Search window ${window.startDate} - ${window.endDate} not searched - request budget spent`);
+    windows.push({ ...windowEntry(window), count: 0, truncated: true, unsearched: true });
+    return [];
+  }
+  
+  budget.remaining--;
+  const { records, truncated } = await runSearch(window);
+  
+  if (!truncated) {
+    windows.push({ ...windowEntry(window), count: records.length, truncated: false });
+    return records;
+  }
+  
+  // Split by date range first
+  const start = parseApiDate(window.startDate || EARLIEST_RECORD_DATE);
+  const end = window.endDate ? parseApiDate(window.endDate) : new Date();
+  const spanDays = (end - start) / 86400000;
+  
+  if (spanDays > MIN_WINDOW_DAYS) {
+    const mid = new Date(start.getTime() + Math.floor(spanDays / 2) * 86400000);
+    const next = new Date(mid.getTime() + 86400000);
+    
+    const first = await searchWindow({
+      ...window,
+      startDate: formatApiDate(start),
+      endDate: formatApiDate(mid)
+    }, windows, budget);
+    const second = await searchWindow({
+      ...window,
+      startDate: formatApiDate(next),
+      endDate: formatApiDate(end)
+    }, windows, budget);
+    
+    return [...first, ...second];
+  }
+  
+  // Then by document type
+  if (window.docTypes && window.docTypes.length > 1) {
+    const half = Math.ceil(window.docTypes.length / 2);
+    const first = await searchWindow({ ...window, docTypes: window.docTypes.slice(0, half) }, windows, budget);
+    const second = await searchWindow({ ...window, docTypes: window.docTypes.slice(half) }, windows, budget);
+    return [...first, ...second];
+  }
+  
+  // Nothing left to split - record the gap
+  console.error(`Search window ${window.startDate} - ${window.endDate} still truncated`);
+  windows.push({ ...windowEntry(window), count: 0, truncated: true });
+  return [];
+}
+
+/**
+ * The query a window ran (or would have run), for the windows list
+ * @param {Object} window Query window
+ * @returns {Object} { names, legal, partyType, startDate, endDate, docTypes }
+ */
+function windowEntry(window) {
+  return {
+    names: window.names || null,
+    legal: window.legal || null,
+    partyType: window.partyType || null,
+    startDate: window.startDate || null,
+    endDate: window.endDate || null,
+    docTypes: window.docTypes || null
+  };
+}
+
+/**
+ * Run a single search request against the clerk API
+ * @param {Object} window Query window
+ * @returns {Promise<Object>} { records, truncated }
+ */
+async function runSearch(window) {
+  const { names, legal, docTypes, startDate, endDate, partyType } = window;
+  
+  const query = names ? { PartyName: names } : { Legal: legal };
   
   if (docTypes && docTypes.length > 0) {
     query.DocType = docTypes;
@@ -78,6 +249,15 @@ export async function searchByName(params) {
     query.PartyType = partyType;
   }
   
+  return postSearch(query);
+}
+
+/**
+ * Post a query to the clerk search API
+ * @param {Object} query Search API query
+ * @returns {Promise<Object>} { records, truncated }
+ */
+async function postSearch(query) {
   try {
     const response = await fetch(`${BASE_URL}${SEARCH_API}`, {
       method: 'POST',
@@ -96,11 +276,11 @@ export async function searchByName(params) {
     // Parse the response (may be truncated)
     try {
       const parsed = JSON.parse(data);
-      return parsed.ResultList || parsed || [];
+      return { records: parsed.ResultList || (Array.isArray(parsed) ? parsed : []), truncated: false };
     } catch (e) {
       // Response might be truncated or malformed
       console.error('Failed to parse response:', e.message);
-      return [];
+      return { records: [], truncated: true };
     }
   } catch (error) {
     console.error('Search error:', error);
@@ -108,6 +288,136 @@ export async function searchByName(params) {
   }
 }
 
+/**
+ * Find a recorded document by instrument number (clerk file number)
+ * @param {string|number} instrumentNumber Instrument number, e.g. 2019123456
+ * @returns {Promise<Object|null>} Parsed record, or null when the clerk has none
+ */
+export async function searchByInstrument(instrumentNumber) {
+  const instrument = String(instrumentNumber).replace(/[^0-9]/g, '');
+  if (!instrument) {
+    throw new Error('Instrument number is required');
+  }
+  
+  const { records } = await postSearch({ Instrument: instrument });
+  const record = records.find(r => String(r.Instrument) === instrument);
+  return record ? parseRecord(record) : null;
+}
+
+/**
+ * Find a recorded document by official records book and page
+ * 
+ * A reference may cite any page of a multi-page document, so when no record
+ * starts on the page the one whose pages span it is used.
+ * 
+ * @param {string|number} book OR book number
+ * @param {string|number} page Page number
+ * @returns {Promise<Object|null>} Parsed record, or null when the clerk has none
+ */
+export async function searchByBookPage(book, page) {
+  const bookNum = parseInt(book);
+  const pageNum = parseInt(page);
+  if (!bookNum || !pageNum) {
+    throw new Error('Book and page are required');
+  }
+  
+  const { records } = await postSearch({ BookNum: String(bookNum), PageNum: String(pageNum) });
+  const inBook = records.filter(r => parseInt(r.BookNum) === bookNum);
+  const record = inBook.find(r => parseInt(r.PageNum) === pageNum) ||
+    inBook.find(r => parseInt(r.PageNum) < pageNum && pageNum < parseInt(r.PageNum) + (r.PageCount || 1));
+  return record ? parseRecord(record) : null;
+}
+
+/**
+ * Read an instrument reference as written in a document or typed by a user:
+ * "CFN 2019123456", "Instrument No. 2019123456", "OR Book 12345 Page 678",
+ * "Book 12345, Page 678", "OR BK 12345 PG 678", "12345/678" or a bare
+ * instrument number
+ * @param {string} text Reference text
+ * @returns {Object|null} { instrumentNumber } or { book, page }
+ */
+export function parseInstrumentReference(text) {
+  const value = String(text || '').toUpperCase().trim();
+  
+  const bookPage = value.match(/\b(?:BOOK|BK\.?)\s*:?\s*([0-9]+)\s*,?\s*(?:PAGE|PG\.?)\s*:?\s*([0-9]+)/) ||
+    value.match(/^(?:OR\s+|O\.R\.\s+)?([0-9]{1,6})\s*[/-]\s*([0-9]{1,5})$/);
+  if (bookPage) {
+    return { book: bookPage[1], page: bookPage[2] };
+  }
+  
+  const instrument = value.match(/^(?:CFN|INSTR(?:UMENT)?|DOC(?:UMENT)?)?\s*(?:NO\.?|NUMBER|#)?\s*:?\s*([0-9]{6,})$/);
+  return instrument ? { instrumentNumber: instrument[1] } : null;
+}
+
+/**
+ * Read a lookup reference, accepting only whole-number instrument, book and
+ * page numbers
+ * @param {string|Object} reference Reference text, or { instrumentNumber } / { book, page }
+ * @returns {Object|null} { instrumentNumber } or { book, page }, or null when it can't be read
+ */
+export function readInstrumentReference(reference) {
+  const parsed = typeof reference === 'string' ? parseInstrumentReference(reference) : reference;
+  if (!parsed) return null;
+  
+  if (isRecordNumber(parsed.instrumentNumber)) {
+    return { instrumentNumber: String(parsed.instrumentNumber).trim() };
+  }
+  if (isRecordNumber(parsed.book) && isRecordNumber(parsed.page)) {
+    return { book: String(parsed.book).trim(), page: String(parsed.page).trim() };
+  }
+  return null;
+}
+
+/**
+ * Resolve an instrument number or book/page reference to its recorded document
+ * @param {string|Object} reference Reference text, or { instrumentNumber } / { book, page }
+ * @returns {Promise<Object>} { reference, document } - reference is null when it can't be
+ *   read, document is null when the clerk has no such record
+ */
+export async function lookupDocument(reference) {
+  const parsed = readInstrumentReference(reference);
+  if (!parsed) {
+    return { reference: null, document: null };
+  }
+  
+  const document = parsed.instrumentNumber ?
+    await searchByInstrument(parsed.instrumentNumber) :
+    await searchByBookPage(parsed.book, parsed.page);
+  
+  return { reference: parsed, document };
+}
+
+/**
+ * Whether a value is a whole instrument, book or page number
+ * @param {string|number} value Value
+ * @returns {boolean}
+ */
+function isRecordNumber(value) {
+  return /^0*[1-9][0-9]*$/.test(String(value || '').trim());
+}
+
+/**
+ * Parse an API date string (MM/DD/YYYY)
+ * @param {string} value Date string
+ * @returns {Date} Parsed date
+ */
+function parseApiDate(value) {
+  const [month, day, year] = value.split('/').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date for the API (MM/DD/YYYY)
+ * @param {Date} date Date to format
+ * @returns {string} Formatted date
+ */
+function formatApiDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const year = date.getFullYear();
+  return `${month}/${day}/${year}`;
+}
+
 /**
  * Get PDF download URL for a document
  * @param {string} documentId The encoded document ID
@@ -174,6 +484,12 @@ export function parseRecord(record) {
 
 export default {
   searchByName,
+  searchByLegal,
+  searchByInstrument,
+  searchByBookPage,
+  parseInstrumentReference,
+  readInstrumentReference,
+  lookupDocument,
   downloadPdf,
   getPdfUrl,
   formatDate,
@@ -0,0 +1,62 @@
+/**
+ * Local Tax Data (Node.js)
+ * Delinquent taxes and outstanding tax certificates for a parcel, from a
+ * local source until we have a tax collector feed. The source comes from the
+ * caller or the CLEARVIEW_TAX_DATA environment variable and may be:
+ *   - a JSON file keyed by folio
+ *   - a JS module whose default export is such an object, or a function
+ *     (folio) => record (may be async) for any other provider
+ *
+ * A record looks like:
+ *   {
+ *     asOf: '2026-10-01',
+ *     source: 'Tax Collector export',
+ *     delinquentTaxes: [{ taxYear: 2024, amountDue: 3120.55 }],
+ *     certificates: [{ certificateNumber: '2025-12345', taxYear: 2024, faceAmount: 3120.55,
+ *       holder: 'TAX CERT FUND LLC', status: 'outstanding', taxDeedApplication: false }]
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Load the tax record for a parcel
+ * @param {string} folio Parcel folio (dashes optional)
+ * @param {Object|Function|string} source Data object, lookup function, file path, or nothing (use CLEARVIEW_TAX_DATA)
+ * @returns {Promise<Object|null>} Tax record, or null when none is configured or the parcel isn't listed
+ */
+export async function loadTaxData(folio, source = process.env.CLEARVIEW_TAX_DATA) {
+  if (!folio || !source) return null;
+  
+  const data = typeof source === 'string' ? await readSource(source) : source;
+  const cleanFolio = folio.replace(/[^0-9]/g, '');
+  
+  const record = typeof data === 'function' ?
+    await data(cleanFolio) :
+    data[cleanFolio] || data[folio] || null;
+  
+  return record ? { folio: cleanFolio, ...record } : null;
+}
+
+/**
+ * Read a JSON or JS tax data source
+ */
+async function readSource(source) {
+  const file = path.resolve(source);
+  
+  if (file.endsWith('.json')) {
+    const text = await fs.readFile(file, 'utf8');
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid tax data ${file}: ${error.message}`);
+    }
+  }
+  
+  const module = await import(pathToFileURL(file).href);
+  return module.default || module;
+}
+
+export default { loadTaxData };
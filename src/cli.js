@@ -6,6 +6,13 @@
 
 import { performTitleSearch } from './search/titleSearch.js';
 
+// Certification search labels
+const SEARCH_LABELS = {
+  owner: 'Owner',
+  legal: 'Legal',
+  back_chain: 'Back-chain'
+};
+
 async function main() {
   const args = process.argv.slice(2);
   
@@ -14,18 +21,38 @@ async function main() {
 ClearView Title Search CLI
 
 Usage:
-  node src/cli.js <owner_name> [years_back]
+  node src/cli.js <owner_name> [years_back] [options]
+  node src/cli.js --folio=<folio> [years_back] [options]
+
+Options:
+  --folio=<folio>           Subject parcel (property mode; owner defaults to the appraiser's)
+  --legal=<description>     Subject legal description (property mode)
+  --subdivision=<name>      Subject subdivision or condominium, with --lot and --block (property mode)
+  --lot=<lot>               Subject lot
+  --block=<block>           Subject block
+  --schedule-b              Print the draft Schedule B-I / B-II
 
 Examples:
   node src/cli.js "SMITH JOHN"
   node src/cli.js "SMITH JOHN" 20
   node src/cli.js "BANK OF AMERICA" 10
+  node src/cli.js "SMITH JOHN" --schedule-b
+  node src/cli.js --folio=1234560000
+  node src/cli.js "SMITH JOHN" --subdivision="PALM RIVER ESTATES" --lot=5 --block=2
     `);
     process.exit(0);
   }
   
-  const ownerName = args[0];
-  const yearsBack = parseInt(args[1]) || 30;
+  const printScheduleB = args.includes('--schedule-b');
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  
+  // Owner name and years back, in either order (the owner is optional with --folio)
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const ownerName = positional.find(arg => !/^[0-9]+$/.test(arg));
+  const yearsBack = parseInt(positional.find(arg => /^[0-9]+$/.test(arg))) || 30;
   
   console.log('\n' + '═'.repeat(60));
   console.log('  CLEARVIEW TITLE SEARCH');
@@ -33,7 +60,15 @@ Examples:
   console.log('═'.repeat(60) + '\n');
   
   try {
-    const results = await performTitleSearch({ ownerName, yearsBack });
+    const results = await performTitleSearch({
+      ownerName,
+      folio: option('folio'),
+      legalDescription: option('legal'),
+      subdivision: option('subdivision'),
+      lot: option('lot'),
+      block: option('block'),
+      yearsBack
+    });
     
     // Print summary
     console.log('\n📊 SUMMARY');
@@ -42,7 +77,27 @@ Examples:
     console.log(`Chain of Title:  ${results.summary.chainOfTitleLength} deeds`);
     console.log(`Open Mortgages:  ${results.summary.openMortgages}`);
     console.log(`Open Liens:      ${results.summary.openLiens}`);
-    console.log(`Risk Level:      ${results.summary.riskLevel}`);
+    console.log(`Risk Level:      ${results.summary.riskLevel} (score ${results.summary.riskScore})`);
+    if (!results.searchParams.complete) {
+      console.log('Search Status:   INCOMPLETE (truncated clerk responses)');
+    }
+    
+    // Print what was searched and through when
+    const certification = results.searchParams.certification;
+    console.log('\n🔎 SEARCH CERTIFICATION');
+    console.log('─'.repeat(40));
+    console.log(`Effective Date:  ${certification.effectiveDate || 'unknown'}` +
+      `${certification.effectiveDateSourceLabel ? ` (${certification.effectiveDateSourceLabel})` : ''}`);
+    console.log(`Period:          ${certification.startDate} to ${certification.endDate}`);
+    console.log(`Names:           ${certification.nameVariants.join('; ')}`);
+    console.log(`Doc Types:       ${certification.docTypes.length}`);
+    console.log(`Completeness:    ${certification.status}`);
+    for (const search of certification.searches) {
+      for (const w of search.windows) {
+        console.log(`  ${SEARCH_LABELS[search.label] || search.label} ${w.startDate || 'earliest'} - ${w.endDate || 'today'}: ` +
+          `${w.unsearched ? 'NOT SEARCHED' : w.truncated ? 'TRUNCATED' : `${w.count} record(s)`}${w.docTypes.length < search.docTypes.length ? ` (${w.docTypes.length} doc types)` : ''}`);
+      }
+    }
     
     // Print flags
     if (results.flags.length > 0) {
@@ -50,7 +105,7 @@ Examples:
       console.log('─'.repeat(40));
       for (const flag of results.flags) {
         const icon = flag.severity === 'high' ? '🔴' : '🟡';
-        console.log(`${icon} ${flag.type.toUpperCase()}: ${flag.message}`);
+        console.log(`${icon} ${flag.type.toUpperCase()} (+${flag.weight}): ${flag.message}`);
       }
     }
     
@@ -69,12 +124,82 @@ Examples:
       }
     }
     
+    // Print vesting
+    if (results.vesting && results.vesting.deed) {
+      const { vesting } = results;
+      console.log('\n🏠 VESTING');
+      console.log('─'.repeat(40));
+      console.log(`${vesting.grantees.join(', ')}${vesting.vestingLabel ? `, ${vesting.vestingLabel}` : ''}`);
+      console.log(`  Deed #${vesting.deed.instrumentNumber} recorded ${vesting.deed.recordDate}`);
+      if (vesting.appraiserOwner) {
+        console.log(`  Appraiser owner: ${vesting.appraiserOwner}`);
+      }
+      for (const discrepancy of vesting.discrepancies) {
+        console.log(`  ⚠️  ${discrepancy.message}`);
+      }
+    }
+    
+    // Print estate transfers and missing probate steps
+    if (results.probateAnalysis && (results.probateAnalysis.events.length > 0 || results.probateAnalysis.findings.length > 0)) {
+      console.log('\n⚱️  ESTATES');
+      console.log('─'.repeat(40));
+      for (const event of results.probateAnalysis.events) {
+        console.log(`• ${event.recordDate} - ${event.type.replace(/_/g, ' ')} #${event.instrumentNumber}` +
+          `${event.decedents.length > 0 ? ` (${event.decedents.join(', ')})` : ''}`);
+        for (const evidence of event.evidence) {
+          console.log(`  ${evidence.label} #${evidence.instrumentNumber}`);
+        }
+      }
+      for (const finding of results.probateAnalysis.findings) {
+        console.log(`  ⚠️  ${finding.message}`);
+      }
+    }
+    
+    // Print open notices of commencement and claims of lien
+    if (results.constructionLienAnalysis &&
+      (results.constructionLienAnalysis.openNotices.length > 0 || results.constructionLienAnalysis.claimsOfLien.length > 0)) {
+      console.log('\n🏗️  CONSTRUCTION LIENS');
+      console.log('─'.repeat(40));
+      for (const notice of results.constructionLienAnalysis.openNotices) {
+        console.log(`• ${notice.message}`);
+      }
+      for (const claim of results.constructionLienAnalysis.claimsOfLien) {
+        console.log(`  ⚠️  ${claim.message}`);
+      }
+    }
+    
+    // Print tax deeds in the chain and the parcel's tax status
+    if (results.taxAnalysis && (results.taxAnalysis.taxDeeds.length > 0 || results.taxAnalysis.taxes.status !== 'unknown')) {
+      console.log('\n🏛️  TAXES');
+      console.log('─'.repeat(40));
+      if (results.taxAnalysis.taxes.status !== 'unknown') {
+        console.log(`Status: ${results.taxAnalysis.taxes.statusLabel} - ${results.taxAnalysis.taxes.message}`);
+      }
+      for (const taxDeed of results.taxAnalysis.taxDeeds) {
+        console.log(`${taxDeed.marketable ? '•' : '  ⚠️ '} ${taxDeed.message}`);
+      }
+    }
+    
+    // Print deeds and mortgages missing a spouse's joinder
+    if (results.joinderAnalysis && results.joinderAnalysis.issues.length > 0) {
+      console.log('\n💍 SPOUSAL JOINDER');
+      console.log('─'.repeat(40));
+      for (const issue of results.joinderAnalysis.issues) {
+        console.log(`• ${issue.recordDate} - ${issue.kind} #${issue.instrumentNumber}`);
+        console.log(`  ⚠️  ${issue.message}`);
+      }
+    }
+    
     // Print open mortgages
     if (results.mortgageAnalysis.open.length > 0) {
       console.log('\n💰 OPEN MORTGAGES');
       console.log('─'.repeat(40));
       for (const mtg of results.mortgageAnalysis.open) {
         console.log(`• ${mtg.recordDate} - ${mtg.grantors.slice(0, 2).join(', ')}`);
+        if (mtg.currentHolder) {
+          const history = mtg.assignmentCount > 0 ? ` (${mtg.assignmentCount} assignment(s))` : '';
+          console.log(`  Current holder: ${mtg.currentHolder}${history}`);
+        }
       }
     }
     
@@ -85,13 +210,42 @@ Examples:
       for (const lien of results.openLiens) {
         console.log(`• ${lien.recordDate} - ${lien.docType}`);
         console.log(`  Parties: ${lien.grantors.slice(0, 2).join(', ')}`);
+        if (lien.ownerScreening) {
+          console.log(`  Owner match: ${lien.ownerScreening.classification.replace('_', ' ')}`);
+        }
+        if (lien.extractedData && lien.extractedData.amount) {
+          console.log(`  Amount: $${lien.extractedData.amount.toLocaleString()}`);
+        }
       }
     }
     
+    // Print easements and restrictions
+    if (results.easementAnalysis && results.easementAnalysis.items.length > 0) {
+      console.log('\n📐 EASEMENTS & RESTRICTIONS');
+      console.log('─'.repeat(40));
+      for (const item of results.easementAnalysis.items) {
+        const cites = item.citesSubject === true ? ' [subject subdivision]' : '';
+        console.log(`• ${item.recordDate} - ${item.purposeLabel}${cites}`);
+        if (item.beneficiary) {
+          console.log(`  In favor of: ${item.beneficiary}`);
+        }
+        if (item.references.length > 0) {
+          console.log(`  Refers to: ${item.references.map(r => `${r.type === 'plat' ? 'Plat Book' : 'OR Book'} ${r.book}, Page ${r.page}`).join('; ')}`);
+        }
+      }
+    }
+    
+    // Print draft Schedule B
+    if (printScheduleB) {
+      console.log('\n📝 SCHEDULE B (DRAFT)');
+      console.log('─'.repeat(40));
+      console.log(results.scheduleB.text);
+    }
+    
     console.log('\n' + '═'.repeat(60));
     console.log(`Search completed at ${new Date().toLocaleString()}`);
     console.log('═'.repeat(60) + '\n');
-    
+  
   } catch (error) {
     console.error('Error:', error.message);
     process.exit(1);
@@ -0,0 +1,377 @@
+/**
+ * Schedule B Generator
+ * Drafts Schedule B-I (requirements) and Schedule B-II (exceptions) of a
+ * title commitment from a title search result. Every item cites the
+ * recorded instruments it is based on. The draft is a starting point for
+ * the examiner, not a commitment.
+ */
+
+import { compareParties, MATCH_THRESHOLDS } from '../analysis/partyMatcher.js';
+import { SCREENING_CLASSES } from '../analysis/ownerScreening.js';
+import { LIEN_DOC_TYPES, LIEN_TYPE_LABELS, lienTypeOf } from '../analysis/lienTypes.js';
+import { analyzeEasements } from '../analysis/easements.js';
+import { formatAmount } from '../analysis/docStamps.js';
+
+// Standard exceptions that appear on every commitment
+const STANDARD_EXCEPTIONS = [
+  'Taxes and assessments for the year {year} and subsequent years, which are not yet due and payable.',
+  'Rights or claims of parties in possession not shown by the public records.',
+  'Encroachments, overlaps, boundary line disputes, and any other matters which would be disclosed by an accurate survey and inspection of the premises.',
+  'Easements or claims of easements not shown by the public records.',
+  'Any lien, or right to a lien, for services, labor, or material furnished, imposed by law and not shown by the public records.'
+];
+
+// Requirements that resolve each vesting discrepancy (see analysis/vesting.js)
+const VESTING_REQUIREMENTS = {
+  deceased_owner: 'Probate of the estate shown by the appraiser as {party} and a deed from the personal representative, or other proof of who succeeded to title.',
+  deceased_co_owner: 'Record a certified copy of the death certificate of {party}, or a deed or joinder from {party}.',
+  missing_co_owner: 'Deed or joinder from {party}, or probate of the estate of {party} if deceased.',
+  name_change: 'Affidavit establishing that {party} is the same person as the grantee on the vesting deed, with evidence of the name change.',
+  unrecorded_transfer: 'Record any conveyance to {party} (shown as owner by the property appraiser), or an affidavit that no such conveyance was made.'
+};
+
+// Requirements that complete each missing probate step (see analysis/probate.js)
+const PROBATE_REQUIREMENTS = {
+  pr_deed_without_order: 'Record certified copies of the Letters of Administration (and any order authorizing the sale) in the Estate of {decedent}, and evidence that the estate has no claims against the property.',
+  heir_deed_without_order: 'Record an order determining homestead, an order of summary administration or other probate order in the Estate of {decedent} establishing the heirs.',
+  survivor_without_death_certificate: 'Record a certified copy of the death certificate of {decedent}, with an affidavit of continuous marriage if vested as tenants by the entirety.',
+  co_owner_share_not_conveyed: 'Probate of the Estate of {decedent} and a deed from the personal representative conveying the interest of {decedent}.',
+  estate_unresolved: 'Probate of the Estate of {decedent} (or an order determining homestead) and a deed from the personal representative or heirs.'
+};
+
+// Requirements that cure a missing spouse's joinder on a prior deed (see analysis/homestead.js)
+const JOINDER_REQUIREMENTS = {
+  vested_spouse_not_joined: 'Record a corrective deed joined by {spouse}, or an affidavit that the property was not the homestead of {party} when conveyed.',
+  spouse_not_joined: 'Record a corrective deed joined by the spouse of {party}, or an affidavit that the property was not the homestead of {party} when conveyed.',
+  marital_status_conflict: 'Record a certified copy of the final judgment of dissolution of marriage of {party} and {spouse} (or the death certificate of {spouse}), or a corrective deed joined by {spouse}.'
+};
+
+/**
+ * Draft Schedule B-I and B-II from a title search result
+ * @param {Object} result Result of performTitleSearch
+ * @returns {Object} { searchDate, effectiveDate, completeness, owner, vestingDeed, requirements, exceptions }
+ */
+export function generateScheduleB(result) {
+  const documents = result.documents || [];
+  const screening = result.ownerScreening || {};
+  const owner = result.searchParams.ownerName;
+  const vestingDeed = findVestingDeed(result);
+  const cite = doc => citation(lookup(documents, doc));
+  
+  const requirements = [];
+  
+  // ===== B-I: REQUIREMENTS =====
+  
+  // Open mortgages: satisfied by the current holder
+  for (const mtg of result.mortgageAnalysis.open) {
+    const lifecycle = (result.mortgageAnalysis.lifecycles || []).find(l => l.instrumentNumber === mtg.instrumentNumber);
+    const assignments = lifecycle ? lifecycle.assignments : [];
+    const holder = mtg.currentHolder || mtg.grantees.join(', ');
+    const amount = (lifecycle && lifecycle.originalAmount) || mtg.impliedPrincipal;
+    
+    requirements.push({
+      type: 'satisfy_mortgage',
+      text: `Satisfaction of the Mortgage from ${mtg.grantors.join(', ')} to ${mtg.grantees.join(', ')}` +
+        `${amount ? ` in the original principal amount of ${formatAmount(amount)}` : ''}, recorded ${describeCitation(cite(mtg))}` +
+        `${assignments.length > 0 ? `, as assigned by the assignment(s) recorded ${assignments.map(a => describeCitation(cite(a))).join('; ')}` : ''}` +
+        `${holder ? `, to be executed by ${holder} as the current holder` : ''}.`,
+      citations: [cite(mtg), ...assignments.map(cite)]
+    });
+  }
+  
+  // Open liens and judgments: released when likely against the owner, a
+  // release or an affidavit that the owner is not the debtor when only
+  // possibly, and the affidavit when only the name matches
+  const encumbrances = [
+    ...result.openLiens,
+    ...(result.openJudgments || documents.filter(d => d.docTypeShort === 'JUD'))
+  ];
+  const construction = result.constructionLienAnalysis || { notices: [], openNotices: [], claimsOfLien: [] };
+  for (const doc of encumbrances) {
+    const classification = screening[doc.instrumentNumber] ? screening[doc.instrumentNumber].classification : null;
+    const label = describeEncumbrance(doc);
+    const claim = construction.claimsOfLien.find(c => c.instrumentNumber === doc.instrumentNumber);
+    
+    if (claim) {
+      // Claims of lien can also be bonded off, and lapse if not enforced within a year
+      requirements.push({
+        type: 'release_claim_of_lien',
+        text: `Release of the ${label} recorded ${describeCitation(cite(doc))}, or a transfer of the lien to a bond or cash ` +
+          `deposit under §713.24, Florida Statutes${claim.lapsed ?
+            ', or evidence that no action to enforce the lien was filed within one year of its recording (§713.22)' : ''}.`,
+        citations: [cite(doc)]
+      });
+    } else if (classification === SCREENING_CLASSES.possible) {
+      requirements.push({
+        type: 'release_or_affidavit',
+        text: `${doc.docTypeShort === 'JUD' ? 'Satisfaction' : 'Release'} of the ${label} recorded ${describeCitation(cite(doc))}, ` +
+          `or an affidavit from ${owner} establishing that the owner is not the same person as the party named therein.`,
+        citations: [cite(doc)]
+      });
+    } else if (classification === SCREENING_CLASSES.nameOnly) {
+      requirements.push({
+        type: 'same_name_affidavit',
+        text: `Affidavit from ${owner} establishing that the owner is not the same person as the party named in the ${label} ` +
+          `recorded ${describeCitation(cite(doc))}, or a release or satisfaction thereof.`,
+        citations: [cite(doc)]
+      });
+    } else {
+      requirements.push({
+        type: doc.docTypeShort === 'JUD' ? 'satisfy_judgment' : 'release_lien',
+        text: `${doc.docTypeShort === 'JUD' ? 'Satisfaction' : 'Release'} of the ${label} recorded ${describeCitation(cite(doc))}.`,
+        citations: [cite(doc)]
+      });
+    }
+  }
+  
+  // Notices of commencement still in effect: terminated, with proof the lienors were paid
+  for (const notice of construction.openNotices) {
+    requirements.push({
+      type: 'terminate_notice_of_commencement',
+      text: `Notice of Termination of the Notice of Commencement recorded ${describeCitation(cite(notice))}` +
+        `${notice.contractor ? ` (contractor: ${notice.contractor})` : ''}, to be recorded, together with the contractor's final ` +
+        'payment affidavit under §713.06(3)(d), Florida Statutes, releases from all lienors who served a notice to owner, ' +
+        "and an owner's affidavit that all labor, services and materials furnished to the property have been paid for.",
+      citations: [cite(notice)]
+    });
+  }
+  
+  // Vesting discrepancies with the appraiser's owner of record
+  const vestingCitations = vestingDeed ? [cite(vestingDeed)] : [];
+  for (const discrepancy of result.vesting ? result.vesting.discrepancies : []) {
+    requirements.push({
+      type: `vesting_${discrepancy.type}`,
+      text: VESTING_REQUIREMENTS[discrepancy.type].replace('{party}', discrepancy.party),
+      citations: vestingCitations
+    });
+  }
+  
+  // Probate steps missing for deaths in the chain
+  for (const finding of result.probateAnalysis ? result.probateAnalysis.findings : []) {
+    requirements.push({
+      type: `probate_${finding.type}`,
+      text: PROBATE_REQUIREMENTS[finding.type].replace(/\{decedent\}/g, finding.decedent),
+      citations: finding.instruments.map(instrumentNumber => cite({ instrumentNumber }))
+    });
+  }
+  
+  // Tax deeds in the chain: quiet title in the tax deed grantee
+  for (const taxDeed of result.taxAnalysis ? result.taxAnalysis.unmarketable : []) {
+    requirements.push({
+      type: 'quiet_tax_title',
+      text: `Final judgment in a suit to quiet title in ${taxDeed.grantees}, the grantee under the Tax Deed recorded ` +
+        `${describeCitation(cite(taxDeed))}, against the former owners and all parties entitled to notice of the tax deed sale.`,
+      citations: [cite(taxDeed)]
+    });
+  }
+  
+  // Delinquent taxes and outstanding certificates on the parcel
+  const taxes = result.taxAnalysis ? result.taxAnalysis.taxes : null;
+  if (taxes && ['delinquent', 'tax_deed_application'].includes(taxes.status)) {
+    const years = [...new Set([...taxes.delinquentTaxes, ...taxes.certificates].map(t => t.taxYear).filter(Boolean))].sort();
+    requirements.push({
+      type: 'pay_delinquent_taxes',
+      text: `Payment of the delinquent real estate taxes${years.length > 0 ? ` for the year(s) ${years.join(', ')}` : ''}` +
+        `${taxes.certificates.length > 0 ? ` and redemption of Tax Certificate(s) ${taxes.certificates.map(c => c.certificateNumber).join(', ')}` : ''}` +
+        ', together with all interest, fees and costs, through the Tax Collector' +
+        `${taxes.status === 'tax_deed_application' ? ', and cancellation of the pending tax deed application' : ''}.`,
+      citations: []
+    });
+  }
+  
+  // Prior conveyances a spouse should have joined (mortgages are left to their payoff)
+  const joinderIssues = result.joinderAnalysis ? result.joinderAnalysis.issues : [];
+  for (const issue of joinderIssues.filter(i => i.kind === 'deed')) {
+    requirements.push({
+      type: `joinder_${issue.type}`,
+      text: JOINDER_REQUIREMENTS[issue.type].replace(/\{party\}/g, issue.party).replace(/\{spouse\}/g, issue.spouse),
+      citations: [cite({ instrumentNumber: issue.instrumentNumber })]
+    });
+  }
+  
+  // Conveyance out of the vested owner
+  requirements.push({
+    type: 'record_deed',
+    text: `Deed from ${vestingDeed ? vestingDeed.grantees.join(', ') : owner}, the vested owner${vestingDeed ?
+      ` under the deed recorded ${describeCitation(cite(vestingDeed))}` : ''}` +
+      `${result.vesting && result.vesting.vestingLabel ? ` (vested as ${result.vesting.vestingLabel})` : ''}, to the proposed insured, to be recorded.`,
+    citations: vestingDeed ? [cite(vestingDeed)] : []
+  });
+  
+  // ===== B-II: EXCEPTIONS =====
+  
+  const year = new Date(result.searchParams.searchDate).getFullYear();
+  const exceptions = STANDARD_EXCEPTIONS.map(text => ({
+    type: 'standard',
+    text: text.replace('{year}', year),
+    citations: []
+  }));
+  
+  // Plat of the subject subdivision
+  const subject = result.easementAnalysis ? result.easementAnalysis.subject : null;
+  if (subject && subject.platBook && subject.platPage) {
+    exceptions.push({
+      type: 'plat',
+      text: `All matters contained on the Plat of ${subject.subdivision || 'the subdivision'}, as recorded in Plat Book ${subject.platBook}, ` +
+        `Page ${subject.platPage}.`,
+      citations: []
+    });
+  }
+  
+  // Easements and restrictions, leaving out those shown to be on another subdivision
+  for (const item of inventoryItems(result).filter(i => i.citesSubject !== false)) {
+    const references = item.references.length > 0 ?
+      `, which refers to ${item.references.map(describeReference).join(' and ')}` : '';
+    exceptions.push(item.kind === 'easement' ? {
+      type: 'easement',
+      text: `${item.purpose !== 'other' ? `${item.purposeLabel} easement` : 'Easement'}` +
+        `${item.width ? ` (${item.width} feet)` : ''} in favor of ${item.beneficiary || 'the grantee named therein'} ` +
+        `recorded ${describeCitation(cite(item))}${references}.`,
+      citations: [cite(item)]
+    } : {
+      type: 'restrictions',
+      text: `${item.purpose === 'amendment' ? 'Amendment to the covenants' : 'Covenants'}, conditions and restrictions recorded ` +
+        `${describeCitation(cite(item))}${references}, ` +
+        'but deleting any covenant or restriction based on race, color, religion, sex, handicap, familial status or national origin.',
+      citations: [cite(item)]
+    });
+  }
+  
+  for (const lp of unreleasedLisPendens(result)) {
+    const data = lp.extractedData || {};
+    exceptions.push({
+      type: 'lis_pendens',
+      text: `Notice of Lis Pendens${data.caseNumber ? ` in Case No. ${data.caseNumber}` : ''}` +
+        `${data.plaintiff ? `, ${data.plaintiff} v. ${data.defendant || lp.grantees.join(', ')}` : ''}, ` +
+        `recorded ${describeCitation(cite(lp))}.`,
+      citations: [cite(lp)]
+    });
+  }
+  
+  return {
+    searchDate: result.searchParams.searchDate,
+    effectiveDate: result.searchParams.effectiveDate || null,
+    completeness: result.searchParams.completeness || null,
+    owner,
+    vestingDeed: vestingDeed ? cite(vestingDeed) : null,
+    requirements: number(requirements),
+    exceptions: number(exceptions)
+  };
+}
+
+/**
+ * Render a Schedule B draft as text
+ * @param {Object} draft Draft from generateScheduleB
+ * @returns {string} Schedule B-I and B-II text
+ */
+export function renderScheduleB(draft) {
+  const section = (title, items) => [
+    title,
+    ...items.map(item => `${item.number}. ${item.text}`)
+  ].join('\n\n');
+  
+  const effective = draft.effectiveDate ?
+    `Effective Date: ${draft.effectiveDate}${draft.completeness === 'incomplete' ? ' (search incomplete - truncated clerk responses)' : ''}` :
+    null;
+  
+  return [
+    'DRAFT - prepared from a title search; review before issuing',
+    effective,
+    section('SCHEDULE B - SECTION I\nREQUIREMENTS', draft.requirements),
+    section('SCHEDULE B - SECTION II\nEXCEPTIONS', draft.exceptions)
+  ].filter(Boolean).join('\n\n\n');
+}
+
+// ===== HELPERS =====
+
+/**
+ * Deed that vested the current owner: the vesting deed when determined,
+ * else the latest chain link deeded to the owner
+ */
+function findVestingDeed(result) {
+  if (result.vesting && result.vesting.deed) {
+    return lookup(result.documents, result.vesting.deed);
+  }
+  const owner = [result.searchParams.ownerName];
+  const link = [...result.chainOfTitle].reverse().find(l =>
+    compareParties(l.granteeList, owner).score >= MATCH_THRESHOLDS.possible);
+  return link ? lookup(result.documents, link) : null;
+}
+
+/**
+ * Full document for a summary entry (chain link, assignment) by instrument number
+ */
+function lookup(documents, entry) {
+  return documents.find(d => d.instrumentNumber === entry.instrumentNumber) || entry;
+}
+
+function citation(doc) {
+  return {
+    instrumentNumber: doc.instrumentNumber,
+    book: doc.bookNum || null,
+    page: doc.pageNum || null,
+    recordDate: doc.recordDate || doc.date || null,
+    documentId: doc.documentId || null
+  };
+}
+
+/**
+ * "on 01/15/2019 in Official Records Book 26000, Page 100 (Instrument #2019012345)"
+ */
+function describeCitation(cite) {
+  const bookPage = cite.book && cite.page ? ` in Official Records Book ${cite.book}, Page ${cite.page}` : '';
+  return `${cite.recordDate ? `on ${cite.recordDate}` : ''}${bookPage} (Instrument #${cite.instrumentNumber})`.trim();
+}
+
+function describeEncumbrance(doc) {
+  const data = doc.extractedData || {};
+  if (doc.docTypeShort === 'JUD') {
+    return `Judgment in favor of ${data.plaintiff || doc.grantors.join(', ')}${data.caseNumber ? ` in Case No. ${data.caseNumber}` : ''}` +
+      `${data.amount ? ` in the amount of ${formatAmount(data.amount)}` : ''}`;
+  }
+  const type = LIEN_DOC_TYPES.includes(doc.docTypeShort) ? lienTypeOf(doc) : 'other';
+  const label = type === 'other' ? 'Lien' : `${LIEN_TYPE_LABELS[type]} lien`;
+  return `${label} in favor of ${data.creditor || doc.grantors.join(', ')}${data.amount ? ` in the amount of ${formatAmount(data.amount)}` : ''}`;
+}
+
+/**
+ * Easement and restriction inventory, built from the grouped documents when
+ * the search has none
+ */
+function inventoryItems(result) {
+  if (result.easementAnalysis) {
+    return result.easementAnalysis.items;
+  }
+  return analyzeEasements({
+    easements: result.grouped.easements || [],
+    restrictions: result.grouped.restrictions || []
+  }).items;
+}
+
+function describeReference(reference) {
+  return reference.type === 'plat' ?
+    `Plat Book ${reference.book}, Page ${reference.page}` :
+    `Official Records Book ${reference.book}, Page ${reference.page}`;
+}
+
+function unreleasedLisPendens(result) {
+  if (!result.lisPendensAnalysis) {
+    return oldestFirst(result.grouped.lisPendens || []);
+  }
+  return [...result.lisPendensAnalysis.active, ...result.lisPendensAnalysis.needsReview]
+    .map(e => e.lisPendens)
+    .sort((a, b) => a.recordTimestamp - b.recordTimestamp);
+}
+
+function oldestFirst(docs) {
+  return [...docs].sort((a, b) => a.recordTimestamp - b.recordTimestamp);
+}
+
+function number(items) {
+  return items.map((item, index) => ({ number: index + 1, ...item }));
+}
+
+export default {
+  generateScheduleB,
+  renderScheduleB
+};
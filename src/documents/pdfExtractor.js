@@ -7,6 +7,11 @@
 import pdfParse from 'pdf-parse';
 import Tesseract from 'tesseract.js';
 import { downloadPdf } from '../api/hillsborough.js';
+import { compareNames, compareParties, MATCH_THRESHOLDS } from '../analysis/partyMatcher.js';
+import { detectLienType } from '../analysis/lienTypes.js';
+import { parseLegalDescription } from '../analysis/legalDescription.js';
+import { detectEasementPurpose } from '../analysis/easements.js';
+import { detectProbateKind, PROBATE_DOC_TYPES } from '../analysis/probate.js';
 import { fromBuffer } from 'pdf2pic';
 import fs from 'fs/promises';
 import path from 'path';
@@ -168,6 +173,11 @@ export function parseMortgageText(text) {
     maturityDate: null,
     interestRate: null,
     propertyAddress: null,
+    docStamps: null,
+    intangibleTax: null,
+    maritalStatus: null,
+    spouseJoinder: false,
+    homesteadRecital: null,
     confidence: 'low'
   };
   
@@ -177,6 +187,12 @@ export function parseMortgageText(text) {
   
   const normalizedText = text.toUpperCase();
   
+  // ===== RECORDING TAXES =====
+  Object.assign(info, matchRecordingTaxes(text));
+  
+  // ===== BORROWER MARITAL STATUS AND HOMESTEAD =====
+  Object.assign(info, matchMaritalRecitals(normalizedText, /\bLENDER\b|\bMORTGAGEE\b/));
+  
   // ===== PRINCIPAL AMOUNT EXTRACTION =====
   const amountPatterns = [
     /PRINCIPAL\s+(?:SUM|AMOUNT)\s+(?:OF\s+)?\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
@@ -271,9 +287,17 @@ export function parseMortgageText(text) {
 export function parseDeedText(text) {
   const info = {
     consideration: null,
+    considerationSource: null,
+    docStamps: null,
     legalDescription: null,
+    legal: null,
     propertyAddress: null,
     deedType: null,
+    grantorCapacity: null,
+    maritalStatus: null,
+    spouseJoinder: false,
+    homesteadRecital: null,
+    vesting: null,
     grantors: [],
     grantees: [],
     confidence: 'low'
@@ -289,8 +313,7 @@ export function parseDeedText(text) {
   const considerationPatterns = [
     /FOR\s+AND\s+IN\s+CONSIDERATION\s+OF\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
     /CONSIDERATION\s+(?:OF\s+)?\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
-    /SUM\s+OF\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
-    /DOCUMENTARY\s+STAMP(?:S)?\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i
+    /SUM\s+OF\s+\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i
   ];
   
   for (const pattern of considerationPatterns) {
@@ -299,35 +322,24 @@ export function parseDeedText(text) {
       const amount = parseFloat(match[1].replace(/,/g, ''));
       if (amount >= 1000) {
         info.consideration = amount;
+        info.considerationSource = 'recital';
         break;
       }
     }
   }
   
-  // If we found doc stamps, calculate sale price (FL rate: $0.70 per $100)
-  if (!info.consideration && text.match(/DOCUMENTARY\s+STAMP/i)) {
-    const stampMatch = text.match(/\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)\s*(?:DOC|DOCUMENTARY)/i);
-    if (stampMatch) {
-      const stamps = parseFloat(stampMatch[1].replace(/,/g, ''));
-      info.consideration = (stamps / 0.70) * 100;
-    }
+  // ===== DOC STAMPS =====
+  info.docStamps = matchRecordingTaxes(text).docStamps;
+  
+  // No consideration recited - back-calculate it from the stamps (FL rate: $0.70 per $100)
+  if (!info.consideration && info.docStamps) {
+    info.consideration = (info.docStamps / 0.70) * 100;
+    info.considerationSource = 'doc_stamps';
   }
   
   // ===== LEGAL DESCRIPTION =====
-  const legalPatterns = [
-    /(LOT\s+[0-9A-Z]+,?\s*(?:OF\s+)?BLOCK\s+[0-9A-Z]+[^.]*)/i,
-    /(UNIT\s+(?:NO\.?\s*)?[0-9A-Z-]+[^.]*(?:CONDOMINIUM|CONDO)[^.]*)/i,
-    /(SEC(?:TION)?\s+[0-9]+[^.]*TOWNSHIP\s+[0-9]+[^.]*RANGE\s+[0-9]+[^.]*)/i,
-    /PARCEL\s+(?:ID|IDENTIFICATION|NUMBER|NO\.?)?\s*:?\s*([0-9-]+)/i
-  ];
-  
-  for (const pattern of legalPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      info.legalDescription = match[1].trim().substring(0, 200);
-      break;
-    }
-  }
+  info.legalDescription = matchLegalDescription(text);
+  info.legal = info.legalDescription ? parseLegalDescription(info.legalDescription) : null;
   
   // ===== DEED TYPE =====
   if (/WARRANTY\s+DEED/i.test(normalizedText)) {
@@ -344,6 +356,19 @@ export function parseDeedText(text) {
     info.deedType = 'TRUSTEE DEED';
   }
   
+  // ===== GRANTOR CAPACITY =====
+  info.grantorCapacity = matchGrantorCapacity(normalizedText);
+  
+  // ===== GRANTOR MARITAL STATUS AND HOMESTEAD =====
+  // The grantor clause ends at its own label ("hereinafter called the grantor",
+  // "(Grantor)"), at ", to" before the grantee's name, or at the grantee label -
+  // on the standard form the grantee's name and status come before "grantee"
+  Object.assign(info, matchMaritalRecitals(normalizedText,
+    /HEREIN(?:AFTER)?\s+(?:CALLED|REFERRED\s+TO\s+AS)\s+(?:THE\s+)?["“]?GRANTORS?\b|\(\s*["“]?GRANTORS?\b|,\s*(?:TO|UNTO)\s+(?=[A-Z])|\bGRANTEES?\b/));
+  
+  // ===== VESTING =====
+  info.vesting = matchVesting(normalizedText);
+  
   // ===== CONFIDENCE =====
   let confidenceScore = 0;
   if (info.consideration) confidenceScore += 2;
@@ -447,6 +472,865 @@ export function parseSatisfactionText(text) {
   return info;
 }
 
+/**
+ * Parse assignment of mortgage text
+ * @param {string} text Raw PDF text
+ * @param {Object} recording The assignment's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {Object} Extracted assignment info
+ */
+export function parseAssignmentText(text, recording = {}) {
+  const info = {
+    assignor: null,
+    assignee: null,
+    mortgageInstrumentNumber: null,
+    mortgageBookPage: null,
+    originalAmount: null,
+    minNumber: null,
+    isMERS: false,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  const cleanName = name => name
+    .replace(/\s+/g, ' ')
+    .replace(/^.*?(?:PRESENTS|RECEIVED)\s*,?\s*(?:THAT\s+)?/i, '')
+    .replace(/,?\s*ITS\s+SUCCESSORS.*$/i, '')
+    .replace(/[,\s]+$/, '')
+    .trim();
+  
+  // ===== ASSIGNOR / ASSIGNEE =====
+  const assignorPatterns = [
+    /ASSIGNOR\s*[:\-]\s*([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*[,\n]|$)/i,
+    /([A-Z][A-Z0-9\s,\.&'-]{3,}?)\s*,?\s*\(?["“]?(?:THE\s+)?ASSIGNOR["”]?\)?/i,
+    /(?:KNOW\s+ALL\s+MEN\s+BY\s+THESE\s+PRESENTS|FOR\s+VALUE\s+RECEIVED)\s*,?\s*(?:THAT\s+)?([A-Z][A-Z0-9\s,\.&'-]+?)\s*,?\s*(?:THE\s+UNDERSIGNED\s*,?\s*)?(?:DOES\s+)?HEREBY\s+(?:GRANTS?|ASSIGNS?|TRANSFERS?)/i
+  ];
+  
+  for (const pattern of assignorPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const name = cleanName(match[1]);
+      if (name.length > 3) {
+        info.assignor = name;
+        break;
+      }
+    }
+  }
+  
+  const assigneePatterns = [
+    /ASSIGNEE\s*[:\-]\s*([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*[,\n]|$)/i,
+    /(?:ASSIGNS?|TRANSFERS?|CONVEYS?)(?:\s*,?\s*(?:GRANTS?|SELLS?|TRANSFERS?|AND|SETS?\s+OVER))*\s+(?:UNTO|TO)\s+([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*,?\s*(?:ITS\s+SUCCESSORS|WHOSE\s+ADDRESS|\(|["“])|[\n]|$)/i,
+    /([A-Z][A-Z0-9\s,\.&'-]{3,}?)\s*,?\s*\(?["“]?(?:THE\s+)?ASSIGNEE["”]?\)?/i
+  ];
+  
+  for (const pattern of assigneePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const name = cleanName(match[1]);
+      if (name.length > 3 && name !== info.assignor) {
+        info.assignee = name;
+        break;
+      }
+    }
+  }
+  
+  // ===== ASSIGNED MORTGAGE REFERENCE =====
+  // Only from the clause citing where the mortgage is recorded - the
+  // assignment's own stamp carries an instrument number and book/page too
+  const cited = matchCitedRecordings(normalizedText, ownRecordingReferences(normalizedText, recording));
+  const bookPage = cited.find(ref => ref.book);
+  if (bookPage) {
+    info.mortgageBookPage = `Book ${bookPage.book}, Page ${bookPage.page}`;
+  }
+  
+  const instrument = cited.find(ref => ref.instrumentNumber);
+  if (instrument) {
+    info.mortgageInstrumentNumber = instrument.instrumentNumber;
+  }
+  
+  // ===== ORIGINAL AMOUNT =====
+  const amountPatterns = [
+    /(?:ORIGINAL\s+)?(?:PRINCIPAL\s+)?(?:AMOUNT|SUM)\s+OF\s*\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/i,
+    /\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/
+  ];
+  
+  for (const pattern of amountPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const amount = parseFloat(match[1].replace(/,/g, ''));
+      if (amount >= 10000) {
+        info.originalAmount = amount;
+        break;
+      }
+    }
+  }
+  
+  // ===== MERS =====
+  info.isMERS = /MORTGAGE\s+ELECTRONIC\s+REGISTRATION\s+SYSTEMS|\bMERS\b/.test(normalizedText);
+  
+  // MERS MIN is 18 digits, usually printed as 1234567-1234567890-1
+  const minMatch = normalizedText.match(/\bMIN\s*(?:#|NO\.?|NUMBER)?\s*:?\s*([0-9][0-9\s-]{16,22}[0-9])/);
+  if (minMatch) {
+    const digits = minMatch[1].replace(/[^0-9]/g, '');
+    if (digits.length === 18) {
+      info.minNumber = digits;
+    }
+  }
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.mortgageInstrumentNumber || info.mortgageBookPage) confidenceScore += 3;
+  if (info.assignee) confidenceScore += 2;
+  if (info.assignor) confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 5 ? 'high' : confidenceScore >= 3 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Pull a labelled party name ("CLAIMANT: ACME ROOFING INC")
+ */
+function matchLabelledName(text, labels) {
+  const pattern = new RegExp(`(?:${labels})\\s*(?:NAME)?\\s*[:\\-]\\s*([A-Z][A-Z0-9\\s,\\.&'-]+?)(?:\\s*[,\\n]|$)`, 'i');
+  const match = text.match(pattern);
+  if (!match) return null;
+  const name = match[1].trim().replace(/\s+/g, ' ');
+  return name.length > 3 ? name : null;
+}
+
+/**
+ * Pull the first dollar amount following one of the labels (or any amount)
+ */
+function matchAmount(text, labels) {
+  const patterns = [
+    new RegExp(`(?:${labels})[^$\\n]{0,40}\\$[\\s,]*([0-9,]+(?:\\.[0-9]{2})?)`, 'i'),
+    /\$[\s,]*([0-9,]+(?:\.[0-9]{2})?)/
+  ];
+  
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const amount = parseFloat(match[1].replace(/,/g, ''));
+      if (amount > 0) return amount;
+    }
+  }
+  return null;
+}
+
+/**
+ * Full legal description from a deed: the text after "to-wit:" (or "the
+ * following described land") up to the closing clauses, falling back to the
+ * first lot, unit, section or metes and bounds call
+ * @param {string} text Raw PDF text
+ * @returns {string|null} Legal description with whitespace collapsed
+ */
+function matchLegalDescription(text) {
+  const normalizedText = text.replace(/\s+/g, ' ').toUpperCase();
+  const start = /TO[\s-]*WIT\s*:|FOLLOWING\s+DESCRIBED\s+(?:LAND|PROPERTY|REAL\s+PROPERTY|PARCEL)[^:]{0,80}:/.exec(normalizedText) ||
+    /\b(?:LOTS?\s+[0-9A-Z]+|UNIT\s+(?:NO\.?\s*)?[0-9A-Z-]+|SEC(?:TION)?\s+[0-9]+|COMMENC(?:E|ING)\s+AT)\b/.exec(normalizedText);
+  if (!start) return null;
+  
+  const from = start[0].endsWith(':') ? start.index + start[0].length : start.index;
+  const rest = normalizedText.slice(from, from + 4000);
+  const end = rest.search(/\bSUBJECT\s+TO\b|\bTOGETHER\s+WITH\b|\bTO\s+HAVE\s+AND\s+TO\s+HOLD\b|\bPARCEL\s+(?:ID|IDENTIFICATION)|\bPROPERTY\s+ADDRESS\b|\bFOLIO\b|\bGRANTORS?\s+(?:DOES|DO)\s+HEREBY\b|\bIN\s+WITNESS\s+WHEREOF\b/);
+  const description = (end >= 0 ? rest.slice(0, end) : rest).replace(/^[\s:]+|[\s,;]+$/g, '');
+  
+  return description.length > 10 ? description : null;
+}
+
+/**
+ * Capacity the grantor conveys in when title passed on a death (personal
+ * representative, heir, surviving spouse or surviving joint tenant)
+ * @param {string} normalizedText Upper-cased deed text
+ * @returns {string|null} personal_representative, heir, surviving_spouse, surviving_tenant or null
+ */
+function matchGrantorCapacity(normalizedText) {
+  // Boilerplate ("heirs, personal representatives and assigns") uses the plural
+  if (/PERSONAL\s+REPRESENTATIVE(?!S)|\bEXECUT(?:OR|RIX)\s+OF\b|ADMINISTRAT(?:OR|RIX)\s+OF\s+THE\s+ESTATE/.test(normalizedText)) {
+    return 'personal_representative';
+  }
+  if (/SURVIVING\s+SPOUSE|SURVIVING\s+(?:HUSBAND|WIFE)|WIDOWE?R?\b/.test(normalizedText)) {
+    return 'surviving_spouse';
+  }
+  if (/SURVIVING\s+(?:JOINT\s+)?TENANT|SURVIVOR\s+OF/.test(normalizedText)) {
+    return 'surviving_tenant';
+  }
+  if (/\bAS\s+(?:THE\s+)?(?:SOLE\s+)?HEIRS?\b|\bHEIRS?\s+AT\s+LAW\s+OF\b|\bBENEFICIAR(?:Y|IES)\s+OF\s+THE\s+ESTATE/.test(normalizedText)) {
+    return 'heir';
+  }
+  return null;
+}
+
+/**
+ * Marital status recited for the grantor or borrower, whether a spouse joins,
+ * and any homestead recital. The status is read only from the text before
+ * the end of the party's clause so the grantee's or lender's description isn't used.
+ * @param {string} normalizedText Upper-cased text
+ * @param {RegExp} clauseEnd Where the party's clause ends (the other party's label, lender)
+ * @returns {Object} { maritalStatus, spouseJoinder, homesteadRecital }
+ */
+function matchMaritalRecitals(normalizedText, clauseEnd) {
+  const endAt = normalizedText.search(clauseEnd);
+  const clause = normalizedText.slice(0, endAt > 0 ? endAt : 1500);
+  
+  let maritalStatus = null;
+  if (/HUSBAND\s+AND\s+WIFE|WIFE\s+AND\s+HUSBAND|MARRIED\s+TO\s+EACH\s+OTHER|A\s+MARRIED\s+COUPLE/.test(clause)) {
+    maritalStatus = 'husband_and_wife';
+  } else if (/\bUNMARRIED\b|\bSINGLE\s+(?:MAN|WOMAN|PERSON)\b|\bDIVORCED\b|\bNEVER\s+BEEN\s+MARRIED\b/.test(clause)) {
+    maritalStatus = 'unmarried';
+  } else if (/\bWIDOWE?R?\b|SURVIVING\s+SPOUSE/.test(clause)) {
+    maritalStatus = 'widowed';
+  } else if (/\bMARRIED\b/.test(clause)) {
+    maritalStatus = 'married';
+  }
+  
+  const spouseJoinder = /JOINED\s+BY\s+(?:HIS|HER|THEIR|GRANTOR'?S|BORROWER'?S)?\s*(?:WIFE|HUSBAND|SPOUSE)|\bSPOUSE\s+JOINS\b|JOINDER\s+(?:OF|BY)\s+(?:THE\s+)?(?:NON-?\s*BORROWER\s+|NON-?\s*OWNER\s+)?SPOUSE|NON-?\s*BORROWER\s+SPOUSE/.test(normalizedText);
+  
+  let homesteadRecital = null;
+  if (/NOT\s+(?:THE\s+)?(?:CONSTITUTIONAL\s+)?HOMESTEAD|NON-?\s*HOMESTEAD|NOR\s+(?:IS\s+IT\s+)?CONTIGUOUS\s+(?:THERETO|TO\s+THE\s+HOMESTEAD)/.test(normalizedText)) {
+    homesteadRecital = 'non_homestead';
+  } else if (/(?:IS|CONSTITUTES)\s+THE\s+(?:CONSTITUTIONAL\s+)?HOMESTEAD\s+OF/.test(normalizedText)) {
+    homesteadRecital = 'homestead';
+  }
+  
+  return { maritalStatus, spouseJoinder, homesteadRecital };
+}
+
+/**
+ * How the grantees take title, from the deed's vesting language. Marital
+ * status is only read from the grantee clause (between "grantor" and
+ * "grantee", or after "Grantee:" when the labels come first) so the
+ * grantor's description isn't picked up.
+ * @param {string} normalizedText Upper-cased deed text
+ * @returns {string|null} tenants_by_entirety, joint_tenants, tenants_in_common, trustee, sole_owner or null
+ */
+function matchVesting(normalizedText) {
+  const grantorAt = normalizedText.search(/\bGRANTORS?\b/);
+  const granteeAt = grantorAt >= 0 ? normalizedText.slice(grantorAt).search(/\bGRANTEES?\b/) : -1;
+  const labelsFirst = /\bGRANTORS?\s*:/.test(normalizedText) && granteeAt > 0;
+  const granteeClause = labelsFirst ? normalizedText.slice(grantorAt + granteeAt, grantorAt + granteeAt + 500) :
+    granteeAt > 0 ? normalizedText.slice(grantorAt, grantorAt + granteeAt) : normalizedText;
+  
+  if (/TENANTS?\s+BY\s+THE\s+ENTIRET(?:Y|IES)/.test(normalizedText)) return 'tenants_by_entirety';
+  if (/JOINT\s+TENANTS?\s+WITH\s+(?:FULL\s+)?RIGHTS?\s+OF\s+SURVIVORSHIP|\bJTWROS\b|WITH\s+(?:FULL\s+)?RIGHTS?\s+OF\s+SURVIVORSHIP/.test(normalizedText)) {
+    return 'joint_tenants';
+  }
+  if (/TENANTS?\s+IN\s+COMMON/.test(normalizedText)) return 'tenants_in_common';
+  if (/\bAS\s+(?:SUCCESSOR\s+)?TRUSTEES?\b|\bTRUSTEES?\s+OF\s+THE\b|LAND\s+TRUST\s+AGREEMENT/.test(granteeClause)) return 'trustee';
+  // Spouses take as tenants by the entirety unless the deed says otherwise
+  if (/HUSBAND\s+AND\s+WIFE|WIFE\s+AND\s+HUSBAND|\bHIS\s+WIFE\b|\bHER\s+HUSBAND\b|MARRIED\s+COUPLE|\bSPOUSES\b/.test(granteeClause)) {
+    return 'tenants_by_entirety';
+  }
+  if (/\bA\s+SINGLE\s+(?:MAN|WOMAN|PERSON)|\bAN?\s+UNMARRIED\s+(?:MAN|WOMAN|PERSON)|\bA\s+WIDOW(?:ER)?\b/.test(granteeClause)) {
+    return 'sole_owner';
+  }
+  return null;
+}
+
+/**
+ * Documentary stamp and intangible tax paid, from the clerk's recording stamp
+ * ("DOC TAX PD(F.S.201.02) $1,470.00", "INT TAX PD(F.S.199) $400.00")
+ * @param {string} text Raw PDF text
+ * @returns {Object} { docStamps, intangibleTax }
+ */
+function matchRecordingTaxes(text) {
+  const amountAfter = label => text.match(new RegExp(`${label}(?:\\s*-\\s*(?:DEED|MORT(?:GAGE)?))?(?:\\s+PA?I?D)?` +
+    `\\s*(?:\\(\\s*F\\.?\\s*S\\.?\\s*[0-9.]+\\s*\\))?[\\s:]*\\$?\\s*([0-9,]*[0-9]\\.[0-9]{2})`, 'i'));
+  const toAmount = match => match ? parseFloat(match[1].replace(/,/g, '')) : null;
+  
+  // Older stamps put the amount before the label ("$1,470.00 DOC STAMPS")
+  const docStamps = amountAfter('DOC(?:UMENTARY)?\\.?\\s*(?:STAMPS?|TAX)(?:\\s+TAX)?') ||
+    text.match(/\$[\s,]*([0-9,]+\.[0-9]{2})\s*(?:DOC|DOCUMENTARY)/i);
+  
+  return {
+    docStamps: toAmount(docStamps),
+    intangibleTax: toAmount(amountAfter('INT(?:ANGIBLE|ANG)?\\.?\\s*TAX'))
+  };
+}
+
+/**
+ * Case number: "CASE NO.: 19-CA-012345" style or the 20-character uniform case number
+ */
+function matchCaseNumber(normalizedText) {
+  const patterns = [
+    /CASE\s*(?:NO\.?|NUMBER|#)\s*:?\s*([0-9]{2,4} ?-? ?[A-Z]{2,4} ?-? ?[0-9]{3,7}(?:-[A-Z0-9]{1,6})?)\b/,
+    /\b(29[0-9]{4}[A-Z]{2}[0-9]{6}[A-Z0-9]{6})\b/,
+    /CASE\s*(?:NO\.?|NUMBER|#)\s*:?\s*([0-9A-Z][0-9A-Z-]{4,})/
+  ];
+  
+  for (const pattern of patterns) {
+    const match = normalizedText.match(pattern);
+    if (match) return match[1].replace(/\s+/g, '');
+  }
+  return null;
+}
+
+/**
+ * Court from the case caption
+ */
+function matchCourt(normalizedText) {
+  const stateCourt = normalizedText.match(/IN\s+THE\s+(CIRCUIT|COUNTY)\s+COURT\b[^\n]*?(?:IN\s+AND\s+)?FOR\s+([A-Z]+)\s+COUNTY/);
+  if (stateCourt) {
+    const court = stateCourt[1].charAt(0) + stateCourt[1].slice(1).toLowerCase();
+    const county = stateCourt[2].charAt(0) + stateCourt[2].slice(1).toLowerCase();
+    return `${court} Court, ${county} County`;
+  }
+  
+  const federalCourt = normalizedText.match(/UNITED\s+STATES\s+(DISTRICT|BANKRUPTCY)\s+COURT/);
+  if (federalCourt) {
+    return `U.S. ${federalCourt[1].charAt(0)}${federalCourt[1].slice(1).toLowerCase()} Court`;
+  }
+  
+  return null;
+}
+
+/**
+ * Street addresses in the text (used to tie a judgment or lien to the owner).
+ * The house number can't follow a "." so statute numbers ("720.3085 ON 456
+ * OAK AVE") aren't read as one.
+ */
+function matchAddresses(normalizedText) {
+  const pattern = /(?<![.0-9])\b[0-9]{1,6}\s+(?:[NSEW]\.?\s+)?[A-Z0-9]+(?:\s+[A-Z0-9]+){0,3}\s+(?:ST|STREET|AVE|AVENUE|RD|ROAD|DR|DRIVE|LN|LANE|CT|COURT|BLVD|BOULEVARD|WAY|PL|PLACE|CIR|CIRCLE|TER|TERRACE|HWY|HIGHWAY|PKWY|PARKWAY|TRL|TRAIL|LOOP)\b\.?/g;
+  const addresses = [];
+  let match;
+  while ((match = pattern.exec(normalizedText)) !== null) {
+    const address = match[0].replace(/\s+/g, ' ').replace(/\.$/, '');
+    if (!addresses.includes(address)) {
+      addresses.push(address);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Plaintiff and defendant from a "X, PLAINTIFF, V. Y, DEFENDANT" caption
+ */
+function matchCaption(normalizedText) {
+  const lines = normalizedText.split('\n').map(line => line.trim());
+  const cleanParty = parts => parts.join(' ').replace(/\s+/g, ' ').replace(/[,;\s]+$/, '').trim() || null;
+  const isHeading = line => !line || /CASE\s*(?:NO|NUMBER|#)|COURT|CIRCUIT|DIVISION|COUNTY,?\s*(?:STATE\s+OF\s+)?FLORIDA\s*$/.test(line);
+  
+  // Party names run up to the PLAINTIFF / DEFENDANT label, possibly across lines
+  const partyBefore = (labelIndex, stopIndex) => {
+    const parts = [];
+    const inline = lines[labelIndex].match(/^(.+?),?\s*(?:PLAINTIFFS?|DEFENDANTS?)\b/);
+    if (inline) parts.unshift(inline[1].replace(/^V(?:S)?\.?\s+/, ''));
+    for (let i = labelIndex - 1; i > stopIndex && !isHeading(lines[i]) && !/^V(?:S)?\.?$/.test(lines[i]); i--) {
+      parts.unshift(lines[i].replace(/^V(?:S)?\.?\s+/, ''));
+    }
+    return cleanParty(parts);
+  };
+  
+  const plaintiffIndex = lines.findIndex(line => /\bPLAINTIFFS?\b/.test(line));
+  const defendantIndex = lines.findIndex((line, i) => i > plaintiffIndex && /\bDEFENDANTS?\b/.test(line));
+  
+  // Caption on one line ("JANE DOE, PLAINTIFF, V. JOHN SMITH, DEFENDANT")
+  const inline = plaintiffIndex >= 0 &&
+    lines[plaintiffIndex].match(/\bPLAINTIFFS?\b[\s,.;]*V(?:S)?\.?\s+(.+?),?\s*DEFENDANTS?\b/);
+  
+  return {
+    plaintiff: plaintiffIndex >= 0 ? partyBefore(plaintiffIndex, -1) : null,
+    defendant: inline ? cleanParty([inline[1]]) :
+      plaintiffIndex >= 0 && defendantIndex >= 0 ? partyBefore(defendantIndex, plaintiffIndex) : null
+  };
+}
+
+/**
+ * Parse lien document text
+ * @param {string} text Raw PDF text
+ * @returns {Object} Extracted lien info
+ */
+export function parseLienText(text) {
+  const info = {
+    lienType: 'other',
+    creditor: null,
+    debtor: null,
+    amount: null,
+    caseNumber: null,
+    addresses: [],
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  info.lienType = detectLienType(normalizedText);
+  
+  // ===== PARTIES =====
+  info.creditor = matchLabelledName(text, 'LIENOR|CLAIMANT|CREDITOR|ASSOCIATION|PETITIONER');
+  info.debtor = matchLabelledName(text, 'NAME\\s+OF\\s+TAXPAYER|TAXPAYER|DEBTOR|OWNER|RESPONDENT|VIOLATOR');
+  if (info.lienType === 'irs' && !info.creditor) {
+    info.creditor = 'INTERNAL REVENUE SERVICE';
+  }
+  
+  // ===== AMOUNT =====
+  info.amount = matchAmount(text, 'TOTAL|AMOUNT\\s+(?:DUE|OWED|CLAIMED)|BALANCE|UNPAID|SUM\\s+OF|FINE');
+  
+  // Code enforcement liens come from a case
+  info.caseNumber = matchCaseNumber(normalizedText);
+  info.addresses = matchAddresses(normalizedText);
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.amount) confidenceScore += 2;
+  if (info.creditor) confidenceScore += 1;
+  if (info.debtor) confidenceScore += 1;
+  if (info.lienType !== 'other') confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse judgment document text
+ * @param {string} text Raw PDF text
+ * @returns {Object} Extracted judgment info
+ */
+export function parseJudgmentText(text) {
+  const info = {
+    caseNumber: null,
+    court: null,
+    plaintiff: null,
+    defendant: null,
+    amount: null,
+    addresses: [],
+    isQuietTitle: false,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  info.caseNumber = matchCaseNumber(normalizedText);
+  info.court = matchCourt(normalizedText);
+  Object.assign(info, matchCaption(normalizedText));
+  info.amount = matchAmount(text, 'SUM\\s+OF|TOTAL|PRINCIPAL|AMOUNT\\s+OF');
+  info.addresses = matchAddresses(normalizedText);
+  info.isQuietTitle = /QUIET(?:ING)?\s+(?:THE\s+)?TITLE/.test(normalizedText);
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.caseNumber) confidenceScore += 2;
+  if (info.plaintiff && info.defendant) confidenceScore += 2;
+  if (info.amount) confidenceScore += 1;
+  if (info.court) confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 5 ? 'high' : confidenceScore >= 3 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse lis pendens text
+ * @param {string} text Raw PDF text
+ * @param {Object} recording The document's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {Object} Extracted lis pendens info
+ */
+export function parseLisPendensText(text, recording = {}) {
+  const info = {
+    caseNumber: null,
+    court: null,
+    plaintiff: null,
+    defendant: null,
+    propertyDescription: null,
+    propertyAddress: null,
+    isForeclosure: false,
+    isQuietTitle: false,
+    foundedOnRecordedInstrument: false,
+    instrumentReferences: [],
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  info.caseNumber = matchCaseNumber(normalizedText);
+  info.court = matchCourt(normalizedText);
+  Object.assign(info, matchCaption(normalizedText));
+  info.isForeclosure = /FORECLOS/.test(normalizedText);
+  info.isQuietTitle = /QUIET(?:ING)?\s+(?:THE\s+)?TITLE/.test(normalizedText);
+  
+  // ===== INSTRUMENT REFERENCES =====
+  // (not the lis pendens' own recording stamp)
+  const own = ownRecordingReferences(normalizedText, recording);
+  info.instrumentReferences = matchInstrumentReferences(normalizedText, own);
+  
+  // §48.23: foreclosures of recorded mortgages/liens and chapter 713 liens don't
+  // expire after a year - a bare number isn't enough, it must be cited as recorded
+  info.foundedOnRecordedInstrument = info.isForeclosure ||
+    matchCitedRecordings(normalizedText, own).length > 0 ||
+    /CONSTRUCTION\s+LIEN|CHAPTER\s+713|RECORDED\s+(?:MORTGAGE|CLAIM\s+OF\s+LIEN)/.test(normalizedText);
+  
+  // ===== PROPERTY =====
+  const descriptionMatch = text.match(/(?:FOLLOWING\s+DESCRIBED\s+PROPERTY|PROPERTY\s+DESCRIBED\s+AS\s+FOLLOWS|LEGAL\s+DESCRIPTION)[^:\n]*:?\s*([\s\S]+?)(?:\n\s*\n|A\/K\/A|PROPERTY\s+ADDRESS|$)/i);
+  if (descriptionMatch) {
+    const description = descriptionMatch[1].replace(/\s+/g, ' ').trim();
+    if (description.length > 10) {
+      info.propertyDescription = description.slice(0, 500);
+    }
+  }
+  
+  const addressMatch = text.match(/(?:A\/K\/A|PROPERTY\s+ADDRESS|STREET\s+ADDRESS)\s*:?\s*([0-9]+[^\n]+)/i);
+  if (addressMatch) {
+    info.propertyAddress = addressMatch[1].replace(/\s+/g, ' ').trim();
+  }
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.caseNumber) confidenceScore += 2;
+  if (info.plaintiff) confidenceScore += 1;
+  if (info.propertyDescription || info.propertyAddress) confidenceScore += 2;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse easement text
+ * @param {string} text Raw PDF text
+ * @returns {Object} Extracted easement info
+ */
+export function parseEasementText(text) {
+  const info = {
+    beneficiary: null,
+    purpose: 'other',
+    width: null,
+    references: [],
+    legalDescription: null,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  // ===== BENEFICIARY AND PURPOSE =====
+  const favorMatch = normalizedText.match(/IN\s+FAVOR\s+OF\s+([A-Z][A-Z0-9\s,\.&'-]+?)(?:\s*[,\n(]|\s+(?:ITS|A|AN|WHOSE)\b)/);
+  info.beneficiary = favorMatch ? favorMatch[1].replace(/\s+/g, ' ').trim() : matchLabelledName(text, 'GRANTEE');
+  
+  // The purpose clause ("for the purpose of ...") says more than the parties
+  const purposeMatch = normalizedText.match(/FOR\s+(?:THE\s+)?PURPOSES?\s+OF\s+([^.]{0,200})/);
+  info.purpose = detectEasementPurpose(purposeMatch ? purposeMatch[1] : normalizedText);
+  
+  const widthMatch = normalizedText.match(/([0-9]+(?:\.[0-9]+)?)[\s-]*(?:FOOT|FT\.?|FEET)[\s-]+(?:WIDE\s+)?[A-Z\s/]{0,40}?EASEMENT/);
+  if (widthMatch) {
+    info.width = parseFloat(widthMatch[1]);
+  }
+  
+  // ===== PROPERTY =====
+  info.references = matchRecordingReferences(normalizedText);
+  info.legalDescription = matchLegalDescription(text);
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.beneficiary) confidenceScore += 2;
+  if (info.purpose !== 'other') confidenceScore += 1;
+  if (info.legalDescription || info.references.length > 0) confidenceScore += 2;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse declaration / restriction text
+ * @param {string} text Raw PDF text
+ * @returns {Object} Extracted restriction info
+ */
+export function parseRestrictionText(text) {
+  const info = {
+    title: null,
+    beneficiary: null,
+    references: [],
+    legalDescription: null,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  // ===== TITLE =====
+  const titleMatch = normalizedText.match(/((?:(?:FIRST|SECOND|THIRD|[0-9]+(?:ST|ND|RD|TH))\s+)?(?:AMENDMENT\s+TO\s+(?:THE\s+)?|AMENDED\s+AND\s+RESTATED\s+|SUPPLEMENTAL\s+)?DECLARATION\s+OF\s+[A-Z ,&]+?)(?:\s+FOR\b|\n|\s+THIS\b)/);
+  if (titleMatch) {
+    info.title = titleMatch[1].replace(/\s+/g, ' ').trim();
+  }
+  
+  // ===== BENEFICIARY =====
+  // The association that enforces the declaration
+  const associationMatch = normalizedText.match(/([A-Z][A-Z0-9 &'.-]{3,80}?(?:HOMEOWNERS'?|PROPERTY\s+OWNERS'?|CONDOMINIUM|COMMUNITY|MASTER)\s+ASSOCIATION,?\s+INC\.?)/);
+  info.beneficiary = associationMatch ?
+    associationMatch[1].replace(/\s+/g, ' ').replace(/^.*\b(?:BY|THE)\s+/, '').trim() : null;
+  
+  // ===== PROPERTY =====
+  info.references = matchRecordingReferences(normalizedText);
+  info.legalDescription = matchLegalDescription(text);
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.title) confidenceScore += 2;
+  if (info.beneficiary) confidenceScore += 1;
+  if (info.legalDescription || info.references.length > 0) confidenceScore += 2;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse a death certificate, affidavit or probate court paper
+ * @param {string} text Raw PDF text
+ * @returns {Object} Extracted probate info
+ */
+export function parseProbateText(text) {
+  const info = {
+    documentKind: null,
+    decedent: null,
+    dateOfDeath: null,
+    personalRepresentative: null,
+    caseNumber: null,
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  info.documentKind = detectProbateKind(normalizedText);
+  // Probate cases are styled "File No." as often as "Case No."
+  const fileMatch = normalizedText.match(/FILE\s*(?:NO\.?|NUMBER|#)\s*:?\s*([0-9]{2,4}\s?-?\s?CP\s?-?\s?[0-9]{3,7})/);
+  info.caseNumber = matchCaseNumber(normalizedText) || (fileMatch ? fileMatch[1].replace(/\s+/g, '') : null);
+  
+  // ===== DECEDENT =====
+  const decedentMatch = normalizedText.match(/ESTATE\s+OF\s*:?\s*([A-Z][A-Z\s.'-]+?)\s*,?\s*(?:A\/K\/A\b|DECEASED|DEC'D|\n)/) ||
+    normalizedText.match(/(?:NAME\s+OF\s+)?DECEDENT(?:'S\s+NAME)?\s*:\s*([A-Z][A-Z\s.'-]+?)\s*(?:[,\n]|$)/);
+  if (decedentMatch) {
+    info.decedent = decedentMatch[1].replace(/\s+/g, ' ').trim();
+  }
+  
+  const deathMatch = normalizedText.match(/(?:DATE\s+OF\s+DEATH\s*:?|DIED\s+(?:ON\s+)?)\s*([A-Z]+\s+[0-9]{1,2},?\s+[0-9]{4}|[0-9]{1,2}\/[0-9]{1,2}\/[0-9]{2,4})/);
+  if (deathMatch) {
+    info.dateOfDeath = deathMatch[1];
+  }
+  
+  // "ANN JONES IS APPOINTED AS PERSONAL REPRESENTATIVE" / "ANN JONES, AS PERSONAL REPRESENTATIVE"
+  const prMatch = normalizedText.match(/\b((?:[A-Z]\.|[A-Z][A-Z'-]+)(?:\s+(?:[A-Z]\.|[A-Z][A-Z'-]+)){1,4})\s*,?\s+(?:IS\s+(?:HEREBY\s+)?APPOINTED\s+)?AS\s+PERSONAL\s+REPRESENTATIVE\b/);
+  info.personalRepresentative = prMatch ? prMatch[1].replace(/^(?:(?:THAT|AND|TO|BY|APPOINTING)\s+)+|\s+IS(?:\s+HEREBY)?\s+APPOINTED$/g, '').trim() :
+    matchLabelledName(text, 'PERSONAL\\s+REPRESENTATIVE');
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.documentKind) confidenceScore += 2;
+  if (info.decedent) confidenceScore += 2;
+  if (info.caseNumber || info.dateOfDeath) confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Parse a notice of commencement (or a notice of termination of one)
+ * @param {string} text Raw PDF text
+ * @param {Object} recording The notice's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {Object} Extracted notice info
+ */
+export function parseNoticeOfCommencementText(text, recording = {}) {
+  const info = {
+    isTermination: false,
+    improvement: null,
+    owner: null,
+    contractor: null,
+    surety: null,
+    bondAmount: null,
+    lender: null,
+    expirationDate: null,
+    instrumentReferences: [],
+    confidence: 'low'
+  };
+  
+  if (!text || text.trim().length < 50) {
+    return info;
+  }
+  
+  const normalizedText = text.toUpperCase();
+  
+  info.isTermination = /NOTICE\s+OF\s+TERMINATION|TERMINATION\s+OF\s+(?:THE\s+)?NOTICE\s+OF\s+COMMENCEMENT/.test(normalizedText);
+  
+  // ===== NUMBERED ITEMS (§713.13 form) =====
+  const improvement = matchNoticeItem(normalizedText, 'GENERAL\\s+DESCRIPTION\\s+OF\\s+(?:THE\\s+)?IMPROVEMENTS?');
+  info.improvement = improvement ? improvement.slice(0, 200) : null;
+  info.owner = nameFromNoticeItem(matchNoticeItem(normalizedText, 'OWNER(?:\\s+OR\\s+LESSEE)?(?:\\s+INFORMATION)?'));
+  info.contractor = nameFromNoticeItem(matchNoticeItem(normalizedText, "CONTRACTOR(?:'S)?(?:\\s+INFORMATION)?"));
+  info.lender = nameFromNoticeItem(matchNoticeItem(normalizedText, 'LENDER(?:\\s+INFORMATION)?'));
+  
+  const surety = matchNoticeItem(normalizedText, 'SURETY(?:\\s+\\(IF\\s+APPLICABLE[^)]*\\))?');
+  info.surety = nameFromNoticeItem(surety);
+  const bondMatch = surety ? surety.match(/AMOUNT\s+OF\s+(?:THE\s+)?BOND\s*:?\s*\$?\s*([0-9][0-9,]*(?:\.[0-9]{2})?)/) : null;
+  info.bondAmount = bondMatch ? parseFloat(bondMatch[1].replace(/,/g, '')) : null;
+  
+  // One year after recording unless the notice states another date (§713.13(6))
+  const expirationMatch = normalizedText.match(/EXPIRATION\s+DATE[^:]{0,160}:\s*([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4}|[A-Z]+\s+[0-9]{1,2},?\s+[0-9]{4})/);
+  info.expirationDate = expirationMatch ? expirationMatch[1] : null;
+  
+  // A termination cites the notice it ends (its own stamp isn't that notice)
+  info.instrumentReferences = matchInstrumentReferences(normalizedText, ownRecordingReferences(normalizedText, recording));
+  
+  // ===== CONFIDENCE =====
+  let confidenceScore = 0;
+  if (info.owner) confidenceScore += 1;
+  if (info.contractor) confidenceScore += 2;
+  if (info.improvement) confidenceScore += 1;
+  if (info.expirationDate || info.isTermination) confidenceScore += 1;
+  
+  info.confidence = confidenceScore >= 4 ? 'high' : confidenceScore >= 2 ? 'medium' : 'low';
+  
+  return info;
+}
+
+/**
+ * Text of one numbered item of a notice of commencement, from its label to
+ * the next item number
+ * @param {string} normalizedText Upper-cased text
+ * @param {string} label Item label pattern
+ * @returns {string|null} Item text with whitespace collapsed
+ */
+function matchNoticeItem(normalizedText, label) {
+  // The label is numbered or followed by a colon, so prose mentioning it doesn't match
+  const match = new RegExp(`(?:^|\\s)(?:[0-9]{1,2}\\.\\s*${label}\\s*[:.]?|${label}\\s*:)`).exec(normalizedText);
+  if (!match) return null;
+  const rest = normalizedText.slice(match.index + match[0].length);
+  const end = rest.search(/\s[0-9]{1,2}\.\s+[A-Z]/);
+  const item = (end >= 0 ? rest.slice(0, end) : rest.slice(0, 400)).replace(/\s+/g, ' ').trim();
+  return item || null;
+}
+
+/**
+ * Name from a notice item ("A. NAME AND ADDRESS: ACME ROOFING INC, 55 ELM ST")
+ */
+function nameFromNoticeItem(item) {
+  if (!item) return null;
+  // Text after the "Name and address:" sub-label when the item has one
+  const labelled = /\bNAME(?:,?\s+(?:AND\s+)?(?:ADDRESS|PHONE\s+NUMBER))*\s*:\s*/.exec(item);
+  const name = (labelled ? item.slice(labelled.index + labelled[0].length) : item)
+    .split(/\s*,\s*|\s+(?=[0-9])|\s+[A-Z]\.\s/)[0]
+    .trim();
+  return name.length > 3 && !/^(?:N\/?A|NONE|NOT\s+APPLICABLE)\b/.test(name) ? name : null;
+}
+
+/**
+ * Recorded instruments cited by number or Official Records book and page.
+ * Plat book references in a legal description are not recorded instruments.
+ * @param {string} normalizedText Upper-cased text
+ * @param {string[]} own The document's own references, left out (see ownRecordingReferences)
+ * @returns {string[]} Instrument numbers and "Book N, Page N" references
+ */
+function matchInstrumentReferences(normalizedText, own = []) {
+  const refPatterns = [
+    /(?:INSTRUMENT|DOCUMENT|CFN)\s*(?:NO\.?|NUMBER|#)?\s*:?\s*([0-9]{6,})/g,
+    /(?<!PLAT\s{1,3})BOOK\s+([0-9]+)\s*,?\s*(?:AT\s+)?PAGE\s+([0-9]+)/g
+  ];
+  
+  const references = [];
+  for (const pattern of refPatterns) {
+    let match;
+    while ((match = pattern.exec(normalizedText)) !== null) {
+      const ref = match[2] ? `Book ${match[1]}, Page ${match[2]}` : match[1];
+      if (!references.includes(ref) && !own.includes(ref)) {
+        references.push(ref);
+      }
+    }
+  }
+  return references;
+}
+
+/**
+ * Recordings the document cites as recorded - "recorded in Official Records
+ * Book 123, Page 45", "recorded on ... as Instrument No. 2015123456" or an
+ * "Official Records Book ... Page" citation - rather than any number that
+ * looks like one
+ * @param {string} normalizedText Upper-cased text
+ * @param {string[]} own The document's own references, left out (see ownRecordingReferences)
+ * @returns {Object[]} { instrumentNumber } or { book, page }, in the order cited
+ */
+function matchCitedRecordings(normalizedText, own = []) {
+  const pattern = /RECORDED\b[^;]{0,80}?(?:(?:BOOK|BK\.?)\s*([0-9]+)\s*,?\s*(?:AT\s+)?(?:PAGES?|PGS?\.?)\s*([0-9]+)|(?:INSTRUMENT|DOCUMENT|CFN|CLERK'?S\s+FILE)\s*(?:NO\.?|NUMBER|#)?\s*:?\s*([0-9]{6,}))|OFFICIAL\s+RECORDS?\s+BOOK\s+([0-9]+)\s*,?\s*(?:AT\s+)?PAGES?\s+([0-9]+)/g;
+  
+  const cited = [];
+  let match;
+  while ((match = pattern.exec(normalizedText)) !== null) {
+    const book = match[1] || match[4];
+    const page = match[2] || match[5];
+    const ref = match[3] ? { instrumentNumber: match[3] } : { book, page };
+    if (own.includes(match[3] || `Book ${book}, Page ${page}`)) continue;
+    cited.push(ref);
+  }
+  return cited;
+}
+
+/**
+ * The document's own recording, to leave out of what it cites: the
+ * instrument, book and page it was filed under, and the clerk's stamp
+ * ("INSTRUMENT#: 2019123456 OR BK 26000 PG 100")
+ * @param {string} normalizedText Upper-cased text
+ * @param {Object} recording The document's own { instrumentNumber, bookNum, pageNum } (optional)
+ * @returns {string[]} Instrument numbers and "Book n, Page n" references
+ */
+function ownRecordingReferences(normalizedText, recording = {}) {
+  const own = [];
+  if (recording.instrumentNumber) {
+    own.push(String(recording.instrumentNumber));
+  }
+  if (recording.bookNum && recording.pageNum) {
+    own.push(`Book ${parseInt(recording.bookNum)}, Page ${parseInt(recording.pageNum)}`);
+  }
+  
+  const stamp = normalizedText.match(/INSTRUMENT\s*#\s*:?\s*([0-9]{6,})[\s,]*(?:O\.?\s?R?\.?\s*)?(?:BK|BOOK)\.?\s*:?\s*([0-9]+)\s*,?\s*(?:PG|PAGE)\.?\s*:?\s*([0-9]+)/);
+  if (stamp) {
+    own.push(stamp[1], `Book ${stamp[2]}, Page ${stamp[3]}`);
+  }
+  return own;
+}
+
+/**
+ * Plat and Official Records book/page references
+ * @param {string} normalizedText Upper-cased text
+ * @returns {Object[]} { type: 'plat'|'official_records', book, page }
+ */
+function matchRecordingReferences(normalizedText) {
+  const references = [];
+  const pattern = /\b(PLAT\s+BOOK|P\.?\s?B\.?|O\.?\s?R\.?\s+BOOK|OFFICIAL\s+RECORDS?\s+BOOK|BOOK)\s+([0-9]+)\s*,?\s*(?:AT\s+)?(?:PAGES?|PGS?\.?)\s+([0-9]+)/g;
+  let match;
+  while ((match = pattern.exec(normalizedText)) !== null) {
+    const type = /^P/.test(match[1]) ? 'plat' : 'official_records';
+    if (!references.some(r => r.type === type && r.book === match[2] && r.page === match[3])) {
+      references.push({ type, book: match[2], page: match[3] });
+    }
+  }
+  return references;
+}
+
 /**
  * Batch extract text from multiple documents
  * @param {Array} documents Array of document objects with documentId
@@ -488,12 +1372,30 @@ export async function batchExtractDocuments(documents, onProgress = () => {}, op
       if (extraction.success && extraction.hasText) {
         // Parse based on document type
         const docType = doc.docTypeShort || '';
-        if (docType === 'MTG' || docType.includes('MTG')) {
+        if (docType === 'MTG' || docType.includes('MTG') || docType === 'MOD') {
+          // Modifications carry the new principal and a reference to the mortgage
           result.extractedData = parseMortgageText(extraction.text);
         } else if (docType === 'SAT' || docType.includes('SAT')) {
           result.extractedData = parseSatisfactionText(extraction.text);
-        } else if (docType === 'D') {
+        } else if (docType === 'D' || docType === 'TAXDEED') {
           result.extractedData = parseDeedText(extraction.text);
+        } else if (docType.startsWith('ASG') || docType === 'ASINT') {
+          result.extractedData = parseAssignmentText(extraction.text, doc);
+        } else if (docType === 'LP' || docType === 'RELLP') {
+          // Releases of lis pendens carry the same case caption
+          result.extractedData = parseLisPendensText(extraction.text, doc);
+        } else if (docType === 'JUD') {
+          result.extractedData = parseJudgmentText(extraction.text);
+        } else if (docType.includes('LN')) {
+          result.extractedData = parseLienText(extraction.text);
+        } else if (docType === 'EAS') {
+          result.extractedData = parseEasementText(extraction.text);
+        } else if (docType === 'RES') {
+          result.extractedData = parseRestrictionText(extraction.text);
+        } else if (PROBATE_DOC_TYPES.includes(docType)) {
+          result.extractedData = parseProbateText(extraction.text);
+        } else if (docType === 'NOC') {
+          result.extractedData = parseNoticeOfCommencementText(extraction.text, doc);
         }
         
         results.successful++;
@@ -505,7 +1407,7 @@ export async function batchExtractDocuments(documents, onProgress = () => {}, op
       }
       
       results.documents.push(result);
-      
+    
     } catch (error) {
       console.error(`Error extracting ${doc.instrumentNumber}:`, error);
       results.documents.push({
@@ -574,25 +1476,18 @@ export function matchSatisfactionsToMortgages(mortgages, satisfactions) {
       
       // Method 4: Lender name match
       if (satData.originalLender && mtgData.lenderName) {
-        const satLender = satData.originalLender.toLowerCase();
-        const mtgLender = mtgData.lenderName.toLowerCase();
-        if (satLender.includes(mtgLender.split(' ')[0]) || 
-            mtgLender.includes(satLender.split(' ')[0])) {
-          score += 20;
-          matchReasons.push('Lender name partial match');
+        const lender = compareNames(satData.originalLender, mtgData.lenderName);
+        if (lender.score >= MATCH_THRESHOLDS.possible) {
+          score += Math.round(20 * lender.score);
+          matchReasons.push(`Lender name match (${lender.reasons.join(', ')})`);
         }
       }
       
       // Method 5: Name match (fallback)
-      const satGrantors = (sat.grantors || []).join(' ').toLowerCase();
-      const mtgGrantors = (mtg.grantors || []).join(' ').toLowerCase();
-      if (satGrantors && mtgGrantors) {
-        const satFirstName = satGrantors.split(' ')[0];
-        const mtgFirstName = mtgGrantors.split(' ')[0];
-        if (satFirstName === mtgFirstName) {
-          score += 10;
-          matchReasons.push('Grantor name match');
-        }
+      const borrower = compareParties([...(sat.grantors || []), ...(sat.grantees || [])], mtg.grantors || []);
+      if (borrower.score >= MATCH_THRESHOLDS.strong) {
+        score += 10;
+        matchReasons.push('Grantor name match');
       }
       
       // Method 6: Date logic
@@ -644,6 +1539,14 @@ export default {
   parseDeedText,
   parseMortgageText,
   parseSatisfactionText,
+  parseAssignmentText,
+  parseLienText,
+  parseJudgmentText,
+  parseLisPendensText,
+  parseEasementText,
+  parseRestrictionText,
+  parseProbateText,
+  parseNoticeOfCommencementText,
   batchExtractDocuments,
   matchSatisfactionsToMortgages,
   terminateOCR
@@ -7,7 +7,7 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { performTitleSearch } from './search/titleSearch.js';
-import { getPdfUrl, downloadPdf } from './api/hillsborough.js';
+import { getPdfUrl, downloadPdf, lookupDocument, readInstrumentReference } from './api/hillsborough.js';
 import { searchByAddress } from './api/propertyAppraiser.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -28,18 +28,23 @@ app.use(express.static(join(__dirname, '../public')));
  */
 app.post('/api/search', async (req, res) => {
   try {
-    const { ownerName, yearsBack = 30 } = req.body;
+    const { ownerName, folio, legalDescription, subdivision, lot, block, yearsBack = 30 } = req.body;
     
-    if (!ownerName) {
-      return res.status(400).json({ error: 'ownerName is required' });
+    if (!ownerName && !folio) {
+      return res.status(400).json({ error: 'ownerName or folio is required' });
     }
     
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`Title Search Request: ${ownerName}`);
+    console.log(`Title Search Request: ${ownerName || `folio ${folio}`}`);
     console.log(`${'='.repeat(60)}`);
     
     const results = await performTitleSearch({
       ownerName,
+      folio,
+      legalDescription,
+      subdivision,
+      lot,
+      block,
       yearsBack: parseInt(yearsBack)
     });
     
@@ -80,6 +85,32 @@ app.post('/api/address', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/document/lookup?ref=CFN 2019123456 (or ?instrument=, or ?book=&page=)
+ * Resolve an instrument number or OR book/page to its recorded document
+ */
+app.get('/api/document/lookup', async (req, res) => {
+  try {
+    const { ref, instrument, book, page } = req.query;
+    const reference = readInstrumentReference(ref || (instrument ? { instrumentNumber: instrument } : { book, page }));
+    
+    if (!reference) {
+      return res.status(400).json({ error: 'ref (instrument number or book/page), instrument, or numeric book and page is required' });
+    }
+    
+    const lookup = await lookupDocument(reference);
+    
+    if (!lookup.document) {
+      return res.status(404).json({ ...lookup, error: 'No recorded document found' });
+    }
+    
+    res.json({ ...lookup, pdfUrl: getPdfUrl(lookup.document.documentId) });
+  } catch (error) {
+    console.error('Lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/document/:id
  * Get document PDF URL (redirect)
@@ -125,8 +156,9 @@ app.listen(PORT, () => {
 ║   Server running at http://localhost:${PORT}                 ║
 ║                                                            ║
 ║   Endpoints:                                               ║
-║   - POST /api/search     - Search by owner name            ║
+║   - POST /api/search     - Search by owner name or folio   ║
 ║   - POST /api/address    - Search by property address      ║
+║   - GET  /api/document/lookup - Find by CFN or book/page   ║
 ║   - GET  /api/document/:id - View document PDF             ║
 ║   - GET  /health         - Health check                    ║
 ╚════════════════════════════════════════════════════════════╝
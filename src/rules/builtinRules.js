@@ -0,0 +1,439 @@
+/**
+ * Built-in Risk Rules
+ * Each rule declares an id, severity, weight and description, a predicate
+ * over the analyzed search result and the documents it cites. Weights and
+ * params can be overridden from a rules config (see engine.js).
+ *
+ * Rule functions receive (result, params). Sections a caller didn't compute
+ * (e.g. chainAnalysis in the Cloudflare function) are treated as empty.
+ */
+
+import { ISSUE_SEVERITY } from '../analysis/chainAnalyzer.js';
+import { SCREENING_CLASSES } from '../analysis/ownerScreening.js';
+import { lienTypeOf, LIEN_TYPE_LABELS } from '../analysis/lienTypes.js';
+import { analyzeTransfers, NOMINAL_PRICE } from '../analysis/transfers.js';
+import { formatAmount } from '../analysis/docStamps.js';
+
+// ===== CHAIN OF TITLE =====
+
+// One rule per chain issue type (missing_link, wild_deed, ...)
+const chainRules = Object.entries(ISSUE_SEVERITY).map(([type, severity]) => ({
+  id: `chain_${type}`,
+  severity,
+  weight: severity === 'high' ? 40 : 15,
+  description: `Chain of title ${type.replace(/_/g, ' ')}`,
+  predicate: result => chainIssues(result, type).length > 0,
+  documents: result => {
+    const instruments = chainIssues(result, type).flatMap(i => i.instruments);
+    return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+  },
+  message: result => {
+    const issues = chainIssues(result, type);
+    return issues.length === 1 ? issues[0].message :
+      `Found ${issues.length} ${type.replace(/_/g, ' ')} issue(s) in the chain of title`;
+  },
+  extra: result => ({ issues: chainIssues(result, type) })
+}));
+
+// ===== BUILT-IN RULES (in flag order) =====
+
+export const BUILTIN_RULES = [
+  {
+    id: 'incomplete_search',
+    severity: 'high',
+    weight: 40,
+    description: 'Clerk returned truncated results for part of the search',
+    predicate: result => result.searchParams.complete === false,
+    documents: () => [],
+    message: result => {
+      const windows = result.searchParams.searchWindows || [];
+      const truncated = windows.filter(w => w.truncated && !w.unsearched);
+      const unsearched = windows.filter(w => w.unsearched);
+      return `Clerk search incomplete: ${truncated.length} window(s) returned truncated results` +
+        (unsearched.length > 0 ? `, ${unsearched.length} not searched (request limit reached)` : '');
+    }
+  },
+  
+  ...chainRules,
+  
+  {
+    id: 'lis_pendens',
+    severity: 'high',
+    weight: 40,
+    description: 'Lis pendens that is neither released nor expired under §48.23',
+    documents: result => activeLisPendens(result),
+    message: (result, docs) => {
+      const details = docs.map(describeCase);
+      return docs.length === 1 ? `Active lis pendens: ${details[0]}` :
+        `Found ${docs.length} active lis pendens (pending litigation): ${summarizeDetails(details)}`;
+    },
+    extra: (result, docs) => ({ details: docs.map(describeCase) })
+  },
+  {
+    id: 'lis_pendens_review',
+    severity: 'medium',
+    weight: 15,
+    description: 'Unreleased lis pendens older than one year whose basis is unknown',
+    documents: result => (result.lisPendensAnalysis ? result.lisPendensAnalysis.needsReview : [])
+      .map(e => e.lisPendens),
+    message: (result, docs) =>
+      `${docs.length} unreleased lis pendens older than one year - confirm whether expired under §48.23`,
+    extra: (result, docs) => ({ details: docs.map(describeCase) })
+  },
+  
+  ...screenedRules('judgment', 'judgment(s)',
+    result => result.documents.filter(d => d.docTypeShort === 'JUD'), describeCase),
+  ...screenedRules('tax_lien', 'tax-related lien(s)',
+    result => result.documents.filter(d => ['irs', 'state_tax'].includes(lienTypeOf(d))), describeLien),
+  
+  {
+    id: 'quick_flip',
+    severity: 'medium',
+    weight: 15,
+    description: 'Property resold shortly after it was acquired',
+    params: { days: 90 },
+    documents: (result, params) => transferDocuments(result,
+      transfersOf(result).filter(t => t.holdingDays !== null && t.holdingDays < params.days), 'previous'),
+    message: (result, docs, params) => {
+      const flips = transfersOf(result).filter(t => t.holdingDays !== null && t.holdingDays < params.days);
+      return flips.length === 1 ? `Property sold twice within ${flips[0].holdingDays} days` :
+        `${flips.length} transfers within ${params.days} days of the prior transfer: ` +
+        summarizeDetails(flips.map(t => `#${t.previous} to #${t.instrumentNumber} (${t.holdingDays} days)`));
+    }
+  },
+  {
+    id: 'price_swing',
+    severity: 'medium',
+    weight: 15,
+    description: 'Large price jump or drop from the prior sale',
+    params: { increase: 0.5, decrease: 0.3, withinDays: 730 },
+    documents: (result, params) => transferDocuments(result, priceSwings(result, params), 'priorSale'),
+    message: (result, docs, params) => `Price changed sharply from the prior sale: ` +
+      summarizeDetails(priceSwings(result, params).map(t =>
+        `#${t.instrumentNumber} ${formatAmount(t.price)} (${formatPercent(t.priceChange)} in ${t.daysSincePriorSale} days)`))
+  },
+  {
+    id: 'nominal_consideration',
+    severity: 'medium',
+    weight: 5,
+    description: `Transfer for nominal consideration ($${NOMINAL_PRICE} or less)`,
+    documents: result => transferDocuments(result, transfersOf(result).filter(t => t.nominal)),
+    message: (result, docs) => `${docs.length} transfer(s) for nominal consideration: ` +
+      summarizeDetails(transfersOf(result).filter(t => t.nominal).map(t =>
+        `#${t.instrumentNumber} ${t.grantors.join(', ')} to ${t.grantees.join(', ')} (${formatAmount(t.price)})`))
+  },
+  {
+    id: 'price_vs_value',
+    severity: 'medium',
+    weight: 10,
+    description: "Recent sale price far from the appraiser's value",
+    params: { low: 0.5, high: 1.5, withinDays: 1095 },
+    documents: (result, params) => transferDocuments(result, offValueSales(result, params)),
+    message: (result, docs, params) => `Sale price far from the appraiser's value ` +
+      `(${formatAmount(result.transferAnalysis.marketValue)}): ` +
+      summarizeDetails(offValueSales(result, params).map(t =>
+        `#${t.instrumentNumber} ${formatAmount(t.price)} (${Math.round(t.valueRatio * 100)}% of value)`))
+  },
+  {
+    id: 'vesting_discrepancy',
+    severity: 'medium',
+    weight: 15,
+    description: "Vested owners on the last deed differ from the appraiser's owner of record",
+    documents: result => result.vesting && result.vesting.discrepancies.length > 0 ?
+      result.documents.filter(d => d.instrumentNumber === result.vesting.deed.instrumentNumber) : [],
+    message: result => `Vesting does not match the appraiser's owner (${result.vesting.appraiserOwner}): ` +
+      summarizeDetails(result.vesting.discrepancies.map(d => d.message)),
+    extra: result => ({ discrepancies: result.vesting.discrepancies })
+  },
+  {
+    id: 'probate_gap',
+    severity: 'medium',
+    weight: 15,
+    description: 'Death in the chain of title without the recorded probate step that passes title',
+    predicate: result => probateFindings(result).length > 0,
+    documents: result => {
+      const instruments = probateFindings(result).flatMap(f => f.instruments);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: result => `${probateFindings(result).length} probate step(s) missing: ` +
+      summarizeDetails(probateFindings(result).map(f => f.message)),
+    extra: result => ({ findings: probateFindings(result) })
+  },
+  {
+    id: 'construction_lien',
+    severity: 'high',
+    weight: 40,
+    description: 'Unreleased claim of lien (Chapter 713) naming the owner',
+    documents: result => {
+      const instruments = constructionLiens(result).claimsOfLien.map(c => c.instrumentNumber);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: result => `${constructionLiens(result).claimsOfLien.length} claim(s) of lien against the owner: ` +
+      summarizeDetails(constructionLiens(result).claimsOfLien.map(c => c.message)),
+    extra: result => ({ claimsOfLien: constructionLiens(result).claimsOfLien })
+  },
+  {
+    id: 'open_notice_of_commencement',
+    severity: 'medium',
+    weight: 15,
+    description: 'Notice of commencement still in effect with no recorded notice of termination',
+    documents: result => {
+      const instruments = constructionLiens(result).openNotices.map(n => n.instrumentNumber);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: result => `${constructionLiens(result).openNotices.length} open notice(s) of commencement - ` +
+      'construction liens may still attach: ' +
+      summarizeDetails(constructionLiens(result).openNotices.map(n => n.message)),
+    extra: result => ({ notices: constructionLiens(result).openNotices })
+  },
+  {
+    id: 'tax_deed_in_chain',
+    severity: 'high',
+    weight: 40,
+    description: 'Tax deed in the chain of title with no quiet title judgment - title is likely unmarketable',
+    documents: result => {
+      const instruments = unmarketableTaxDeeds(result).map(t => t.instrumentNumber);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: result => `${unmarketableTaxDeeds(result).length} tax deed(s) in the chain need a quiet title action: ` +
+      summarizeDetails(unmarketableTaxDeeds(result).map(t => t.message)),
+    extra: result => ({ taxDeeds: unmarketableTaxDeeds(result) })
+  },
+  {
+    id: 'taxes_delinquent',
+    severity: 'medium',
+    weight: 15,
+    description: 'Delinquent taxes or outstanding tax certificates on the parcel',
+    predicate: result => Boolean(result.taxAnalysis) &&
+      ['delinquent', 'tax_deed_application'].includes(result.taxAnalysis.taxes.status),
+    message: result => result.taxAnalysis.taxes.message,
+    extra: result => ({ taxes: result.taxAnalysis.taxes })
+  },
+  {
+    id: 'spousal_joinder',
+    severity: 'medium',
+    weight: 15,
+    description: 'Deed or mortgage of possible homestead without the joinder of a vested or recited spouse',
+    predicate: result => joinderIssues(result).length > 0,
+    documents: result => {
+      const instruments = joinderIssues(result).map(i => i.instrumentNumber);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: result => `${joinderIssues(result).length} instrument(s) missing a spouse's joinder: ` +
+      summarizeDetails(joinderIssues(result).map(i => i.message)),
+    extra: result => ({ issues: joinderIssues(result) })
+  },
+  {
+    id: 'doc_stamp_mismatch',
+    severity: 'medium',
+    weight: 10,
+    description: 'Documentary stamps or intangible tax that do not match the price or principal',
+    documents: result => {
+      const instruments = stampMismatches(result).map(e => e.instrumentNumber);
+      return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+    },
+    message: (result, docs) => `${docs.length} document(s) with doc stamps that do not match: ` +
+      summarizeDetails(stampMismatches(result).map(e =>
+        `#${e.instrumentNumber} ${e.checks.filter(c => !c.ok).map(c => c.message).join(', ')}`)),
+    extra: result => ({ mismatches: stampMismatches(result) })
+  },
+  {
+    id: 'possibly_related',
+    severity: 'medium',
+    weight: 10,
+    description: 'Records that could not be tied to the subject legal description',
+    documents: result => result.possiblyRelated || [],
+    message: (result, docs) =>
+      `${docs.length} record(s) could not be tied to the subject legal description and need review`
+  },
+  {
+    id: 'open_liens',
+    severity: 'medium',
+    weight: 10,
+    description: 'Liens with no matching release',
+    documents: result => result.openLiens || [],
+    message: (result, docs) => `${docs.length} lien(s) with no recorded release`
+  },
+  {
+    id: 'multiple_open_mortgages',
+    severity: 'medium',
+    weight: 10,
+    description: 'More than the allowed number of open mortgages',
+    params: { maxOpen: 1 },
+    predicate: (result, params) => result.mortgageAnalysis.open.length > params.maxOpen,
+    documents: result => result.mortgageAnalysis.open,
+    message: (result, docs) => `${docs.length} mortgages appear open`
+  }
+];
+
+/**
+ * High rule for items likely against the owner, medium rule for items that
+ * only share the owner's name
+ * @param {string} id Rule id for the likely rule
+ * @param {string} label Plural label for the message ("judgment(s)")
+ * @param {Function} select Documents the rules look at
+ * @param {Function} describe One-line description of a document
+ * @returns {Object[]} Rules
+ */
+function screenedRules(id, label, select, describe) {
+  const likelyDocs = result => select(result).filter(isLikely);
+  
+  return [
+    {
+      id,
+      severity: 'high',
+      weight: 40,
+      description: `${label} likely against the owner`,
+      documents: likelyDocs,
+      message: (result, docs) => {
+        const total = sumAmounts(docs);
+        const others = select(result).length - docs.length;
+        return `Found ${docs.length} ${label} likely against the owner${total ? ` totaling ${formatAmount(total)}` : ''}: ` +
+          `${summarizeDetails(docs.map(describe))}${others > 0 ? ` (${others} more against the same name not tied to the owner)` : ''}`;
+      },
+      extra: (result, docs) => ({
+        details: docs.map(describe),
+        totalAmount: sumAmounts(docs),
+        screening: countScreening(select(result))
+      })
+    },
+    {
+      id: `${id}_name_match`,
+      severity: 'medium',
+      weight: 10,
+      description: `${label} against the owner's name that could not be tied to the owner`,
+      predicate: result => select(result).length > 0 && likelyDocs(result).length === 0,
+      documents: select,
+      message: (result, docs) => {
+        const counts = countScreening(docs);
+        return `Found ${docs.length} ${label} against the owner's name, none tied to the owner ` +
+          `(${counts.possible} possible match, ${counts.nameOnly} name only)`;
+      },
+      extra: (result, docs) => ({
+        details: docs.map(describe),
+        totalAmount: sumAmounts(docs),
+        screening: countScreening(docs)
+      })
+    }
+  ];
+}
+
+// ===== HELPERS =====
+
+function chainIssues(result, type) {
+  return result.chainAnalysis ? result.chainAnalysis.issues.filter(i => i.type === type) : [];
+}
+
+function activeLisPendens(result) {
+  // Without the lis pendens analysis every recorded LP is treated as active
+  return result.lisPendensAnalysis ? result.lisPendensAnalysis.active.map(e => e.lisPendens) :
+    result.documents.filter(d => d.docTypeShort === 'LP');
+}
+
+function transfersOf(result) {
+  // Without the transfer analysis, compare the deeds among the documents
+  return result.transferAnalysis ? result.transferAnalysis.transfers :
+    analyzeTransfers(result.documents.filter(d => ['D', 'TAXDEED'].includes(d.docTypeShort))).transfers;
+}
+
+/**
+ * Deeds behind a list of transfers, plus the prior deed each is compared
+ * with ("previous" transfer or "priorSale")
+ */
+function transferDocuments(result, transfers, linkedBy = null) {
+  const instruments = transfers.flatMap(t => linkedBy ? [t[linkedBy], t.instrumentNumber] : [t.instrumentNumber]);
+  return result.documents.filter(d => instruments.includes(d.instrumentNumber));
+}
+
+function priceSwings(result, params) {
+  return transfersOf(result).filter(t => t.priceChange !== null && t.daysSincePriorSale <= params.withinDays &&
+    (t.priceChange >= params.increase || t.priceChange <= -params.decrease));
+}
+
+function offValueSales(result, params) {
+  if (!result.transferAnalysis || !result.transferAnalysis.marketValue) return [];
+  const cutoff = Date.now() / 1000 - params.withinDays * 86400;
+  return result.transferAnalysis.transfers.filter(t => t.valueRatio !== null && t.recordTimestamp >= cutoff &&
+    (t.valueRatio < params.low || t.valueRatio > params.high));
+}
+
+function probateFindings(result) {
+  return result.probateAnalysis ? result.probateAnalysis.findings : [];
+}
+
+function constructionLiens(result) {
+  return result.constructionLienAnalysis || { openNotices: [], claimsOfLien: [] };
+}
+
+function unmarketableTaxDeeds(result) {
+  return result.taxAnalysis ? result.taxAnalysis.unmarketable : [];
+}
+
+function joinderIssues(result) {
+  return result.joinderAnalysis ? result.joinderAnalysis.issues : [];
+}
+
+function stampMismatches(result) {
+  return result.docStampAnalysis ? result.docStampAnalysis.mismatches : [];
+}
+
+function isLikely(doc) {
+  return Boolean(doc.ownerScreening && doc.ownerScreening.classification === SCREENING_CLASSES.likely);
+}
+
+function countScreening(docs) {
+  const count = classification => docs.filter(d =>
+    d.ownerScreening && d.ownerScreening.classification === classification).length;
+  const likely = count(SCREENING_CLASSES.likely);
+  const possible = count(SCREENING_CLASSES.possible);
+  return { likely, possible, nameOnly: docs.length - likely - possible };
+}
+
+/**
+ * One-line description of a judgment or lis pendens ("Case 19-CC-012345: BANK v. SMITH, $4,512.33")
+ */
+function describeCase(doc) {
+  const data = doc.extractedData || {};
+  const plaintiff = data.plaintiff || doc.grantors.join(', ');
+  const defendant = data.defendant || doc.grantees.join(', ');
+  const parts = [`${plaintiff} v. ${defendant}`];
+  if (data.amount) parts.push(formatAmount(data.amount));
+  if (data.court) parts.push(data.court);
+  return data.caseNumber ? `Case ${data.caseNumber}: ${parts.join(', ')}` :
+    `#${doc.instrumentNumber}: ${parts.join(', ')}`;
+}
+
+/**
+ * One-line description of a lien ("IRS lien by INTERNAL REVENUE SERVICE, $12,000.00")
+ */
+function describeLien(doc) {
+  const data = doc.extractedData || {};
+  const label = LIEN_TYPE_LABELS[lienTypeOf(doc)] || LIEN_TYPE_LABELS.other;
+  const creditor = data.creditor || doc.grantors.join(', ');
+  return `${label} lien by ${creditor}${data.amount ? `, ${formatAmount(data.amount)}` : ''} (#${doc.instrumentNumber})`;
+}
+
+/**
+ * Join flag details for a message, listing only the first few
+ */
+function summarizeDetails(details, limit = 5) {
+  const shown = details.slice(0, limit).join('; ');
+  return details.length > limit ? `${shown}; and ${details.length - limit} more` : shown;
+}
+
+/**
+ * Total of extracted amounts (null when none were extracted)
+ */
+function sumAmounts(docs) {
+  const amounts = docs.map(d => d.extractedData && d.extractedData.amount).filter(Boolean);
+  return amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null;
+}
+
+/**
+ * Format a fractional change as a signed percentage ("+85%")
+ */
+function formatPercent(change) {
+  return `${change > 0 ? '+' : ''}${Math.round(change * 100)}%`;
+}
+
+export default { BUILTIN_RULES };
@@ -0,0 +1,36 @@
+/**
+ * Rules Config Loader (Node.js)
+ * Loads a user-supplied rules config from a JSON or JS file. The path comes
+ * from the caller or the CLEARVIEW_RULES environment variable.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Load a rules config
+ * @param {Object|string} source Config object, file path, or nothing (use CLEARVIEW_RULES)
+ * @returns {Promise<Object>} Rules config ({} when none is configured)
+ */
+export async function loadRulesConfig(source = process.env.CLEARVIEW_RULES) {
+  if (!source) return {};
+  if (typeof source === 'object') return source;
+  
+  const file = path.resolve(source);
+  
+  if (file.endsWith('.json')) {
+    const text = await fs.readFile(file, 'utf8');
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid rules config ${file}: ${error.message}`);
+    }
+  }
+  
+  // JS config: default export (or the module itself)
+  const module = await import(pathToFileURL(file).href);
+  return module.default || module;
+}
+
+export default { loadRulesConfig };
@@ -0,0 +1,185 @@
+/**
+ * Risk Rules Engine
+ * Evaluates risk rules against an analyzed search result, turns the rules
+ * that fire into flags and scores them. Rules come from the built-in set
+ * plus an optional config (JSON or JS) that can:
+ *
+ *   {
+ *     "thresholds": { "high": 40, "medium": 10 },
+ *     "rules": {
+ *       "quick_flip": { "weight": 25, "params": { "days": 180 } },
+ *       "possibly_related": { "enabled": false }
+ *     },
+ *     "customRules": [{
+ *       "id": "many_easements", "severity": "medium", "weight": 5,
+ *       "description": "Three or more easements",
+ *       "when": { "path": "grouped.easements.length", "op": ">=", "value": 3 },
+ *       "cite": "grouped.easements",
+ *       "message": "{count} easements recorded"
+ *     }]
+ *   }
+ *
+ * Custom rules in a JS config may instead supply predicate/documents/message
+ * functions like the built-in rules.
+ */
+
+import { BUILTIN_RULES } from './builtinRules.js';
+
+// Score at which the risk level becomes HIGH / MEDIUM
+export const DEFAULT_THRESHOLDS = {
+  high: 40,
+  medium: 10
+};
+
+const SEVERITIES = ['high', 'medium'];
+
+// Comparison operators for declarative rules
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  'includes': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+/**
+ * Build the rule set: built-ins with config overrides, plus custom rules
+ * @param {Object} config Rules config (optional)
+ * @returns {Object[]} Rules
+ */
+export function buildRuleSet(config = {}) {
+  const overrides = config.rules || {};
+  
+  const rules = BUILTIN_RULES
+    .filter(rule => !overrides[rule.id] || overrides[rule.id].enabled !== false)
+    .map(rule => {
+      const override = overrides[rule.id] || {};
+      return {
+        ...rule,
+        severity: override.severity || rule.severity,
+        weight: override.weight !== undefined ? override.weight : rule.weight,
+        params: { ...(rule.params || {}), ...(override.params || {}) }
+      };
+    });
+  
+  for (const custom of config.customRules || []) {
+    if (custom.enabled === false) continue;
+    rules.push(compileRule(custom));
+  }
+  
+  for (const rule of rules) {
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+  }
+  
+  return rules;
+}
+
+/**
+ * Evaluate rules against an analyzed search result
+ * @param {Object[]} rules Rules from buildRuleSet
+ * @param {Object} result Analyzed search result
+ * @returns {Object[]} Flags for the rules that fired
+ */
+export function evaluateRules(rules, result) {
+  const flags = [];
+  
+  for (const rule of rules) {
+    const params = rule.params || {};
+    const documents = rule.documents ? rule.documents(result, params) || [] : [];
+    const fired = rule.predicate ? rule.predicate(result, params) : documents.length > 0;
+    if (!fired) continue;
+    
+    flags.push({
+      severity: rule.severity,
+      type: rule.id,
+      rule: rule.id,
+      weight: rule.weight,
+      description: rule.description,
+      message: rule.message ? rule.message(result, documents, params) : rule.description,
+      ...(rule.extra ? rule.extra(result, documents, params) : {}),
+      documents
+    });
+  }
+  
+  return flags;
+}
+
+/**
+ * Weighted risk score for the flags that fired
+ * @param {Object[]} flags Flags from evaluateRules
+ * @param {Object} thresholds Score thresholds (default DEFAULT_THRESHOLDS)
+ * @returns {Object} { riskScore, riskLevel, rulesFired }
+ */
+export function scoreFlags(flags, thresholds = DEFAULT_THRESHOLDS) {
+  const { high, medium } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const riskScore = flags.reduce((sum, flag) => sum + (flag.weight || 0), 0);
+  
+  return {
+    riskScore,
+    riskLevel: riskScore >= high ? 'HIGH' : riskScore >= medium ? 'MEDIUM' : 'LOW',
+    rulesFired: flags.map(flag => ({
+      id: flag.rule,
+      severity: flag.severity,
+      weight: flag.weight
+    }))
+  };
+}
+
+/**
+ * Turn a config rule into an engine rule. Declarative rules use a dotted
+ * path into the result ("when") and a dotted path to the cited documents ("cite").
+ * @param {Object} custom Custom rule from the config
+ * @returns {Object} Rule
+ */
+function compileRule(custom) {
+  if (!custom.id) {
+    throw new Error('Custom rule is missing an id');
+  }
+  if (typeof custom.predicate === 'function' || typeof custom.documents === 'function') {
+    return { params: {}, ...custom };
+  }
+  if (!custom.when) {
+    throw new Error(`Custom rule ${custom.id} needs a "when" condition or a predicate function`);
+  }
+  
+  const { path, op = '>', value = 0 } = custom.when;
+  const compare = OPERATORS[op];
+  if (!compare) {
+    throw new Error(`Custom rule ${custom.id}: unknown operator "${op}"`);
+  }
+  
+  return {
+    id: custom.id,
+    severity: custom.severity || 'medium',
+    weight: custom.weight !== undefined ? custom.weight : 10,
+    description: custom.description || custom.id,
+    params: {},
+    predicate: result => compare(getPath(result, path), value),
+    documents: result => {
+      const cited = custom.cite ? getPath(result, custom.cite) : [];
+      return Array.isArray(cited) ? cited : [];
+    },
+    message: (result, documents) => (custom.message || custom.description || custom.id)
+      .replace(/\{count\}/g, documents.length)
+      .replace(/\{value\}/g, getPath(result, path))
+  };
+}
+
+/**
+ * Read a dotted path ("grouped.easements.length") from an object
+ */
+function getPath(object, path) {
+  return String(path).split('.').reduce((value, key) =>
+    value === undefined || value === null ? undefined : value[key], object);
+}
+
+export default {
+  DEFAULT_THRESHOLDS,
+  buildRuleSet,
+  evaluateRules,
+  scoreFlags
+};
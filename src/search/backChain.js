@@ -0,0 +1,164 @@
+/**
+ * Back-Chain Search
+ * Walks the chain of title backwards from the current vesting deed by
+ * searching each prior grantor as a grantee on the subject property
+ */
+
+import { searchByName, parseRecord, DOC_TYPES } from '../api/hillsborough.js';
+import { parseLegalDescription, compareLegalDescriptions } from '../analysis/legalDescription.js';
+import { generateNameVariants, normalizeName } from './nameVariants.js';
+
+// Deed types that can be a link in the chain
+const CHAIN_DOC_TYPES = [DOC_TYPES.DEED, DOC_TYPES.TAX_DEED];
+
+// Marketable Record Title Act (Ch. 712, F.S.) root of title age
+const MRTA_YEARS = 30;
+
+// Grantors whose deeds start a chain (sovereign / tax conveyances)
+const SOVEREIGN_GRANTORS = /STATE\s+OF\s+FLORIDA|UNITED\s+STATES|INTERNAL\s+IMPROVEMENT|HILLSBOROUGH\s+COUNTY|CLERK\s+OF\s+(?:THE\s+)?CIRCUIT\s+COURT/;
+
+// Safety limit on the number of links we will walk
+const MAX_DEPTH = 25;
+
+/**
+ * Build the chain of title backwards from the current vesting deed
+ * @param {Object} params Back-chain parameters
+ * @param {Object} params.vestingDeed Current vesting deed (parsed record)
+ * @param {string} params.legalDescription Subject legal description (defaults to the vesting deed's)
+ * @param {Date} params.horizon Oldest date the search needs to reach
+ * @returns {Promise<Object>} { links, stopReason, reachedHorizon, searches }
+ */
+export async function buildBackChain(params) {
+  const { vestingDeed, horizon } = params;
+  const subject = parseLegalDescription(params.legalDescription || vestingDeed.legalDescription);
+  const horizonTimestamp = Math.floor(horizon.getTime() / 1000);
+  const mrtaTimestamp = Math.floor(Date.now() / 1000) - MRTA_YEARS * 365.25 * 86400;
+  
+  const links = [];
+  const searches = [];
+  const searchedNames = new Set();
+  let current = vestingDeed;
+  let stopReason = null;
+  
+  while (!stopReason) {
+    if (isRootOfTitle(current, mrtaTimestamp)) {
+      stopReason = 'root_of_title';
+      break;
+    }
+    
+    if (current.recordTimestamp <= horizonTimestamp) {
+      stopReason = 'horizon';
+      break;
+    }
+    
+    if (links.length >= MAX_DEPTH) {
+      stopReason = 'max_depth';
+      break;
+    }
+    
+    const grantors = (current.grantors || []).map(g => g.toUpperCase());
+    const key = [...grantors].sort().join('|');
+    if (grantors.length === 0) {
+      stopReason = 'no_grantor';
+      break;
+    }
+    if (searchedNames.has(key)) {
+      stopReason = 'loop';
+      break;
+    }
+    searchedNames.add(key);
+    
+    console.log(`[Back-chain] Searching ${grantors.join(', ')} as grantee before ${current.recordDate}`);
+    
+    const variants = [...new Set(grantors.flatMap(g => generateNameVariants(g).map(v => v.name)))];
+    
+    const search = await searchByName({
+      name: variants,
+      docTypes: CHAIN_DOC_TYPES,
+      endDate: current.recordDate,
+      partyType: 'PARTY 2'
+    });
+    
+    const searchInfo = {
+      names: grantors,
+      variants,
+      partyType: 'PARTY 2',
+      endDate: current.recordDate,
+      docTypes: CHAIN_DOC_TYPES,
+      recordCount: search.records.length,
+      complete: search.complete,
+      windows: search.windows
+    };
+    searches.push(searchInfo);
+    
+    const prior = findPriorVestingDeed(search.records.map(parseRecord), current, variants, subject);
+    if (!prior) {
+      stopReason = 'no_prior_deed';
+      break;
+    }
+    
+    links.push({
+      ...prior.deed,
+      propertyMatch: prior.propertyMatch,
+      foundBy: {
+        search: 'back-chain',
+        names: grantors,
+        depth: links.length + 1,
+        linkedTo: current.instrumentNumber
+      }
+    });
+    
+    current = prior.deed;
+  }
+  
+  return {
+    links,
+    stopReason,
+    reachedHorizon: stopReason === 'horizon' || stopReason === 'root_of_title',
+    searches
+  };
+}
+
+/**
+ * Find the deed that vested title in the given grantors before the current link
+ * @param {Object[]} candidates Parsed deeds from the grantee search
+ * @param {Object} current Current chain link
+ * @param {string[]} variants Name variants of the current link's grantors
+ * @param {Object} subject Parsed subject legal description
+ * @returns {Object|null} { deed, propertyMatch } or null
+ */
+function findPriorVestingDeed(candidates, current, variants, subject) {
+  let best = null;
+  
+  for (const deed of candidates) {
+    if (deed.instrumentNumber === current.instrumentNumber) continue;
+    if (deed.recordTimestamp > current.recordTimestamp) continue;
+    
+    const grantees = deed.grantees.map(normalizeName);
+    if (!grantees.some(g => variants.includes(g))) continue;
+    
+    const propertyMatch = compareLegalDescriptions(subject, parseLegalDescription(deed.legalDescription));
+    if (propertyMatch.status !== 'match') continue;
+    
+    // Most recent qualifying deed is the one that vested the grantor
+    if (!best || deed.recordTimestamp > best.deed.recordTimestamp) {
+      best = { deed, propertyMatch };
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Whether a deed can serve as the root of title
+ * @param {Object} deed Parsed deed
+ * @param {number} mrtaTimestamp Cutoff for a 30-year MRTA root
+ * @returns {boolean}
+ */
+function isRootOfTitle(deed, mrtaTimestamp) {
+  if (deed.docTypeShort === 'TAXDEED') return true;
+  if ((deed.grantors || []).some(g => SOVEREIGN_GRANTORS.test(g.toUpperCase()))) return true;
+  return deed.recordTimestamp <= mrtaTimestamp;
+}
+
+export default { buildBackChain };
@@ -0,0 +1,154 @@
+/**
+ * Search Certification
+ * States exactly what was searched and through when: the effective date of
+ * the search (the newest record actually seen - the clerk's search API
+ * doesn't report how far its index is current), the query windows run
+ * with their record counts, the name variants and doc types searched, and
+ * whether every window came back complete. Kept free of the Node APIs so
+ * the Cloudflare function can use it.
+ */
+
+// Display labels
+export const EFFECTIVE_DATE_SOURCE_LABELS = {
+  newest_record: 'newest record found'
+};
+
+/**
+ * Build the certification for a title search
+ * @param {Object} params Sources
+ * @param {Object[]} params.searches Searches run - { label, names (or legal), partyType, docTypes,
+ *   startDate, endDate, windows, complete }
+ * @param {Object[]} params.documents Records found
+ * @returns {Object} { effectiveDate, effectiveDateSource, effectiveDateSourceLabel, status, startDate, endDate,
+ *   nameVariants, docTypes, windowCount, truncatedWindows, searches, statement }
+ */
+export function buildSearchCertification({ searches, documents }) {
+  const entries = searches.map(searchEntry);
+  
+  const newest = documents.reduce((max, d) => Math.max(max, d.recordTimestamp || 0), 0);
+  const effectiveDateSource = newest > 0 ? 'newest_record' : null;
+  const effectiveDate = newest > 0 ? formatDate(new Date(newest * 1000)) : null;
+  
+  const truncatedWindows = entries.flatMap(s => s.windows.filter(w => w.truncated));
+  const status = truncatedWindows.length === 0 && entries.every(s => s.complete) ? 'complete' : 'incomplete';
+  const starts = entries.map(s => s.startDate).filter(Boolean).sort((a, b) => parseDate(a) - parseDate(b));
+  const ends = entries.map(s => s.endDate).filter(Boolean).sort((a, b) => parseDate(b) - parseDate(a));
+  const primary = entries[0] || null;
+  
+  return {
+    effectiveDate,
+    effectiveDateSource,
+    effectiveDateSourceLabel: effectiveDateSource ? EFFECTIVE_DATE_SOURCE_LABELS[effectiveDateSource] : null,
+    status,
+    startDate: starts[0] || null,
+    endDate: ends[0] || null,
+    nameVariants: primary ? primary.names : [],
+    docTypes: [...new Set(entries.flatMap(s => s.docTypes))],
+    windowCount: entries.reduce((sum, s) => sum + s.windows.length, 0),
+    truncatedWindows,
+    searches: entries,
+    statement: certificationStatement({ entries, effectiveDate, effectiveDateSource, status, truncatedWindows })
+  };
+}
+
+/**
+ * One search, with its windows in date order
+ * @param {Object} search Search run
+ * @returns {Object} Search entry
+ */
+function searchEntry(search) {
+  const windows = (search.windows || [])
+    .map(w => ({
+      names: w.names || search.names || [],
+      legal: w.legal || search.legal || null,
+      partyType: w.partyType || search.partyType || null,
+      startDate: w.startDate || null,
+      endDate: w.endDate || null,
+      docTypes: w.docTypes || search.docTypes || [],
+      count: w.count,
+      truncated: Boolean(w.truncated),
+      unsearched: Boolean(w.unsearched)
+    }))
+    .sort((a, b) => parseDate(a.startDate) - parseDate(b.startDate));
+  
+  return {
+    label: search.label,
+    names: search.names || [],
+    legal: search.legal || null,
+    partyType: search.partyType || null,
+    docTypes: search.docTypes || [],
+    startDate: search.startDate || null,
+    endDate: search.endDate || null,
+    recordCount: windows.reduce((sum, w) => sum + (w.count || 0), 0),
+    windows,
+    complete: search.complete !== false && windows.every(w => !w.truncated)
+  };
+}
+
+/**
+ * Plain-language statement of what was searched, for the report
+ */
+function certificationStatement({ entries, effectiveDate, effectiveDateSource, status, truncatedWindows }) {
+  if (entries.length === 0) return 'No searches were run';
+  
+  const primary = entries[0];
+  const period = `${primary.startDate || 'the earliest indexed records'} through ${primary.endDate || 'the search date'}`;
+  const lines = [
+    `Searched the official records for ${primary.names.join('; ')} from ${period}` +
+      ` (${primary.docTypes.length} document types, ${primary.windows.length} query window(s), ${primary.recordCount} records)`
+  ];
+  
+  for (const legal of entries.filter(s => s.legal)) {
+    lines.push(`Searched the legal descriptions for "${legal.legal}"` +
+      ` (${legal.windows.length} query window(s), ${legal.recordCount} records)`);
+  }
+  
+  const others = entries.slice(1).filter(s => !s.legal);
+  if (others.length > 0) {
+    lines.push(`Searched prior grantors ${others.map(s => s.names.join('; ')).join(', ')} as grantees back through the chain`);
+  }
+  
+  if (effectiveDate) {
+    lines.push(`Effective date ${effectiveDate} (${EFFECTIVE_DATE_SOURCE_LABELS[effectiveDateSource]})`);
+  }
+  
+  const unsearched = truncatedWindows.filter(w => w.unsearched);
+  const truncated = truncatedWindows.filter(w => !w.unsearched);
+  const span = w => `${w.startDate || '?'}-${w.endDate || '?'}`;
+  if (status === 'complete') {
+    lines.push('Every query window returned in full');
+  } else {
+    const gaps = [];
+    if (truncated.length > 0) {
+      gaps.push(`${truncated.length} query window(s) were truncated: ${truncated.map(span).join(', ')}`);
+    }
+    if (unsearched.length > 0) {
+      gaps.push(`${unsearched.length} query window(s) were not searched (request limit reached): ${unsearched.map(span).join(', ')}`);
+    }
+    lines.push(`INCOMPLETE - ${gaps.join('; ')}`);
+  }
+  
+  return lines.join('. ');
+}
+
+// ===== HELPERS =====
+
+/**
+ * Parse a MM/DD/YYYY date (missing dates sort first)
+ */
+function parseDate(value) {
+  if (!value) return 0;
+  const [month, day, year] = value.split('/').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}/${day}/${date.getFullYear()}`;
+}
+
+export default {
+  EFFECTIVE_DATE_SOURCE_LABELS,
+  buildSearchCertification
+};
@@ -0,0 +1,8 @@
+/**
+ * Party Name Normalization and Variants
+ * Lives in public/js/shared/ with the party matcher, which the browser PDF
+ * scanner loads
+ */
+
+export * from '../../public/js/shared/nameVariants.js';
+export { default } from '../../public/js/shared/nameVariants.js';
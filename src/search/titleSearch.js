@@ -3,7 +3,31 @@
  * Coordinates searches across document types to build a complete title package
  */
 
-import { searchByName, parseRecord, TITLE_DOC_TYPES, DOC_TYPES } from '../api/hillsborough.js';
+import { searchByName, searchByLegal, parseRecord, TITLE_DOC_TYPES, DOC_TYPES } from '../api/hillsborough.js';
+import { getParcelByFolio } from '../api/propertyAppraiser.js';
+import { loadTaxData } from '../api/taxData.js';
+import { filterByProperty, parseLegalDescription } from '../analysis/legalDescription.js';
+import { analyzeChain } from '../analysis/chainAnalyzer.js';
+import { compareParties, MATCH_THRESHOLDS } from '../analysis/partyMatcher.js';
+import { buildBackChain } from './backChain.js';
+import { buildSearchCertification } from './certification.js';
+import { generateNameVariants, findMatchedVariant } from './nameVariants.js';
+import { analyzeMortgages, identifyOpenLiens, identifyOpenJudgments } from '../analysis/encumbrances.js';
+import { buildMortgageLifecycles } from '../analysis/mortgageLifecycle.js';
+import { analyzeLisPendens } from '../analysis/lisPendens.js';
+import { analyzeTransfers } from '../analysis/transfers.js';
+import { validateDocStamps } from '../analysis/docStamps.js';
+import { determineVesting } from '../analysis/vesting.js';
+import { analyzeEasements } from '../analysis/easements.js';
+import { analyzeProbate, PROBATE_DOC_TYPES } from '../analysis/probate.js';
+import { checkSpousalJoinder } from '../analysis/homestead.js';
+import { analyzeTaxStatus } from '../analysis/taxStatus.js';
+import { analyzeConstructionLiens } from '../analysis/constructionLiens.js';
+import { buildOwnerIdentity, screenDocument } from '../analysis/ownerScreening.js';
+import { LIEN_DOC_TYPES } from '../analysis/lienTypes.js';
+import { buildRuleSet, evaluateRules, scoreFlags } from '../rules/engine.js';
+import { loadRulesConfig } from '../rules/config.js';
+import { generateScheduleB, renderScheduleB } from '../commitment/scheduleB.js';
 import { 
   batchExtractDocuments, 
   parseMortgageText, 
@@ -11,17 +35,59 @@ import {
   matchSatisfactionsToMortgages 
 } from '../documents/pdfExtractor.js';
 
+// Judgments and liens are screened against the owner's identity
+const SCREENED_DOC_TYPES = ['JUD', ...LIEN_DOC_TYPES];
+
 /**
  * Perform a comprehensive title search for a property
  * @param {Object} params Search parameters
- * @param {string} params.ownerName Current property owner name
+ * @param {string} params.ownerName Current property owner name (optional when folio is given)
+ * @param {string} params.folio Subject parcel folio - enables property mode (optional)
+ * @param {string} params.legalDescription Subject legal description - enables property mode (optional)
+ * @param {string} params.subdivision Subject subdivision or condominium name, with lot and block -
+ *   enables property mode when there is no legal description (optional)
+ * @param {string} params.lot Subject lot (optional)
+ * @param {string} params.block Subject block (optional)
+ * @param {boolean} params.searchLegal Also search the clerk's legal descriptions in property mode (default true)
  * @param {number} params.yearsBack How many years to search (default 30)
+ * @param {boolean} params.walkChain Walk the chain back through prior grantors in property mode (default true)
  * @param {boolean} params.scanDocuments Whether to scan PDFs for text extraction (default false)
+ * @param {Object|string} params.rulesConfig Risk rules config or path to a JSON/JS config (default CLEARVIEW_RULES)
+ * @param {Object|Function|string} params.taxData Local tax data for the folio, or path to it (default CLEARVIEW_TAX_DATA)
  * @param {Function} params.onProgress Progress callback for scanning
  * @returns {Promise<Object>} Complete search results
  */
 export async function performTitleSearch(params) {
-  const { ownerName, yearsBack = 30, scanDocuments = false, onProgress } = params;
+  const { folio, subdivision, lot, block, yearsBack = 30, walkChain = true, searchLegal = true,
+    scanDocuments = false, rulesConfig, taxData, onProgress } = params;
+  let { ownerName, legalDescription } = params;
+  
+  // Load risk rules first so a bad config fails before any searching
+  const rulesSettings = await loadRulesConfig(rulesConfig);
+  const rules = buildRuleSet(rulesSettings);
+  
+  // Property mode: resolve the subject parcel from the appraiser
+  let parcel = null;
+  if (folio) {
+    parcel = await getParcelByFolio(folio);
+    if (!parcel) {
+      throw new Error(`No parcel found for folio ${folio}`);
+    }
+    ownerName = ownerName || parcel.ownerName;
+    legalDescription = legalDescription || parcel.legalDescription;
+  }
+  
+  // Subdivision, lot and block stand in for a legal description
+  if (!legalDescription && subdivision) {
+    legalDescription = [lot ? `LOT ${lot}` : null, block ? `BLOCK ${block}` : null, subdivision].filter(Boolean).join(' ');
+  }
+  
+  // Delinquent taxes and tax certificates on the parcel (local data, when configured)
+  const taxRecord = folio ? await loadTaxData(folio, taxData) : null;
+  
+  if (!ownerName) {
+    throw new Error('ownerName or folio is required');
+  }
   
   // Calculate date range
   const endDate = new Date();
@@ -37,23 +103,108 @@ export async function performTitleSearch(params) {
   console.log(`Date range: ${dateRange.startDate} to ${dateRange.endDate}`);
   
   // Search for all title-related documents
-  const results = await searchByName({
-    name: ownerName.toUpperCase(),
+  // Search every name variant an examiner would try
+  const nameVariants = generateNameVariants(ownerName);
+  console.log(`Name variants: ${nameVariants.map(v => v.name).join(', ')}`);
+  
+  const search = await searchByName({
+    name: nameVariants.map(v => v.name),
     docTypes: TITLE_DOC_TYPES,
     startDate: dateRange.startDate,
     endDate: dateRange.endDate
   });
   
-  console.log(`Found ${results.length} records`);
+  console.log(`Found ${search.records.length} records across ${search.windows.length} search window(s)`);
+  if (!search.complete) {
+    console.log('WARNING: Some search windows were truncated - results are incomplete');
+  }
   
   // Parse and categorize results
-  const documents = results.map(parseRecord);
+  const foundBy = { search: 'owner', names: [ownerName.toUpperCase()] };
+  let documents = search.records.map(record => {
+    const doc = parseRecord(record);
+    return { ...doc, foundBy, foundIn: ['owner'], matchedVariant: findMatchedVariant(doc, nameVariants) };
+  });
+  
+  // Property mode: also search the legal descriptions, for records under prior
+  // owners or misspelled names. Only hits on the subject parcel are merged.
+  const legalQuery = legalDescription && searchLegal ? legalSearchText(legalDescription, subdivision) : null;
+  let legalSearch = null;
+  let legalMatches = 0;
+  if (legalQuery) {
+    legalSearch = await searchByLegal({
+      legal: legalQuery,
+      docTypes: TITLE_DOC_TYPES,
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate
+    });
+    
+    const legalFoundBy = { search: 'legal', legal: legalQuery };
+    const onParcel = filterByProperty(legalSearch.records.map(parseRecord), legalDescription).matched;
+    legalMatches = onParcel.length;
+    
+    for (const { propertyMatch, ...doc } of onParcel) {
+      const existing = documents.find(d => d.instrumentNumber === doc.instrumentNumber);
+      if (existing) {
+        existing.foundIn.push('legal');
+      } else {
+        documents.push({ ...doc, foundBy: legalFoundBy, foundIn: ['legal'], matchedVariant: findMatchedVariant(doc, nameVariants) });
+      }
+    }
+    
+    console.log(`Legal search "${legalQuery}": ${legalSearch.records.length} records, ${legalMatches} on the subject parcel, ` +
+      `${documents.filter(d => d.foundIn.length === 1 && d.foundIn[0] === 'legal').length} not found by name`);
+    if (!legalSearch.complete) {
+      console.log('WARNING: Some legal search windows were truncated - results are incomplete');
+    }
+  }
+  const recordsSeen = documents;
+  
+  // Property mode: keep only records on the subject parcel
+  let propertyFilter = null;
+  if (legalDescription) {
+    propertyFilter = filterByProperty(documents, legalDescription);
+    
+    // Judgments and general liens carry no legal description but attach to
+    // all of the debtor's property - keep them and screen them against the owner.
+    // Death certificates and probate papers name the person, not the parcel.
+    const partyRecords = propertyFilter.possiblyRelated.filter(d =>
+      [...SCREENED_DOC_TYPES, ...PROBATE_DOC_TYPES].includes(d.docTypeShort) && !(d.legalDescription || '').trim());
+    propertyFilter.possiblyRelated = propertyFilter.possiblyRelated.filter(d => !partyRecords.includes(d));
+    documents = [...propertyFilter.matched, ...partyRecords];
+    
+    console.log(`Property filter: ${propertyFilter.matched.length} on subject parcel, ` +
+      `${propertyFilter.possiblyRelated.length} possibly related, ${propertyFilter.excluded.length} excluded`);
+  }
+  
+  // Walk the chain back through prior grantors (property mode only)
+  let backChain = null;
+  const vestingDeed = findVestingDeed(documents, ownerName);
+  if (propertyFilter && walkChain) {
+    if (vestingDeed) {
+      backChain = await buildBackChain({ vestingDeed, legalDescription, horizon: startDate });
+      
+      console.log(`Back-chain: ${backChain.links.length} prior link(s), stopped at ${backChain.stopReason}`);
+      
+      for (const link of backChain.links) {
+        const existing = documents.find(d => d.instrumentNumber === link.instrumentNumber);
+        if (existing) {
+          existing.foundIn.push('back-chain');
+        } else {
+          documents.push({ ...link, foundIn: ['back-chain'] });
+        }
+      }
+    } else {
+      backChain = { links: [], stopReason: 'no_vesting_deed', reachedHorizon: false, searches: [] };
+      console.log(`WARNING: No deed to ${ownerName} found on the subject parcel - the chain was not walked back`);
+    }
+  }
   
   // Group by document type
   const grouped = groupByDocType(documents);
   
-  // Build chain of title from deeds
-  const chainOfTitle = buildChainOfTitle(grouped.deeds || []);
+  // Deeds for the chain of title - tax deeds are links too
+  const chainDeeds = [...grouped.deeds, ...grouped.taxDeeds];
   
   // Initial mortgage analysis (name-based matching)
   let mortgageAnalysis = analyzeMortgages(
@@ -63,10 +214,26 @@ export async function performTitleSearch(params) {
   
   // PDF Scanning (optional)
   let scanResults = null;
-  if (scanDocuments && (grouped.mortgages.length > 0 || grouped.satisfactions.length > 0)) {
-    console.log('\nScanning mortgages and satisfactions for text extraction...');
+  const docsToScan = [
+    ...grouped.deeds,
+    ...grouped.taxDeeds,
+    ...grouped.mortgages,
+    ...grouped.satisfactions,
+    ...grouped.assignments,
+    ...grouped.modifications,
+    ...grouped.liens,
+    ...grouped.judgments,
+    ...grouped.lisPendens,
+    ...grouped.lisPendensReleases,
+    ...grouped.easements,
+    ...grouped.restrictions,
+    ...grouped.affidavits,
+    ...grouped.courtPapers,
+    ...grouped.noticesOfCommencement
+  ];
+  if (scanDocuments && docsToScan.length > 0) {
+    console.log('\nScanning deeds, tax deeds, mortgages, assignments, liens, judgments, lis pendens, easements, restrictions, affidavits, court papers and notices of commencement for text extraction...');
     
-    const docsToScan = [...grouped.mortgages, ...grouped.satisfactions];
     scanResults = await batchExtractDocuments(docsToScan, onProgress);
     
     console.log(`Scan complete: ${scanResults.successful} extracted, ${scanResults.needsManualReview} need review`);
@@ -98,32 +265,226 @@ export async function performTitleSearch(params) {
     };
   }
   
+  // Follow each mortgage through assignments and modifications, using the
+  // scanned copies (with their instrument references) where we have them
+  const scanned = new Map((scanResults ? scanResults.documents : []).map(d => [d.instrumentNumber, d]));
+  const withScanData = docs => docs.map(d => scanned.get(d.instrumentNumber) || d);
+  
+  // Chain of title, with the full legal description read from scanned deeds.
+  // Check each link for gaps and breaks (and, for a single parcel, changes
+  // in the legal description).
+  const chainOfTitle = buildChainOfTitle(withScanData(chainDeeds));
+  const chainAnalysis = analyzeChain(chainOfTitle, { propertyMode: Boolean(propertyFilter) });
+  mortgageAnalysis.lifecycles = buildMortgageLifecycles({
+    mortgages: withScanData(grouped.mortgages),
+    assignments: withScanData(grouped.assignments),
+    modifications: withScanData(grouped.modifications),
+    releases: grouped.releases,
+    satisfiedList: mortgageAnalysis.satisfiedList
+  });
+  
+  // Open mortgages show who holds the loan now (who to request a payoff from).
+  // A release that references the mortgage closes it out.
+  mortgageAnalysis.open = mortgageAnalysis.open.flatMap(mtg => {
+    const lifecycle = mortgageAnalysis.lifecycles.find(l => l.instrumentNumber === mtg.instrumentNumber);
+    if (lifecycle && lifecycle.status === 'satisfied') return [];
+    return lifecycle ? {
+      ...mtg,
+      currentHolder: lifecycle.currentHolder,
+      currentPrincipal: lifecycle.currentPrincipal,
+      assignmentCount: lifecycle.assignments.length,
+      modificationCount: lifecycle.modifications.length
+    } : mtg;
+  });
+  mortgageAnalysis.satisfied = mortgageAnalysis.total - mortgageAnalysis.open.length;
+  
+  // Check doc stamps (and intangible tax) on scanned deeds and mortgages; the
+  // intangible tax confirms the principal of open mortgages
+  const docStampAnalysis = validateDocStamps({
+    deeds: withScanData(grouped.deeds),
+    mortgages: withScanData(grouped.mortgages)
+  });
+  mortgageAnalysis.open = mortgageAnalysis.open.map(mtg => {
+    const stamps = docStampAnalysis.entries.find(e => e.instrumentNumber === mtg.instrumentNumber);
+    return stamps && stamps.impliedPrincipal !== null ? {
+      ...mtg,
+      impliedPrincipal: stamps.impliedPrincipal,
+      principalConfirmed: stamps.principalConfirmed
+    } : mtg;
+  });
+  
+  // Score judgments and liens against the owner's full identity
+  const ownerIdentity = buildOwnerIdentity({ ownerName, parcel, vestingDeed });
+  const screenedDocuments = withScanData(documents).map(d => SCREENED_DOC_TYPES.includes(d.docTypeShort) ?
+    { ...d, ownerScreening: screenDocument(d, ownerIdentity) } : d);
+  const screenedLiens = screenedDocuments.filter(d => LIEN_DOC_TYPES.includes(d.docTypeShort));
+  
   // Identify open liens
   const openLiens = identifyOpenLiens(
-    grouped.liens || [],
+    screenedLiens,
     grouped.releases || []
   );
   
-  // Flag unusual items
-  const flags = identifyFlags(documents);
+  // Judgments with no satisfaction or release (satisfactions matched to a
+  // mortgage are spoken for)
+  const mortgageSatisfactions = new Set(mortgageAnalysis.satisfiedList.map(s => s.satisfaction.instrumentNumber));
+  const openJudgments = identifyOpenJudgments(
+    screenedDocuments.filter(d => d.docTypeShort === 'JUD'),
+    [...grouped.satisfactions.filter(s => !mortgageSatisfactions.has(s.instrumentNumber)), ...grouped.releases]
+  );
+  
+  // Lis pendens still in effect (not released, not expired under §48.23)
+  const lisPendensAnalysis = analyzeLisPendens(
+    withScanData(grouped.lisPendens),
+    withScanData([...grouped.lisPendensReleases, ...grouped.releases])
+  );
   
-  return {
+  // Holding periods and prices along the chain (deed consideration where scanned)
+  const transferAnalysis = analyzeTransfers(withScanData(chainDeeds), {
+    propertyMode: Boolean(propertyFilter),
+    marketValue: parcel ? parcel.totalValue : null
+  });
+  
+  // Who holds title now and how, checked against the appraiser's owner
+  const vesting = determineVesting({ chainOfTitle, documents: withScanData(documents), parcel });
+  
+  // Deaths in the chain (PR, heir and survivor deeds) and the probate steps
+  // missing from the records
+  const probateAnalysis = analyzeProbate({
+    chainOfTitle,
+    documents: withScanData(documents),
+    propertyMode: Boolean(propertyFilter)
+  });
+  
+  // Deeds and mortgages of likely homestead a vested or recited spouse did not sign
+  const joinderAnalysis = checkSpousalJoinder({
+    chainOfTitle,
+    documents: withScanData(documents),
+    mortgages: withScanData(grouped.mortgages),
+    parcel
+  });
+  
+  // Tax deeds in the chain and whether the parcel's taxes are current
+  const taxAnalysis = analyzeTaxStatus({ chainOfTitle, documents: withScanData(documents), taxData: taxRecord });
+  
+  // Notices of commencement still in effect and claims of lien against the owner
+  const constructionLienAnalysis = analyzeConstructionLiens({
+    documents: withScanData(documents),
+    openLiens,
+    owners: vesting.grantees.length > 0 ? vesting.grantees : [ownerName]
+  });
+  
+  // Easements and restrictions, marked where they cite the subject's
+  // subdivision (the vesting deed's description outside property mode)
+  const vestingLink = chainOfTitle[chainOfTitle.length - 1];
+  const easementAnalysis = analyzeEasements({
+    easements: withScanData(grouped.easements),
+    restrictions: withScanData(grouped.restrictions),
+    subjectLegalDescription: legalDescription ||
+      (vestingLink ? vestingLink.deedLegalDescription || vestingLink.legalDescription : null)
+  });
+  
+  // What was searched and through when, for the certification
+  const certification = buildSearchCertification({
+    searches: [
+      {
+        label: 'owner',
+        names: nameVariants.map(v => v.name),
+        docTypes: TITLE_DOC_TYPES,
+        startDate: dateRange.startDate,
+        endDate: dateRange.endDate,
+        windows: search.windows,
+        complete: search.complete
+      },
+      ...(legalSearch ? [{
+        label: 'legal',
+        legal: legalQuery,
+        docTypes: TITLE_DOC_TYPES,
+        startDate: dateRange.startDate,
+        endDate: dateRange.endDate,
+        windows: legalSearch.windows,
+        complete: legalSearch.complete
+      }] : []),
+      ...(backChain ? backChain.searches.map(s => ({
+        label: 'back_chain',
+        names: s.variants,
+        partyType: s.partyType,
+        docTypes: s.docTypes,
+        endDate: s.endDate,
+        windows: s.windows,
+        complete: s.complete
+      })) : [])
+    ],
+    documents: [...recordsSeen, ...(backChain ? backChain.links : [])]
+  });
+  
+  const result = {
     searchParams: {
       ownerName,
+      mode: propertyFilter ? 'property' : 'name',
+      nameVariants,
+      folio: folio || null,
+      legalDescription: legalDescription || null,
       yearsBack,
       searchDate: new Date().toISOString(),
+      effectiveDate: certification.effectiveDate,
+      effectiveDateSource: certification.effectiveDateSource,
+      startDate: dateRange.startDate,
+      endDate: dateRange.endDate,
+      docTypes: TITLE_DOC_TYPES,
       recordCount: documents.length,
+      complete: search.complete && (!legalSearch || legalSearch.complete),
+      completeness: certification.status,
+      legalSearch: legalSearch ? {
+        query: legalQuery,
+        recordCount: legalSearch.records.length,
+        onParcel: legalMatches,
+        complete: legalSearch.complete
+      } : null,
+      searchWindows: search.windows,
+      certification,
       scanned: scanDocuments
     },
+    property: propertyFilter ? {
+      parcel,
+      subjectLegal: propertyFilter.subject,
+      matchedCount: propertyFilter.matched.length,
+      excludedCount: propertyFilter.excluded.length
+    } : null,
     documents,
+    possiblyRelated: propertyFilter ? propertyFilter.possiblyRelated : [],
     grouped,
     chainOfTitle,
+    chainAnalysis,
+    vesting,
+    transferAnalysis,
+    docStampAnalysis,
+    easementAnalysis,
+    probateAnalysis,
+    joinderAnalysis,
+    taxAnalysis,
+    constructionLienAnalysis,
+    backChain,
     mortgageAnalysis,
+    lisPendensAnalysis,
+    ownerIdentity,
+    ownerScreening: Object.fromEntries(screenedDocuments
+      .filter(d => d.ownerScreening)
+      .map(d => [d.instrumentNumber, d.ownerScreening])),
     openLiens,
-    flags,
-    scanResults,
-    summary: generateSummary(documents, chainOfTitle, mortgageAnalysis, openLiens, flags)
+    openJudgments,
+    scanResults
   };
+  
+  // Flag unusual items - rules see the scanned and screened documents
+  result.flags = evaluateRules(rules, { ...result, documents: screenedDocuments });
+  result.summary = generateSummary(result, scoreFlags(result.flags, rulesSettings.thresholds));
+  
+  // Draft Schedule B-I / B-II from the findings
+  const scheduleB = generateScheduleB({ ...result, documents: screenedDocuments });
+  result.scheduleB = { ...scheduleB, text: renderScheduleB(scheduleB) };
+  
+  return result;
 }
 
 /**
@@ -136,12 +497,42 @@ function formatDateForApi(date) {
   return `${month}/${day}/${year}`;
 }
 
+/**
+ * Text to search the clerk's legal descriptions for: the subdivision or
+ * condominium name, since lot and block are written many ways
+ * @param {string} legalDescription Subject legal description
+ * @param {string} subdivision Subdivision name given with the search (optional)
+ * @returns {string|null} null when the description names no subdivision (metes and bounds, section)
+ */
+function legalSearchText(legalDescription, subdivision) {
+  if (subdivision && subdivision.trim()) return subdivision.trim().toUpperCase();
+  
+  const legal = parseLegalDescription(legalDescription);
+  if (!['platted', 'condominium'].includes(legal.type)) return null;
+  return legal.condominium || legal.subdivision || null;
+}
+
+/**
+ * Find the deed that vested title in the current owner (most recent deed to
+ * them), matching the grantees with the party matcher so middle initials,
+ * suffixes and nicknames don't hide it
+ */
+function findVestingDeed(documents, ownerName) {
+  const deeds = documents
+    .filter(d => d.docTypeShort === 'D' || d.docTypeShort === 'TAXDEED')
+    .sort((a, b) => b.recordTimestamp - a.recordTimestamp);
+  
+  return deeds.find(deed =>
+    compareParties(deed.grantees || [], [ownerName]).score >= MATCH_THRESHOLDS.strong) || null;
+}
+
 /**
  * Group documents by type
  */
 function groupByDocType(documents) {
   const groups = {
     deeds: [],
+    taxDeeds: [],
     mortgages: [],
     satisfactions: [],
     liens: [],
@@ -150,8 +541,12 @@ function groupByDocType(documents) {
     restrictions: [],
     judgments: [],
     releases: [],
+    lisPendensReleases: [],
     assignments: [],
     modifications: [],
+    affidavits: [],
+    courtPapers: [],
+    noticesOfCommencement: [],
     other: []
   };
   
@@ -162,6 +557,9 @@ function groupByDocType(documents) {
       case 'D':
         groups.deeds.push(doc);
         break;
+      case 'TAXDEED':
+        groups.taxDeeds.push(doc);
+        break;
       case 'MTG':
       case 'MTGREV':
       case 'MTGNDOC':
@@ -191,9 +589,11 @@ function groupByDocType(documents) {
         groups.judgments.push(doc);
         break;
       case 'REL':
-      case 'RELLP':
         groups.releases.push(doc);
         break;
+      case 'RELLP':
+        groups.lisPendensReleases.push(doc);
+        break;
       case 'ASG':
       case 'ASGT':
       case 'ASINT':
@@ -202,6 +602,15 @@ function groupByDocType(documents) {
       case 'MOD':
         groups.modifications.push(doc);
         break;
+      case 'AFF':
+        groups.affidavits.push(doc);
+        break;
+      case 'CP':
+        groups.courtPapers.push(doc);
+        break;
+      case 'NOC':
+        groups.noticesOfCommencement.push(doc);
+        break;
       default:
         groups.other.push(doc);
     }
@@ -228,193 +637,27 @@ function buildChainOfTitle(deeds) {
     sequence: index + 1,
     date: deed.recordDate,
     instrumentNumber: deed.instrumentNumber,
+    docType: deed.docTypeShort,
     grantors: deed.grantors.join(', '),
     grantees: deed.grantees.join(', '),
+    grantorList: deed.grantors,
+    granteeList: deed.grantees,
     salesPrice: deed.salesPrice,
     legalDescription: deed.legalDescription,
-    documentId: deed.documentId
+    deedLegalDescription: deed.extractedData ? deed.extractedData.legalDescription : null,
+    documentId: deed.documentId,
+    foundBy: deed.foundBy || null,
+    foundIn: deed.foundIn || []
   }));
 }
 
-/**
- * Analyze mortgages and their satisfactions (name-based fallback)
- */
-function analyzeMortgages(mortgages, satisfactions) {
-  const analysis = {
-    total: mortgages.length,
-    satisfied: 0,
-    open: [],
-    satisfiedList: []
-  };
-  
-  // Create a pool of available satisfactions
-  const availableSats = [...satisfactions];
-  
-  // For each mortgage, check if there's a matching satisfaction
-  for (const mtg of mortgages) {
-    const mtgGrantors = mtg.grantors.map(g => g.toLowerCase());
-    
-    // Find the best matching satisfaction
-    let bestMatchIndex = -1;
-    let bestMatchScore = 0;
-    
-    for (let i = 0; i < availableSats.length; i++) {
-      const sat = availableSats[i];
-      const satGrantors = sat.grantors.map(g => g.toLowerCase());
-      
-      // Calculate match score
-      let score = 0;
-      
-      // Check if satisfaction is after mortgage
-      if (sat.recordTimestamp > mtg.recordTimestamp) {
-        score += 10;
-      }
-      
-      // Check name overlap
-      for (const mtgName of mtgGrantors) {
-        const firstName = mtgName.split(' ')[0];
-        for (const satName of satGrantors) {
-          if (satName.includes(firstName) || firstName.includes(satName.split(' ')[0])) {
-            score += 5;
-          }
-        }
-      }
-      
-      if (score > bestMatchScore) {
-        bestMatchScore = score;
-        bestMatchIndex = i;
-      }
-    }
-    
-    // Require minimum score for a match
-    if (bestMatchIndex >= 0 && bestMatchScore >= 10) {
-      const matchedSat = availableSats.splice(bestMatchIndex, 1)[0];
-      analysis.satisfied++;
-      analysis.satisfiedList.push({
-        mortgage: mtg,
-        satisfaction: matchedSat,
-        confidence: 'low', // Name-based matching is low confidence
-        matchMethod: 'name'
-      });
-    } else {
-      analysis.open.push(mtg);
-    }
-  }
-  
-  return analysis;
-}
-
-/**
- * Identify liens without releases
- */
-function identifyOpenLiens(liens, releases) {
-  const openLiens = [];
-  const availableReleases = [...releases];
-  
-  for (const lien of liens) {
-    const lienGrantors = lien.grantors.map(g => g.toLowerCase());
-    
-    let hasRelease = false;
-    for (let i = 0; i < availableReleases.length; i++) {
-      const rel = availableReleases[i];
-      const relGrantors = rel.grantors.map(g => g.toLowerCase());
-      
-      // Check if release is after lien and names match
-      if (rel.recordTimestamp > lien.recordTimestamp) {
-        const nameMatch = lienGrantors.some(lienName => {
-          const firstName = lienName.split(' ')[0];
-          return relGrantors.some(relName => 
-            relName.includes(firstName) || firstName.includes(relName.split(' ')[0])
-          );
-        });
-        
-        if (nameMatch) {
-          availableReleases.splice(i, 1);
-          hasRelease = true;
-          break;
-        }
-      }
-    }
-    
-    if (!hasRelease) {
-      openLiens.push(lien);
-    }
-  }
-  
-  return openLiens;
-}
-
-/**
- * Identify items that need attention
- */
-function identifyFlags(documents) {
-  const flags = [];
-  
-  // Look for lis pendens (pending litigation)
-  const lisPendens = documents.filter(d => d.docTypeShort === 'LP');
-  if (lisPendens.length > 0) {
-    flags.push({
-      severity: 'high',
-      type: 'lis_pendens',
-      message: `Found ${lisPendens.length} lis pendens (pending litigation)`,
-      documents: lisPendens
-    });
-  }
-  
-  // Look for judgments
-  const judgments = documents.filter(d => d.docTypeShort === 'JUD');
-  if (judgments.length > 0) {
-    flags.push({
-      severity: 'high',
-      type: 'judgment',
-      message: `Found ${judgments.length} judgment(s)`,
-      documents: judgments
-    });
-  }
-  
-  // Look for tax liens
-  const taxLiens = documents.filter(d => 
-    d.docTypeShort === 'LNCORPTX' || d.docType.includes('TAX')
-  );
-  if (taxLiens.length > 0) {
-    flags.push({
-      severity: 'high',
-      type: 'tax_lien',
-      message: `Found ${taxLiens.length} tax-related lien(s)`,
-      documents: taxLiens
-    });
-  }
-  
-  // Look for recent quick flips (multiple sales in short period)
-  const deeds = documents.filter(d => d.docTypeShort === 'D');
-  if (deeds.length >= 2) {
-    const sorted = [...deeds].sort((a, b) => b.recordTimestamp - a.recordTimestamp);
-    const recentDeed = sorted[0];
-    const previousDeed = sorted[1];
-    const daysBetween = (recentDeed.recordTimestamp - previousDeed.recordTimestamp) / 86400;
-    
-    if (daysBetween < 90) {
-      flags.push({
-        severity: 'medium',
-        type: 'quick_flip',
-        message: `Property sold twice within ${Math.round(daysBetween)} days`,
-        documents: [recentDeed, previousDeed]
-      });
-    }
-  }
-  
-  // Look for multiple open mortgages
-  // This will be more accurate after PDF scanning
-  
-  return flags;
-}
-
 /**
  * Generate summary report
+ * @param {Object} result Search result (with flags)
+ * @param {Object} scoring Weighted score from the rules engine
  */
-function generateSummary(documents, chainOfTitle, mortgageAnalysis, openLiens, flags) {
-  const highFlags = flags.filter(f => f.severity === 'high');
-  const mediumFlags = flags.filter(f => f.severity === 'medium');
+function generateSummary(result, scoring) {
+  const { documents, chainOfTitle, mortgageAnalysis, openLiens, flags } = result;
   
   return {
     totalDocuments: documents.length,
@@ -423,10 +666,11 @@ function generateSummary(documents, chainOfTitle, mortgageAnalysis, openLiens, f
     satisfiedMortgages: mortgageAnalysis.satisfied,
     openMortgages: mortgageAnalysis.open.length,
     openLiens: openLiens.length,
-    highSeverityFlags: highFlags.length,
-    mediumSeverityFlags: mediumFlags.length,
-    riskLevel: highFlags.length > 0 ? 'HIGH' : 
-               (mediumFlags.length > 0 || openLiens.length > 0 || mortgageAnalysis.open.length > 1) ? 'MEDIUM' : 'LOW'
+    highSeverityFlags: flags.filter(f => f.severity === 'high').length,
+    mediumSeverityFlags: flags.filter(f => f.severity === 'medium').length,
+    riskScore: scoring.riskScore,
+    riskLevel: scoring.riskLevel,
+    rulesFired: scoring.rulesFired
   };
 }
 
@@ -0,0 +1,67 @@
+/**
+ * Search certification table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchCertification } from '../src/search/certification.js';
+
+const OWNER = {
+  label: 'owner',
+  names: ['SMITH JOHN A', 'SMITH JOHN'],
+  docTypes: ['(D) DEED', '(MTG) MORTGAGE'],
+  startDate: '06/15/1994',
+  endDate: '06/15/2024'
+};
+
+const queryWindow = (startDate, endDate, fields = {}) => ({ startDate, endDate, count: 3, truncated: false, ...fields });
+
+// [description, searches, documents, expected fields, expected statement pattern]
+const CASES = [
+  ['every window returned',
+    [{ ...OWNER, windows: [queryWindow('01/01/2010', '06/15/2024'), queryWindow('06/15/1994', '12/31/2009')], complete: true }],
+    [{ recordTimestamp: 1699963200 }, { recordTimestamp: 1500000000 }],
+    { status: 'complete', effectiveDate: '11/14/2023', effectiveDateSource: 'newest_record', windowCount: 2,
+      nameVariants: ['SMITH JOHN A', 'SMITH JOHN'], startDate: '06/15/1994', endDate: '06/15/2024' },
+    /Every query window returned in full/],
+  ['a truncated window',
+    [{ ...OWNER, windows: [queryWindow('06/15/1994', '06/21/1994', { truncated: true, count: 0 })], complete: false }],
+    [],
+    { status: 'incomplete', effectiveDate: null, effectiveDateSource: null },
+    /INCOMPLETE - 1 query window\(s\) were truncated: 06\/15\/1994-06\/21\/1994$/],
+  ['windows left unsearched at the request limit',
+    [{ ...OWNER, windows: [queryWindow('06/15/1994', '12/31/2009'), queryWindow('01/01/2010', '06/15/2024', { truncated: true, unsearched: true, count: 0 })],
+      complete: false }],
+    [{ recordTimestamp: 1500000000 }],
+    { status: 'incomplete', windowCount: 2 },
+    /INCOMPLETE - 1 query window\(s\) were not searched \(request limit reached\): 01\/01\/2010-06\/15\/2024$/],
+  ['owner, legal and back-chain searches',
+    [
+      { ...OWNER, windows: [queryWindow('06/15/1994', '06/15/2024')], complete: true },
+      { label: 'legal', legal: 'PALM RIVER ESTATES', docTypes: OWNER.docTypes, windows: [queryWindow('06/15/1994', '06/15/2024')], complete: true },
+      { label: 'back_chain', names: ['ADAMS MARY'], partyType: 'PARTY 2', docTypes: ['(D) DEED'], endDate: '03/02/2015',
+        windows: [queryWindow(null, '03/02/2015')], complete: true }
+    ],
+    [],
+    { status: 'complete', windowCount: 3, docTypes: OWNER.docTypes },
+    /Searched the legal descriptions for "PALM RIVER ESTATES".*Searched prior grantors ADAMS MARY as grantees/]
+];
+
+for (const [description, searches, documents, expected, statement] of CASES) {
+  test(`certification: ${description}`, () => {
+    const certification = buildSearchCertification({ searches, documents });
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(certification[field], value, field);
+    }
+    assert.match(certification.statement, statement);
+  });
+}
+
+test('certification: windows are listed in date order', () => {
+  const certification = buildSearchCertification({
+    searches: [{ ...OWNER, windows: [queryWindow('01/01/2010', '06/15/2024'), queryWindow('06/15/1994', '12/31/2009')] }],
+    documents: []
+  });
+  assert.deepEqual(certification.searches[0].windows.map(w => w.startDate), ['06/15/1994', '01/01/2010']);
+});
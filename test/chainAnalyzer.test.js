@@ -0,0 +1,45 @@
+/**
+ * Chain of title issue table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeChain } from '../src/analysis/chainAnalyzer.js';
+
+const chain = (...deeds) => deeds.map(([grantor, grantee], k) => ({
+  sequence: k + 1,
+  instrumentNumber: `20200000${k + 1}`,
+  grantors: grantor,
+  grantees: grantee,
+  grantorList: [grantor],
+  granteeList: [grantee]
+}));
+
+// [description, chain, expected issue types in property mode]
+const CASES = [
+  ['unbroken chain',
+    chain(['ADAMS MARY', 'SMITH JOHN'], ['SMITH JOHN', 'BROWN ALICE']), []],
+  ['owner conveys twice',
+    chain(['ADAMS MARY', 'SMITH JOHN'], ['SMITH JOHN', 'BROWN ALICE'], ['SMITH JOHN', 'CLARK DAVID']),
+    ['overlapping_conveyance']],
+  ['owner conveys before the vesting deed',
+    chain(['ADAMS MARY', 'BROWN ALICE'], ['SMITH JOHN', 'CLARK DAVID'], ['EVANS ROSE', 'SMITH JOHN']),
+    ['out_of_order', 'missing_link']]
+];
+
+for (const [description, deeds, types] of CASES) {
+  test(`chain: ${description} (property mode)`, () => {
+    const result = analyzeChain(deeds, { propertyMode: true });
+    assert.deepEqual(result.issues.map(i => i.type), types);
+    assert.equal(result.isUnbroken, types.length === 0);
+  });
+  
+  // Every deed to or from anyone with the owner's name, on any parcel
+  test(`chain: ${description} (name only)`, () => {
+    const result = analyzeChain(deeds);
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.isUnbroken, null);
+    assert.equal(result.nameOnly, true);
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Documentary stamp and intangible tax table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  expectedDeedStamps,
+  expectedMortgageStamps,
+  expectedIntangibleTax,
+  validateDeedStamps,
+  validateMortgageStamps,
+  formatAmount
+} from '../src/analysis/docStamps.js';
+
+// [function, amount, expected tax] - stamps are per $100 or fraction
+const RATE_CASES = [
+  [expectedDeedStamps, 250000, 1750],
+  [expectedDeedStamps, 250050, 1750.70],
+  [expectedDeedStamps, 10, 0.70],
+  [expectedMortgageStamps, 200000, 700],
+  [expectedMortgageStamps, 200001, 700.35],
+  [expectedIntangibleTax, 200000, 400],
+  [expectedIntangibleTax, 123456.78, 246.91]
+];
+
+for (const [fn, amount, tax] of RATE_CASES) {
+  test(`tax: ${fn.name}(${amount})`, () => {
+    assert.equal(fn(amount), tax);
+  });
+}
+
+// [description, deed, expected status, expected checks failed, expected implied amount]
+const DEED_CASES = [
+  ['stamps match the sales price',
+    { salesPrice: 250000, extractedData: { docStamps: 1750 } }, 'ok', [], 250000],
+  ['stamps on a lower price than the clerk shows',
+    { salesPrice: 250000, extractedData: { docStamps: 1400 } }, 'mismatch', ['stamps_vs_sales_price'], 200000],
+  ['recited consideration differs from the sales price',
+    { salesPrice: 250000, extractedData: { docStamps: 1750, consideration: 10, considerationSource: 'recital' } },
+    'mismatch', ['stamps_vs_consideration', 'consideration_vs_sales_price'], 250000],
+  ['nothing to check', { salesPrice: 0, extractedData: {} }, 'unverified', [], null]
+];
+
+for (const [description, deed, status, failed, impliedAmount] of DEED_CASES) {
+  test(`deed stamps: ${description}`, () => {
+    const entry = validateDeedStamps({ instrumentNumber: '2019000001', ...deed });
+    assert.equal(entry.status, status);
+    assert.deepEqual(entry.checks.filter(c => !c.ok).map(c => c.check), failed);
+    assert.equal(entry.impliedAmount, impliedAmount);
+  });
+}
+
+// [description, mortgage, expected status, expected principal confirmed, expected implied principal]
+const MORTGAGE_CASES = [
+  ['stamps and intangible tax match the principal',
+    { docTypeShort: 'MTG', extractedData: { principalAmount: 200000, docStamps: 700, intangibleTax: 400 } }, 'ok', true, 200000],
+  ['intangible tax on a different principal',
+    { docTypeShort: 'MTG', extractedData: { principalAmount: 200000, docStamps: 700, intangibleTax: 500 } }, 'mismatch', false, 250000],
+  ['principal read from the intangible tax only',
+    { docTypeShort: 'MTG', extractedData: { docStamps: 875, intangibleTax: 500 } }, 'ok', null, 250000],
+  ['revolving credit is taxed on draws',
+    { docTypeShort: 'MTGREV', extractedData: { principalAmount: 200000, docStamps: 35, intangibleTax: 20 } }, 'unverified', null, 10000]
+];
+
+for (const [description, mortgage, status, principalConfirmed, impliedPrincipal] of MORTGAGE_CASES) {
+  test(`mortgage stamps: ${description}`, () => {
+    const entry = validateMortgageStamps({ instrumentNumber: '2019000002', ...mortgage });
+    assert.equal(entry.status, status);
+    assert.equal(entry.principalConfirmed, principalConfirmed);
+    assert.equal(entry.impliedPrincipal, impliedPrincipal);
+  });
+}
+
+test('formatAmount', () => {
+  assert.equal(formatAmount(1234.5), '$1,234.50');
+  assert.equal(formatAmount(0), '$0.00');
+});
@@ -0,0 +1,94 @@
+/**
+ * Clerk search window splitting and instrument references
+ * Run with `npm test` - the clerk API is replaced by a canned response
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchByName, parseInstrumentReference, readInstrumentReference } from '../src/api/hillsborough.js';
+
+// A response the clerk truncated part way through
+const TRUNCATED = '{"ResultList":[{"Instrument":"2019';
+
+/**
+ * Answer clerk searches with `respond(query, call)` and count the calls
+ */
+function mockClerk(t, respond) {
+  const calls = [];
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    const query = JSON.parse(init.body);
+    calls.push(query);
+    return { ok: true, text: async () => respond(query, calls.length) };
+  });
+  return calls;
+}
+
+test('clerk search: a truncated window is split until every part returns', async t => {
+  const calls = mockClerk(t, (query, call) => call === 1 ? TRUNCATED :
+    JSON.stringify({ ResultList: [{ Instrument: `20190000${call}` }] }));
+  
+  const result = await searchByName({ name: 'DOE JOHN', startDate: '01/01/2019', endDate: '12/31/2019' });
+  
+  assert.equal(calls.length, 3);
+  assert.equal(result.complete, true);
+  assert.equal(result.records.length, 2);
+  assert.deepEqual(result.windows.map(w => [w.startDate, w.endDate]),
+    [['01/01/2019', '07/02/2019'], ['07/03/2019', '12/31/2019']]);
+});
+
+test('clerk search: splitting stops at the request limit and lists the windows left unsearched', async t => {
+  const calls = mockClerk(t, () => TRUNCATED);
+  
+  const result = await searchByName({ name: 'DOE JOHN', startDate: '01/01/1990', endDate: '12/31/2019' });
+  
+  assert.ok(calls.length <= 200, `${calls.length} requests`);
+  assert.equal(result.complete, false);
+  const unsearched = result.windows.filter(w => w.unsearched);
+  assert.ok(unsearched.length > 0);
+  assert.ok(unsearched.every(w => w.truncated && w.count === 0 && w.startDate && w.endDate));
+});
+
+// [reference, expected parsed reference]
+const REFERENCE_CASES = [
+  ['CFN 2019123456', { instrumentNumber: '2019123456' }],
+  ['Instrument No. 2019123456', { instrumentNumber: '2019123456' }],
+  ['2019123456', { instrumentNumber: '2019123456' }],
+  ['OR Book 12345 Page 678', { book: '12345', page: '678' }],
+  ['Book 12345, Page 678', { book: '12345', page: '678' }],
+  ['OR BK 12345 PG 678', { book: '12345', page: '678' }],
+  ['BK. 12345 PG. 678', { book: '12345', page: '678' }],
+  ['12345/678', { book: '12345', page: '678' }],
+  ['12345', null],
+  ['Lot 5 Block 2', null],
+  ['', null]
+];
+
+for (const [reference, expected] of REFERENCE_CASES) {
+  test(`instrument reference: "${reference}"`, () => {
+    assert.deepEqual(parseInstrumentReference(reference), expected);
+    assert.deepEqual(readInstrumentReference(reference), expected);
+  });
+}
+
+// [lookup parameters, expected reference - null answers 400]
+const LOOKUP_CASES = [
+  [{ instrumentNumber: '2019123456' }, { instrumentNumber: '2019123456' }],
+  [{ instrumentNumber: ' 2019123456 ' }, { instrumentNumber: '2019123456' }],
+  [{ book: '12345', page: '678' }, { book: '12345', page: '678' }],
+  [{ book: 12345, page: 678 }, { book: '12345', page: '678' }],
+  [{ book: '12345', page: 'abc' }, null],
+  [{ book: '12abc', page: '678' }, null],
+  [{ book: '12345', page: '0' }, null],
+  [{ book: '12345', page: '-5' }, null],
+  [{ book: '12345', page: '6.5' }, null],
+  [{ book: '12345' }, null],
+  [{ instrumentNumber: '2019-123' }, null],
+  [{}, null]
+];
+
+for (const [reference, expected] of LOOKUP_CASES) {
+  test(`lookup reference: ${JSON.stringify(reference)}`, () => {
+    assert.deepEqual(readInstrumentReference(reference), expected);
+  });
+}
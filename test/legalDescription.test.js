@@ -0,0 +1,79 @@
+/**
+ * Legal description parsing and comparison table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLegalDescription, compareLegalDescriptions, compareConveyedLegals } from '../src/analysis/legalDescription.js';
+
+// [legal description, expected parts]
+const PARSE_CASES = [
+  ['LOT 5 BLOCK 2 PALM RIVER ESTATES',
+    { type: 'platted', lots: ['5'], block: '2', unit: null, phase: null, subdivisionTokens: ['PALM', 'RIVER', 'ESTATES'] }],
+  ['L 5 THRU 7 B 02 PALM RIVER ESTATES PB 40 PG 12',
+    { type: 'platted', lots: ['5', '6', '7'], block: '2', platBook: '40', platPage: '12' }],
+  ['LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 3',
+    { type: 'platted', lots: ['5'], unit: null, phase: '3', subdivisionTokens: ['TOWN', 'COUNTRY', 'PARK'] }],
+  ['UNIT 204 BAYSHORE TOWERS, A CONDOMINIUM',
+    { type: 'condominium', unit: '204', phase: null, condominium: 'BAYSHORE TOWERS' }],
+  ['UNIT 204 OF BAYSHORE TOWERS, A CONDOMINIUM, ACCORDING TO THE DECLARATION OF CONDOMINIUM RECORDED IN OFFICIAL RECORDS BOOK 4500, PAGE 300',
+    { type: 'condominium', unit: '204', declarationBook: '4500', declarationPage: '300' }],
+  ['SEC 12 TWP 28 RGE 18 E 1/2 OF NW 1/4',
+    { type: 'section', section: '12', township: '28', range: '18' }],
+  ['LOT 5 BLOCK 2 PALM RIVER ESTATES LESS THE WEST 10 FEET',
+    { lots: ['5'], lessExcept: 'THE WEST 10 FEET' }]
+];
+
+for (const [text, expected] of PARSE_CASES) {
+  test(`parse legal: ${text}`, () => {
+    const legal = parseLegalDescription(text);
+    for (const [part, value] of Object.entries(expected)) {
+      assert.deepEqual(legal[part], value, part);
+    }
+  });
+}
+
+// [description, subject, candidate, expected status]
+const COMPARE_CASES = [
+  ['same lot and block',
+    'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'L 5 B 2 PALM RIVER ESTATES', 'match'],
+  ['different lot',
+    'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'LOT 6 BLOCK 2 PALM RIVER ESTATES', 'mismatch'],
+  ['subdivision name contained in a longer one',
+    'LOT 5 BLOCK 2 PALM', 'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'mismatch'],
+  ['longer subdivision name containing the subject\'s',
+    'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'LOT 5 BLOCK 2 RIVER ESTATES', 'possible'],
+  ['same plat phase',
+    'LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 3', 'L 5 B 2 TOWN N COUNTRY PARK UNIT 3', 'match'],
+  ['different plat phase',
+    'LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 3', 'LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 4', 'mismatch'],
+  ['same condominium unit',
+    'UNIT 204 BAYSHORE TOWERS, A CONDOMINIUM', 'UNIT 204 BAYSHORE TOWERS A CONDOMINIUM', 'possible'],
+  ['different condominium unit',
+    'UNIT 204 BAYSHORE TOWERS, A CONDOMINIUM', 'UNIT 205 BAYSHORE TOWERS, A CONDOMINIUM', 'mismatch'],
+  ['no legal description on record',
+    'LOT 5 BLOCK 2 PALM RIVER ESTATES', '', 'possible']
+];
+
+for (const [description, subject, candidate, status] of COMPARE_CASES) {
+  test(`compare legal: ${description}`, () => {
+    const result = compareLegalDescriptions(parseLegalDescription(subject), parseLegalDescription(candidate));
+    assert.equal(result.status, status, result.reasons.join('; '));
+  });
+}
+
+// [description, earlier deed, later deed, expected change]
+const CONVEYED_CASES = [
+  ['same parcel', 'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'L 5 B 2 PALM RIVER ESTATES', 'same'],
+  ['fewer lots', 'LOTS 5 AND 6 BLOCK 2 PALM RIVER ESTATES', 'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'split'],
+  ['more lots', 'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'LOTS 5 AND 6 BLOCK 2 PALM RIVER ESTATES', 'combination'],
+  ['different phase', 'LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 3', 'LOT 5 BLOCK 2 TOWN N COUNTRY PARK UNIT NO 4', 'different'],
+  ['nothing to compare', '', 'LOT 5 BLOCK 2 PALM RIVER ESTATES', 'unknown']
+];
+
+for (const [description, prev, next, change] of CONVEYED_CASES) {
+  test(`conveyed legal: ${description}`, () => {
+    assert.equal(compareConveyedLegals(parseLegalDescription(prev), parseLegalDescription(next)).change, change);
+  });
+}
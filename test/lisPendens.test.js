@@ -0,0 +1,68 @@
+/**
+ * Lis pendens release and expiration table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLisPendens } from '../src/analysis/lisPendens.js';
+
+const AS_OF = new Date('2024-06-01T00:00:00Z');
+const DAY = 86400;
+const daysAgo = days => Math.floor(AS_OF.getTime() / 1000) - days * DAY;
+
+const lisPendens = (extractedData, days = 400) => ({
+  instrumentNumber: '2019000001',
+  docTypeShort: 'LP',
+  grantors: ['DOE JOHN'],
+  grantees: ['ROE JANE'],
+  recordTimestamp: daysAgo(days),
+  extractedData
+});
+
+const release = (docTypeShort, extractedData, grantors = ['SOMEONE ELSE'], grantees = ['NOBODY']) => ({
+  instrumentNumber: '2020000001',
+  docTypeShort,
+  grantors,
+  grantees,
+  recordTimestamp: daysAgo(10),
+  extractedData
+});
+
+// [description, lis pendens, releases, expected status, expected matchedBy]
+const CASES = [
+  ['short case number vs uniform case number',
+    lisPendens({ caseNumber: '19-CA-001234', foundedOnRecordedInstrument: true }),
+    [release('REL', { caseNumber: '29-2019-CA-001234' })], 'released', 'case number'],
+  ['four-digit year vs 20-character uniform case number',
+    lisPendens({ caseNumber: '2019-CA-001234', foundedOnRecordedInstrument: true }),
+    [release('REL', { caseNumber: '292019CA001234A001HC' })], 'released', 'case number'],
+  ['different sequence number',
+    lisPendens({ caseNumber: '19-CA-001234', foundedOnRecordedInstrument: true }),
+    [release('REL', { caseNumber: '19-CA-001235' })], 'active', null],
+  ['release citing the lis pendens instrument',
+    lisPendens({ foundedOnRecordedInstrument: true }),
+    [release('REL', { instrumentReferences: ['2019000001'] })], 'released', 'instrument reference'],
+  ['release of lis pendens naming the parties',
+    lisPendens(undefined),
+    [release('RELLP', undefined, ['DOE JOHN'], ['ROE JANE'])], 'released', 'parties'],
+  ['general release naming the parties is not enough',
+    lisPendens({ foundedOnRecordedInstrument: true }),
+    [release('REL', undefined, ['DOE JOHN'], ['ROE JANE'])], 'active', null],
+  ['over a year, not founded on a recorded instrument',
+    lisPendens({ foundedOnRecordedInstrument: false }), [], 'expired', null],
+  ['over a year, founded on a recorded instrument',
+    lisPendens({ foundedOnRecordedInstrument: true }), [], 'active', null],
+  ['over a year, not scanned',
+    lisPendens(undefined), [], 'needs_review', null],
+  ['under a year, not founded on a recorded instrument',
+    lisPendens({ foundedOnRecordedInstrument: false }, 100), [], 'active', null]
+];
+
+for (const [description, lp, releases, status, matchedBy] of CASES) {
+  test(`lis pendens: ${description}`, () => {
+    const [entry] = analyzeLisPendens([lp], releases, AS_OF).entries;
+    assert.equal(entry.status, status, entry.reasons.join('; '));
+    assert.equal(entry.release ? entry.release.matchedBy : null, matchedBy);
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Party matcher scoring table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareNames, MATCH_THRESHOLDS } from '../src/analysis/partyMatcher.js';
+
+// [name, other name, expected class]
+const CASES = [
+  // Individuals
+  ['SMITH JOHN A', 'SMITH JOHN A', 'strong'],
+  ['SMITH JOHN A', 'SMITH JOHN ALAN', 'strong'],
+  ['SMITH JOHN A', 'SMITH JOHN B', 'none'],
+  ['SMITH JOHN ALAN', 'SMITH JOHN ROBERT', 'none'],
+  ['SMITH ROBERT', 'SMITH BOB', 'strong'],
+  ['SMITH JOHN', 'JONES JOHN', 'none'],
+  ['SMITH JOHN', 'SMITH MARY', 'none'],
+  ['SMITH-JONES MARY', 'JONES MARY', 'possible'],
+  
+  // Suffixes
+  ['SMITH JOHN JR', 'SMITH JOHN SR', 'none'],
+  ['SMITH JOHN III', 'SMITH JOHN II', 'none'],
+  
+  // LAST FIRST (index) vs FIRST LAST (document text), either side
+  ['SMITH JOHN A', 'JOHN A SMITH', 'strong'],
+  ['JOHN A SMITH', 'SMITH JOHN A', 'strong'],
+  ['JOHN B SMITH', 'SMITH JOHN A', 'none'],
+  
+  // Entities
+  ['ACME HOLDINGS LLC', 'ACME HOLDINGS INC', 'strong'],
+  ['WELLS FARGO BANK NA', 'WELLS FARGO BANK N.A.', 'strong'],
+  ['ACME HOA', 'ACME HOA INC', 'strong'],
+  ['FIRST NATIONAL BANK', 'FIRST NATIONAL BANK OF FLORIDA', 'none'],
+  ['ACME HOLDINGS LLC', 'ZENITH HOLDINGS LLC', 'none']
+];
+
+function classOf(score) {
+  if (score >= MATCH_THRESHOLDS.strong) return 'strong';
+  if (score >= MATCH_THRESHOLDS.possible) return 'possible';
+  return 'none';
+}
+
+for (const [a, b, expected] of CASES) {
+  test(`${a} vs ${b} is ${expected}`, () => {
+    const { score, reasons } = compareNames(a, b);
+    assert.equal(classOf(score), expected, `score ${score}: ${reasons.join('; ')}`);
+  });
+}
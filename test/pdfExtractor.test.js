@@ -0,0 +1,194 @@
+/**
+ * PDF text parser tables
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDeedText,
+  parseLisPendensText,
+  parseAssignmentText,
+  parseLienText,
+  parseJudgmentText,
+  parseNoticeOfCommencementText
+} from '../src/documents/pdfExtractor.js';
+
+// [description, deed text, expected grantor marital status, expected vesting]
+const DEED_CASES = [
+  ['standard form, single grantor to spouses',
+    'WARRANTY DEED THIS WARRANTY DEED made the 1st day of May, 2019 by JANE DOE, a single woman, hereinafter called the grantor, ' +
+    'to JOHN SMITH and MARY SMITH, husband and wife, whose post office address is 123 Main St, Tampa, FL 33602, hereinafter called the grantee:',
+    'unmarried', 'tenants_by_entirety'],
+  ['parenthetical labels',
+    'WARRANTY DEED made by JANE DOE, a single woman ("Grantor") and JOHN SMITH and MARY SMITH, husband and wife ("Grantee"), ' +
+    'witnesseth that the Grantor conveys the land',
+    'unmarried', 'tenants_by_entirety'],
+  ['no labels, ", to" before the grantee',
+    'QUIT CLAIM DEED from JANE DOE, a single woman, to JOHN SMITH and MARY SMITH, husband and wife, for ten dollars and other consideration',
+    'unmarried', 'tenants_by_entirety'],
+  ['married grantors to a single grantee',
+    'WARRANTY DEED made by JOHN SMITH and MARY SMITH, husband and wife, hereinafter called the grantor, to JANE DOE, a single woman, ' +
+    'hereinafter called the grantee',
+    'husband_and_wife', 'sole_owner'],
+  ['label-first layout',
+    'WARRANTY DEED Grantor: JOHN SMITH, a married man, joined by his wife MARY SMITH. Grantee: JANE DOE, an unmarried woman, ' +
+    'of Hillsborough County',
+    'married', 'sole_owner']
+];
+
+for (const [description, text, maritalStatus, vesting] of DEED_CASES) {
+  test(`deed: ${description}`, () => {
+    const info = parseDeedText(text);
+    assert.equal(info.maritalStatus, maritalStatus);
+    assert.equal(info.vesting, vesting);
+  });
+}
+
+// [description, lis pendens text, own recording, expected foundedOnRecordedInstrument, expected references]
+const LP_CASES = [
+  ['stamped, non-foreclosure (own stamp only)',
+    'INSTRUMENT#: 2019123456 OR BK 26000 PG 100 PGS 1-2 05/01/2019 PAT FRANK, CLERK OF THE CIRCUIT COURT\n' +
+    'IN THE CIRCUIT COURT OF THE THIRTEENTH JUDICIAL CIRCUIT CASE NO.: 19-CA-001234 JOHN DOE, Plaintiff, v. JANE ROE, Defendant. ' +
+    'NOTICE OF LIS PENDENS. You are notified of the institution of this action for partition of the following described property:',
+    {}, false, []],
+  ['own instrument and book/page from the clerk record',
+    'NOTICE OF LIS PENDENS Instrument Number 2019123456 Official Records Book 26000 Page 100 CASE NO.: 19-CA-001234 ' +
+    'JOHN DOE, Plaintiff, v. JANE ROE, Defendant, for specific performance of a contract for sale',
+    { instrumentNumber: '2019123456', bookNum: '26000', pageNum: '100' }, false, []],
+  ['cites a recorded instrument',
+    'INSTRUMENT#: 2019123456 OR BK 26000 PG 100 NOTICE OF LIS PENDENS CASE NO.: 19-CA-001234 JOHN DOE, Plaintiff, v. JANE ROE, ' +
+    'Defendant, to enforce the declaration recorded in Official Records Book 12000, Page 45 of the public records',
+    {}, true, ['Book 12000, Page 45']],
+  ['foreclosure',
+    'NOTICE OF LIS PENDENS CASE NO.: 19-CA-001234 BANK OF AMERICA, N.A., Plaintiff, v. JANE ROE, Defendant. ' +
+    'An action to foreclose a mortgage on the following property',
+    {}, true, []]
+];
+
+for (const [description, text, recording, founded, references] of LP_CASES) {
+  test(`lis pendens: ${description}`, () => {
+    const info = parseLisPendensText(text, recording);
+    assert.equal(info.foundedOnRecordedInstrument, founded);
+    assert.deepEqual(info.instrumentReferences, references);
+  });
+}
+
+// [description, assignment text, own recording, expected mortgage instrument, expected mortgage book/page]
+const ASSIGNMENT_CASES = [
+  ['stamped, mortgage cited by book and page',
+    'INSTRUMENT#: 2021054321 OR BK 28000 PG 1500 PGS 1-2 03/01/2021 CINDY STUART, CLERK OF THE CIRCUIT COURT\n' +
+    'ASSIGNMENT OF MORTGAGE FOR VALUE RECEIVED, MORTGAGE ELECTRONIC REGISTRATION SYSTEMS, INC. hereby assigns to ' +
+    'WELLS FARGO BANK, N.A., its successors and assigns, that certain mortgage dated May 1, 2019 in the amount of $250,000.00 ' +
+    'recorded in Official Records Book 26000, Page 100 of the Public Records of Hillsborough County, Florida',
+    {}, null, 'Book 26000, Page 100'],
+  ['own instrument number from the clerk record, mortgage cited by instrument',
+    'Document No. 2021054321 ASSIGNMENT OF MORTGAGE FOR VALUE RECEIVED, ABC LENDING LLC hereby assigns to XYZ BANK, N.A. ' +
+    'the mortgage recorded on May 2, 2019 as Instrument No. 2019123456 of the Public Records of Hillsborough County, Florida',
+    { instrumentNumber: '2021054321' }, '2019123456', null],
+  ['no recording clause',
+    'INSTRUMENT#: 2021054321 OR BK 28000 PG 1500 ASSIGNMENT OF MORTGAGE FOR VALUE RECEIVED, ABC LENDING LLC hereby ' +
+    'assigns to XYZ BANK, N.A. the mortgage given by JOHN DOE to secure the sum of $250,000.00',
+    {}, null, null]
+];
+
+for (const [description, text, recording, instrumentNumber, bookPage] of ASSIGNMENT_CASES) {
+  test(`assignment: ${description}`, () => {
+    const info = parseAssignmentText(text, recording);
+    assert.equal(info.mortgageInstrumentNumber, instrumentNumber);
+    assert.equal(info.mortgageBookPage, bookPage);
+  });
+}
+
+// [description, lien text, expected fields]
+const LIEN_CASES = [
+  ['federal tax lien',
+    'NOTICE OF FEDERAL TAX LIEN Form 668 (Y)(c) Department of the Treasury - Internal Revenue Service\n' +
+    'Name of Taxpayer: JOHN A SMITH\nResidence: 123 MAIN ST, TAMPA, FL 33602\nTotal $ 45,210.33',
+    { lienType: 'irs', creditor: 'INTERNAL REVENUE SERVICE', debtor: 'JOHN A SMITH', amount: 45210.33, addresses: ['123 MAIN ST'] }],
+  ['association lien citing its statute',
+    'CLAIM OF LIEN\nLienor: PALM RIVER HOMEOWNERS ASSOCIATION, INC.\nOwner: JOHN A SMITH\nThe undersigned claims a lien for ' +
+    'unpaid assessments pursuant to section 720.3085 on 456 OAK AVE in the amount due of $3,250.00',
+    { lienType: 'hoa', creditor: 'PALM RIVER HOMEOWNERS ASSOCIATION', amount: 3250, addresses: ['456 OAK AVE'] }],
+  ['construction lien',
+    'CLAIM OF LIEN\nLienor: ABC ROOFING LLC\nOwner: JOHN A SMITH\nfurnished labor, services and materials under section ' +
+    '713.08 for improvement of 456 OAK AVE. Amount claimed: $12,500.00',
+    { lienType: 'mechanics', creditor: 'ABC ROOFING LLC', debtor: 'JOHN A SMITH', amount: 12500 }],
+  ['code enforcement fine',
+    'CITY OF TAMPA CODE ENFORCEMENT SPECIAL MAGISTRATE CASE NO: COD-19-0001234\nRespondent: JOHN A SMITH\n' +
+    'ORDER IMPOSING FINE for violations at 789 PINE DR. Fine of $250.00 per day',
+    { lienType: 'code_enforcement', debtor: 'JOHN A SMITH', caseNumber: 'COD-19-0001234', addresses: ['789 PINE DR'] }]
+];
+
+for (const [description, text, expected] of LIEN_CASES) {
+  test(`lien: ${description}`, () => {
+    const info = parseLienText(text);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(info[field], value, field);
+    }
+  });
+}
+
+// [description, judgment text, expected fields]
+const JUDGMENT_CASES = [
+  ['money judgment, caption over several lines',
+    'IN THE COUNTY COURT OF THE THIRTEENTH JUDICIAL CIRCUIT IN AND FOR HILLSBOROUGH COUNTY, FLORIDA\nCASE NO.: 19-CC-012345\n' +
+    'CAPITAL ONE BANK (USA), N.A.,\nPlaintiff,\nv.\nJOHN A SMITH,\nDefendant.\nFINAL JUDGMENT\nPlaintiff shall recover from ' +
+    'Defendant the sum of $4,321.00, for which let execution issue. Defendant address: 123 MAIN ST, Tampa',
+    { caseNumber: '19-CC-012345', court: 'County Court, Hillsborough County', plaintiff: 'CAPITAL ONE BANK (USA), N.A.',
+      defendant: 'JOHN A SMITH', amount: 4321, addresses: ['123 MAIN ST'], isQuietTitle: false }],
+  ['quiet title, caption on one line',
+    'IN THE CIRCUIT COURT OF THE THIRTEENTH JUDICIAL CIRCUIT IN AND FOR HILLSBOROUGH COUNTY, FLORIDA\nCASE NO.: 2018-CA-004567\n' +
+    'JANE DOE, Plaintiff, v. JOHN A SMITH, Defendant.\nFINAL JUDGMENT QUIETING TITLE\nTitle to the following property is quieted in Plaintiff',
+    { caseNumber: '2018-CA-004567', plaintiff: 'JANE DOE', defendant: 'JOHN A SMITH', amount: null, isQuietTitle: true }]
+];
+
+for (const [description, text, expected] of JUDGMENT_CASES) {
+  test(`judgment: ${description}`, () => {
+    const info = parseJudgmentText(text);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(info[field], value, field);
+    }
+  });
+}
+
+// [description, notice text, own recording, expected fields]
+const NOTICE_CASES = [
+  ['numbered statutory form',
+    'NOTICE OF COMMENCEMENT\nThe undersigned hereby gives notice that improvement will be made to certain real property.\n' +
+    '1. DESCRIPTION OF PROPERTY: LOT 5 BLOCK 2 PALM RIVER ESTATES, 456 OAK AVE\n2. GENERAL DESCRIPTION OF IMPROVEMENT: REROOF\n' +
+    '3. OWNER INFORMATION: a. Name and address: JOHN A SMITH, 456 OAK AVE, TAMPA FL\n' +
+    '4. CONTRACTOR: a. Name and address: ABC ROOFING LLC, 55 ELM ST, TAMPA FL\n' +
+    '5. SURETY (if applicable, a copy of the payment bond is attached): a. Name and address: N/A b. Amount of bond: $\n' +
+    '6. LENDER: a. Name and address: NONE\n9. EXPIRATION DATE OF NOTICE OF COMMENCEMENT (the expiration date is 1 year ' +
+    'from the date of recording unless a different date is specified): 06/30/2021',
+    {},
+    { isTermination: false, improvement: 'REROOF', owner: 'JOHN A SMITH', contractor: 'ABC ROOFING LLC', surety: null,
+      lender: null, expirationDate: '06/30/2021', instrumentReferences: [] }],
+  ['bonded, with a lender',
+    'NOTICE OF COMMENCEMENT 1. DESCRIPTION OF PROPERTY: LOT 5 2. GENERAL DESCRIPTION OF IMPROVEMENT: POOL 3. OWNER: JOHN A SMITH ' +
+    '4. CONTRACTOR: BLUE POOLS INC, 10 BAY ST 5. SURETY: a. Name and address: SAFE BOND CO, 1 MAIN ST b. Amount of bond: ' +
+    '$50,000.00 6. LENDER: a. Name and address: BANK OF TAMPA, 2 MAIN ST',
+    {},
+    { contractor: 'BLUE POOLS INC', surety: 'SAFE BOND CO', bondAmount: 50000, lender: 'BANK OF TAMPA', expirationDate: null }],
+  ['stamped termination',
+    'NOTICE OF TERMINATION OF NOTICE OF COMMENCEMENT\nINSTRUMENT#: 2021054321 OR BK 28000 PG 1500\nThe undersigned owner ' +
+    'gives notice that the Notice of Commencement recorded as Instrument No. 2020123456 in Official Records Book 27500, ' +
+    'Page 200 is terminated. Owner: JOHN A SMITH, 456 OAK AVE',
+    {},
+    { isTermination: true, owner: 'JOHN A SMITH', instrumentReferences: ['2020123456', 'Book 27500, Page 200'] }],
+  ['termination with its own number from the clerk record',
+    'NOTICE OF TERMINATION Document No. 2021054321. The Notice of Commencement recorded as Instrument No. 2020123456 ' +
+    'is terminated. Owner: JOHN A SMITH',
+    { instrumentNumber: '2021054321' },
+    { isTermination: true, instrumentReferences: ['2020123456'] }]
+];
+
+for (const [description, text, recording, expected] of NOTICE_CASES) {
+  test(`notice of commencement: ${description}`, () => {
+    const info = parseNoticeOfCommencementText(text, recording);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(info[field], value, field);
+    }
+  });
+}
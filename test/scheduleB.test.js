@@ -0,0 +1,120 @@
+/**
+ * Schedule B requirements and exceptions table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateScheduleB, renderScheduleB } from '../src/commitment/scheduleB.js';
+
+const VESTING_DEED = {
+  instrumentNumber: '2015000100',
+  docTypeShort: 'D',
+  grantors: ['ADAMS MARY'],
+  grantees: ['SMITH JOHN A'],
+  recordDate: '03/02/2015',
+  bookNum: '23000',
+  pageNum: '100',
+  recordTimestamp: 1425254400
+};
+
+const MORTGAGE = {
+  instrumentNumber: '2015000101',
+  docTypeShort: 'MTG',
+  grantors: ['SMITH JOHN A'],
+  grantees: ['FIRST BANK'],
+  recordDate: '03/02/2015',
+  bookNum: '23000',
+  pageNum: '110',
+  impliedPrincipal: 200000
+};
+
+const JUDGMENT = {
+  instrumentNumber: '2019000200',
+  docTypeShort: 'JUD',
+  grantors: ['CAPITAL ONE BANK'],
+  grantees: ['SMITH JOHN'],
+  recordDate: '05/01/2019',
+  extractedData: { plaintiff: 'CAPITAL ONE BANK', caseNumber: '19-CC-012345', amount: 4321 }
+};
+
+const LIS_PENDENS = {
+  instrumentNumber: '2020000300',
+  docTypeShort: 'LP',
+  grantors: ['JONES BOB'],
+  grantees: ['SMITH JOHN A'],
+  recordDate: '02/01/2020',
+  recordTimestamp: 1580515200,
+  extractedData: { caseNumber: '20-CA-000123', plaintiff: 'JONES BOB', defendant: 'SMITH JOHN A' }
+};
+
+/**
+ * Search result with the vesting deed and the given encumbrances
+ */
+function resultWith({ mortgages = [], judgments = [], screening = {}, lisPendens = [], vesting = null, effectiveDate = '06/01/2024' }) {
+  const documents = [VESTING_DEED, ...mortgages, ...judgments, ...lisPendens];
+  return {
+    searchParams: { ownerName: 'SMITH JOHN A', searchDate: '2024-06-15T00:00:00.000Z', effectiveDate, completeness: 'complete' },
+    documents,
+    grouped: { easements: [], restrictions: [], lisPendens },
+    chainOfTitle: [{ instrumentNumber: VESTING_DEED.instrumentNumber, granteeList: VESTING_DEED.grantees }],
+    mortgageAnalysis: { open: mortgages, lifecycles: [] },
+    openLiens: [],
+    openJudgments: judgments,
+    ownerScreening: screening,
+    vesting
+  };
+}
+
+const types = items => items.map(i => i.type);
+
+// [description, result, expected requirement types, expected exception types beyond the standard ones]
+const CASES = [
+  ['clean title',
+    resultWith({}), ['record_deed'], []],
+  ['open mortgage',
+    resultWith({ mortgages: [MORTGAGE] }), ['satisfy_mortgage', 'record_deed'], []],
+  ['judgment likely against the owner',
+    resultWith({ judgments: [JUDGMENT], screening: { [JUDGMENT.instrumentNumber]: { classification: 'likely_match' } } }),
+    ['satisfy_judgment', 'record_deed'], []],
+  ['judgment possibly against the owner',
+    resultWith({ judgments: [JUDGMENT], screening: { [JUDGMENT.instrumentNumber]: { classification: 'possible_match' } } }),
+    ['release_or_affidavit', 'record_deed'], []],
+  ['judgment matching the name only',
+    resultWith({ judgments: [JUDGMENT], screening: { [JUDGMENT.instrumentNumber]: { classification: 'name_only' } } }),
+    ['same_name_affidavit', 'record_deed'], []],
+  ['unreleased lis pendens',
+    resultWith({ lisPendens: [LIS_PENDENS] }), ['record_deed'], ['lis_pendens']],
+  ['appraiser shows another owner',
+    resultWith({ vesting: { deed: VESTING_DEED, discrepancies: [{ type: 'unrecorded_transfer', party: 'DOE JANE' }] } }),
+    ['vesting_unrecorded_transfer', 'record_deed'], []]
+];
+
+for (const [description, result, requirements, exceptions] of CASES) {
+  test(`schedule B: ${description}`, () => {
+    const draft = generateScheduleB(result);
+    assert.deepEqual(types(draft.requirements), requirements);
+    assert.deepEqual(types(draft.exceptions).filter(t => t !== 'standard'), exceptions);
+    assert.deepEqual(draft.requirements.map(r => r.number), requirements.map((r, k) => k + 1));
+  });
+}
+
+test('schedule B: requirements cite the recorded instruments', () => {
+  const draft = generateScheduleB(resultWith({ mortgages: [MORTGAGE] }));
+  const [satisfaction, deed] = draft.requirements;
+  
+  assert.deepEqual(satisfaction.citations.map(c => c.instrumentNumber), [MORTGAGE.instrumentNumber]);
+  assert.match(satisfaction.text, /original principal amount of \$200,000\.00/);
+  assert.match(satisfaction.text, /Official Records Book 23000, Page 110 \(Instrument #2015000101\)/);
+  assert.match(deed.text, /^Deed from SMITH JOHN A, the vested owner under the deed recorded on 03\/02\/2015/);
+  assert.equal(draft.vestingDeed.instrumentNumber, VESTING_DEED.instrumentNumber);
+});
+
+test('schedule B: rendered text carries the effective date and both sections', () => {
+  const text = renderScheduleB(generateScheduleB(resultWith({})));
+  
+  assert.match(text, /^DRAFT/);
+  assert.match(text, /Effective Date: 06\/01\/2024\n/);
+  assert.match(text, /SCHEDULE B - SECTION I\nREQUIREMENTS\n\n1\. Deed from/);
+  assert.match(text, /SCHEDULE B - SECTION II\nEXCEPTIONS\n\n1\. Taxes and assessments for the year 2024/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Vesting and appraiser owner table
+ * Run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { determineVesting } from '../src/analysis/vesting.js';
+
+/**
+ * Vesting for a last deed to `grantees`, with the appraiser showing `ownerName`
+ */
+function vestingFor(grantees, ownerName, extractedData) {
+  const deed = { instrumentNumber: '2019000001', docTypeShort: 'D', grantees, extractedData };
+  return determineVesting({
+    chainOfTitle: [{ instrumentNumber: deed.instrumentNumber, granteeList: grantees }],
+    documents: [deed],
+    parcel: { ownerName }
+  });
+}
+
+// [description, grantees, appraiser owner, expected appraiser owners, expected discrepancy types]
+const OWNER_CASES = [
+  ['spouses sharing a surname',
+    ['SMITH JOHN A', 'SMITH MARY B'], 'SMITH JOHN A AND MARY B', ['SMITH JOHN A', 'SMITH MARY B'], []],
+  ['entity with AND in its name',
+    ['SMITH AND JONES HOLDINGS LLC'], 'SMITH AND JONES HOLDINGS LLC', ['SMITH AND JONES HOLDINGS LLC'], []],
+  ['entity with & in its name',
+    ['JOHNSON & JOHNSON INC'], 'JOHNSON & JOHNSON INC', ['JOHNSON & JOHNSON INC'], []],
+  ['co-trustees',
+    ['SMITH JOHN TRUSTEE', 'SMITH MARY TRUSTEE'], 'SMITH JOHN TRUSTEE AND SMITH MARY TRUSTEE',
+    ['SMITH JOHN TRUSTEE', 'SMITH MARY TRUSTEE'], []],
+  ['owner not on the last deed',
+    ['SMITH JOHN A'], 'DOE JANE', ['DOE JANE'], ['unrecorded_transfer']],
+  ['surname changed',
+    ['SMITH MARY B'], 'JONES MARY B', ['JONES MARY B'], ['name_change']]
+];
+
+for (const [description, grantees, ownerName, owners, types] of OWNER_CASES) {
+  test(`appraiser owners: ${description}`, () => {
+    const vesting = vestingFor(grantees, ownerName);
+    assert.deepEqual(vesting.appraiserOwners, owners);
+    assert.deepEqual(vesting.discrepancies.map(d => d.type), types);
+  });
+}
+
+// [description, grantees, deed vesting, expected vesting type, expected source]
+const VESTING_CASES = [
+  ['read from the deed', ['SMITH JOHN', 'SMITH MARY'], 'tenants_by_entirety', 'tenants_by_entirety', 'deed_text'],
+  ['one person', ['SMITH JOHN'], undefined, 'sole_owner', 'grantee_names'],
+  ['trustee', ['SMITH JOHN TR'], undefined, 'trustee', 'grantee_names'],
+  ['LLC', ['ACME HOLDINGS LLC'], undefined, 'llc', 'grantee_names'],
+  ['co-owners, deed not read', ['SMITH JOHN', 'DOE JANE'], undefined, 'tenants_in_common', 'presumed']
+];
+
+for (const [description, grantees, deedVesting, vestingType, vestingSource] of VESTING_CASES) {
+  test(`vesting: ${description}`, () => {
+    const vesting = vestingFor(grantees, null, deedVesting ? { vesting: deedVesting } : undefined);
+    assert.equal(vesting.vestingType, vestingType);
+    assert.equal(vesting.vestingSource, vestingSource);
+  });
+}